@@ -0,0 +1,29 @@
+// Test cases for the Factory Pattern exercise.
+// Each `code` expression is evaluated after the learner's code and compared to `expected`.
+[
+    {
+        name: "createShape('square') builds a square",
+        code: "createShape('square', 3).type",
+        expected: 'square'
+    },
+    {
+        name: "A square's area is size squared",
+        code: "createShape('square', 3).area()",
+        expected: 9
+    },
+    {
+        name: "createShape('circle') builds a circle",
+        code: "createShape('circle', 2).type",
+        expected: 'circle'
+    },
+    {
+        name: "A circle's area is PI * r * r",
+        code: "createShape('circle', 2).area()",
+        expected: Math.PI * 2 * 2
+    },
+    {
+        name: "Unknown shape types throw an error",
+        code: "(() => { try { createShape('hexagon', 1); return 'no error'; } catch (error) { return 'threw'; } })()",
+        expected: 'threw'
+    }
+]
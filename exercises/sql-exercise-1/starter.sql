@@ -0,0 +1,11 @@
+-- Basic SQL Queries
+--
+-- The employees table has the columns id, name, department and salary.
+-- Write one statement for each step, in order:
+--
+-- 1. INSERT Grace Hopper into the Engineering department with a salary of 95000.
+-- 2. UPDATE everyone in Sales so they get a 10% raise.
+-- 3. DELETE every employee in the Temp department.
+-- 4. SELECT the name and salary of everyone in Engineering, highest salary first.
+
+SELECT * FROM employees;
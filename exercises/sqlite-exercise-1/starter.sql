@@ -0,0 +1,12 @@
+-- Setting Up SQLite
+--
+-- A students table (id, name) already exists with Alice, Bob and Chen.
+--
+-- 1. CREATE a courses table with the columns id (INTEGER PRIMARY KEY),
+--    title (TEXT) and credits (INTEGER).
+-- 2. CREATE an enrollments table with student_id and course_id columns,
+--    each a FOREIGN KEY referencing the id of students and courses.
+-- 3. INSERT three courses.
+-- 4. INSERT enrollments so that Alice takes two of the courses.
+
+SELECT * FROM students;
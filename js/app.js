@@ -4,19 +4,33 @@ document.addEventListener('DOMContentLoaded', () => {
     // Initialize navigation
     initNavigation();
     
+    // Suggest where to start on the welcome screen, again whenever progress (re)loads
+    showNextLessonHint();
+    window.addEventListener('progressload', showNextLessonHint);
+    
     
     
     // Initialize exercise handling
     initExercises();
     
-    // Check for initial route
-    handleInitialRoute();
+    // Initialize lesson search
+    initSearch();
+    
+    // Initialize flashcard review
+    initReview();
+    
+    // Make the portal available offline
+    initServiceWorker();
+    
+    // Check for initial route once the saved progress has loaded
+    window.progressTracker.ready.then(handleInitialRoute);
 });
 
 // Helper: Show welcome screen
 function showWelcomeScreen() {
     const contentArea = document.getElementById('content-area');
     if (contentArea) {
+        window.contentLoader.clearLesson();
         contentArea.innerHTML = '';
         // Hardcoded welcome screen markup (matches index.html)
         const welcome = document.createElement('div');
@@ -47,17 +61,26 @@ function showWelcomeScreen() {
                 <h2>Getting Started</h2>
                 <p>Choose a module from the sidebar to begin your learning journey!</p>
                 <button id="start-learning" class="cta-button">Start Learning</button>
+                <p class="next-lesson-hint" id="next-lesson-hint" hidden></p>
             </div>
         `;
         contentArea.appendChild(welcome);
+        showNextLessonHint();
     }
-    // Remove module/lesson params from URL
-    window.history.replaceState({}, '', window.location.pathname);
-    // Clear current lesson/module state if possible
-    if (window.contentLoader) {
-        window.contentLoader.currentModule = null;
-        window.contentLoader.currentLesson = null;
-    }
+}
+
+// Say which lesson Start Learning will open
+function showNextLessonHint() {
+    const hint = document.getElementById('next-lesson-hint');
+    if (!hint) return;
+    
+    const next = window.progressTracker.getNextLesson();
+    const module = curriculum.modules.find(m => m.id === next.moduleId);
+    const lesson = module && module.lessons.find(l => l.id === next.lessonId);
+    if (!lesson) return;
+    
+    hint.textContent = `Up next: ${module.title} › ${lesson.title}`;
+    hint.hidden = false;
 }
 
 // Initialize the sidebar navigation
@@ -83,6 +106,7 @@ function initNavigation() {
                 <span class="module-title">${module.title}</span>
             </div>
             <div class="module-right">
+                <span class="module-time"></span>
                 <span class="module-status status-${moduleStatus}"></span>
                 <i class="icon fas fa-chevron-right"></i>
             </div>
@@ -124,12 +148,31 @@ function initNavigation() {
         moduleNavigation.appendChild(moduleItem);
     });
     
+    // Show prerequisite locks now that the sidebar exists
+    window.progressTracker.updateProgressDisplay();
+    
+    // Lesson map link: show the prerequisite graph
+    document.getElementById('map-link').addEventListener('click', (e) => {
+        e.preventDefault();
+        window.router.navigate('#/map');
+    });
+
+    document.getElementById('dashboard-link').addEventListener('click', (e) => {
+        e.preventDefault();
+        window.router.navigate('#/dashboard');
+    });
+
+    document.getElementById('timeline-link').addEventListener('click', (e) => {
+        e.preventDefault();
+        window.router.navigate('#/timeline');
+    });
+    
     // Home button click: Show welcome screen and clear state
     const homeButton = document.querySelector('.home-button');
     if (homeButton) {
         homeButton.addEventListener('click', (e) => {
             e.preventDefault();
-            showWelcomeScreen();
+            window.router.navigate('#/');
         });
     }
     // Handle sidebar toggle for mobile
@@ -154,24 +197,173 @@ function initExercises() {
     // This will be expanded in future iterations of the portal
 }
 
-// Handle initial route (e.g., direct link to a lesson)
-function handleInitialRoute() {
-    // Check if there's a route in the URL
-    const params = new URLSearchParams(window.location.search);
-    const moduleId = params.get('module');
-    const lessonId = params.get('lesson');
-    
-    if (moduleId && lessonId) {
-        // Try to load the specified lesson
-        window.contentLoader.loadLesson(moduleId, lessonId);
-    } else {
-        // Check if there's a last visited lesson
-        const lastVisited = window.progressTracker.progressData.lastVisited;
-        if (lastVisited) {
-            window.contentLoader.loadLesson(lastVisited.moduleId, lastVisited.lessonId);
+// Initialize the sidebar search box
+function initSearch() {
+    const searchInput = document.getElementById('search-input');
+    const searchResults = document.getElementById('search-results');
+    let searchTimer = null;
+    
+    // Start building the index as soon as someone reaches for search
+    searchInput.addEventListener('focus', () => {
+        window.searchIndex.load().catch(error => console.error('Error building the search index:', error));
+    });
+    
+    searchInput.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => renderSearchResults(searchInput.value), 150);
+    });
+    
+    searchInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            searchInput.value = '';
+            renderSearchResults('');
+        } else if (e.key === 'Enter') {
+            const firstResult = searchResults.querySelector('.search-result');
+            if (firstResult) firstResult.click();
+        }
+    });
+    
+    searchResults.addEventListener('click', (e) => {
+        const result = e.target.closest('.search-result');
+        if (!result) return;
+        
+        e.preventDefault();
+        openSearchResult(result.dataset.moduleId, result.dataset.lessonId, result.dataset.headingId);
+    });
+}
+
+// Initialize the flashcard review link and its due-today count
+function initReview() {
+    document.getElementById('review-link').addEventListener('click', (e) => {
+        e.preventDefault();
+        window.router.navigate('#/review');
+    });
+    
+    // Gather the cards in the background so the sidebar can show how many are due
+    window.reviewQueue.load()
+        .then(() => window.reviewQueue.updateDueCount())
+        .catch(error => console.error('Error loading flashcards:', error));
+}
+
+// Show the search results for a query in the sidebar
+async function renderSearchResults(query) {
+    const searchInput = document.getElementById('search-input');
+    const searchResults = document.getElementById('search-results');
+    
+    if (!query.trim()) {
+        searchResults.hidden = true;
+        searchResults.innerHTML = '';
+        return;
+    }
+    
+    searchResults.hidden = false;
+    searchResults.innerHTML = '<div class="search-message"><i class="fas fa-spinner fa-spin"></i> Indexing lessons...</div>';
+    
+    let results;
+    try {
+        await window.searchIndex.load();
+        results = window.searchIndex.search(query);
+    } catch (error) {
+        searchResults.innerHTML = '<div class="search-message">Search is unavailable right now.</div>';
+        return;
+    }
+    
+    // A newer query may have been typed while the index was building
+    if (searchInput.value !== query) return;
+    
+    if (results.length === 0) {
+        searchResults.innerHTML = '<div class="search-message">No lessons match your search.</div>';
+        return;
+    }
+    
+    searchResults.innerHTML = results.map(result => `
+        <a class="search-result" href="${window.router.lessonPath(result.moduleId, result.lessonId, result.headingId)}"
+            data-module-id="${result.moduleId}" data-lesson-id="${result.lessonId}" data-heading-id="${result.headingId || ''}">
+            <span class="search-result-title">${result.heading}</span>
+            ${result.headingId ? `<span class="search-result-lesson">${window.searchIndex.escapeHtml(result.lessonTitle)}</span>` : ''}
+            <span class="search-result-snippet">${result.snippet}</span>
+        </a>
+    `).join('');
+}
+
+// Load the lesson a search result belongs to and scroll to its section
+async function openSearchResult(moduleId, lessonId, headingId) {
+    const loaded = await window.contentLoader.loadLesson(moduleId, lessonId);
+    if (loaded && headingId) {
+        window.router.update(window.router.lessonPath(moduleId, lessonId, headingId), 'replace');
+        window.router.scrollToHeading(headingId);
+    }
+}
+
+// Register the service worker and offer to reload when a new version is ready
+function initServiceWorker() {
+    if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') return;
+    
+    // Only reload for an update the learner asked for, not when the first worker takes control
+    let updateAccepted = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (updateAccepted) window.location.reload();
+    });
+    
+    const offerUpdate = (worker) => {
+        showUpdatePrompt(() => {
+            updateAccepted = true;
+            worker.postMessage({ type: 'skip-waiting' });
+        });
+    };
+    
+    navigator.serviceWorker.register('sw.js', { updateViaCache: 'none' }).then(registration => {
+        // A worker left waiting from an earlier visit
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            offerUpdate(registration.waiting);
         }
-        // Otherwise, the welcome screen will remain visible
+        
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    offerUpdate(worker);
+                }
+            });
+        });
+    }).catch(error => {
+        console.error('Service worker registration failed:', error);
+    });
+}
+
+// Show a banner saying updated lessons are available, with a button to load them
+function showUpdatePrompt(onReload) {
+    if (document.querySelector('.update-prompt')) return;
+    
+    const prompt = document.createElement('div');
+    prompt.className = 'update-prompt';
+    prompt.setAttribute('role', 'status');
+    prompt.innerHTML = `
+        <span><i class="fas fa-sync-alt"></i> An update to the lessons is available.</span>
+        <button class="update-reload">Reload</button>
+        <button class="update-dismiss" aria-label="Dismiss"><i class="fas fa-times"></i></button>
+    `;
+    
+    prompt.querySelector('.update-reload').addEventListener('click', () => {
+        prompt.querySelector('.update-reload').disabled = true;
+        onReload();
+    });
+    prompt.querySelector('.update-dismiss').addEventListener('click', () => prompt.remove());
+    
+    document.body.appendChild(prompt);
+}
+
+// Handle initial route (e.g., direct link to a lesson, heading or exercise)
+function handleInitialRoute() {
+    // Let the router show whatever the URL points at
+    if (window.router.start()) return;
+    
+    // Check if there's a last visited lesson
+    const lastVisited = window.progressTracker.progressData.lastVisited;
+    if (lastVisited) {
+        window.contentLoader.loadLesson(lastVisited.moduleId, lastVisited.lessonId, { history: 'replace' });
     }
+    // Otherwise, the welcome screen will remain visible
 }
 
 // Show a toast notification
@@ -0,0 +1,87 @@
+// Code Sandbox - Executes learner code in a throwaway Web Worker with a time limit
+
+class CodeSandbox {
+    constructor(options = {}) {
+        this.workerUrl = options.workerUrl || 'js/sandbox-worker.js';
+        this.timeout = options.timeout || 3000;
+    }
+
+    // Run a script and collect its console output, return value and any uncaught error
+    run(code) {
+        return this.execute({ type: 'run', code });
+    }
+
+    // Run declarative test cases against a script; tests come either as data or as the source of a tests.js file
+    test(code, { tests = null, source = null }) {
+        return this.execute({ type: 'test', code, tests, testsSource: source });
+    }
+
+    // Start a fresh worker for the message and resolve once it reports back or times out
+    execute(message) {
+        return new Promise((resolve) => {
+            const worker = new Worker(this.workerUrl);
+            // The worker reports on this channel's other port, which learner code can't reach, so
+            // only messages arriving here are the run's own
+            const channel = new MessageChannel();
+            const startTime = performance.now();
+            const output = {
+                logs: [],
+                result: null,
+                tests: null,
+                error: null,
+                timedOut: false,
+                // The code finished but timers it set were still running at the time limit
+                cutOff: false,
+                duration: 0
+            };
+            let ran = false;
+
+            const finish = () => {
+                clearTimeout(timer);
+                channel.port1.close();
+                worker.terminate();
+                output.duration = Math.round(performance.now() - startTime);
+                resolve(output);
+            };
+
+            // Infinite loops never yield, so the only way out is to kill the worker
+            const timer = setTimeout(() => {
+                if (ran) output.cutOff = true;
+                else output.timedOut = true;
+                finish();
+            }, this.timeout);
+
+            channel.port1.onmessage = (event) => {
+                const data = event.data;
+                switch (data.type) {
+                    case 'console':
+                        output.logs.push({ level: data.level, text: data.text });
+                        break;
+                    case 'error':
+                        output.error = output.error || data.error;
+                        break;
+                    case 'done':
+                        output.result = data.result;
+                        output.tests = data.tests || null;
+                        output.error = output.error || data.error || null;
+                        // Output from timers still running comes in until they finish or time runs out
+                        ran = true;
+                        if (!data.pending) finish();
+                        break;
+                    case 'idle':
+                        finish();
+                        break;
+                }
+            };
+
+            // The worker script itself failed to load or crashed
+            worker.onerror = (event) => {
+                event.preventDefault();
+                output.error = { name: 'Error', message: event.message || 'The sandbox failed to start', line: null, column: null };
+                finish();
+            };
+
+            worker.postMessage(message, [channel.port2]);
+        });
+    }
+}
@@ -5,6 +5,7 @@ class ContentLoader {
         this.curriculum = curriculum;
         this.currentModule = null;
         this.currentLesson = null;
+        this.markdownCache = new Map();
         this.contentArea = document.getElementById('content-area');
         this.setupEventListeners();
     }
@@ -18,8 +19,10 @@ class ContentLoader {
         // Mark as complete button
         document.getElementById('mark-complete').addEventListener('click', () => this.markCurrentLessonComplete());
         
-        // Handle the start learning button on the welcome screen
-        document.getElementById('start-learning').addEventListener('click', () => {
+        // Handle the start learning button on the welcome screen, which is rebuilt each time it's shown
+        this.contentArea.addEventListener('click', (e) => {
+            if (!e.target.closest('#start-learning')) return;
+            
             const nextLesson = window.progressTracker.getNextLesson();
             if (nextLesson) {
                 this.loadLesson(nextLesson.moduleId, nextLesson.lessonId);
@@ -27,8 +30,9 @@ class ContentLoader {
         });
     }
 
-    // Load a lesson's content
-    async loadLesson(moduleId, lessonId) {
+    // Load a lesson's content. options.history is 'push' (default), 'replace' or 'none'
+    // for when the router is already showing this URL.
+    async loadLesson(moduleId, lessonId, options = {}) {
         // Find the module and lesson
         const module = this.curriculum.modules.find(m => m.id === moduleId);
         if (!module) return false;
@@ -40,34 +44,60 @@ class ContentLoader {
         this.currentModule = module;
         this.currentLesson = lesson;
         
+        // Give the lesson its own URL so back/forward and shared links work
+        if (options.history !== 'none' && window.router) {
+            window.router.update(window.router.lessonPath(moduleId, lessonId), options.history);
+        }
+        
         // Mark the lesson as visited in the progress tracker
         window.progressTracker.visitLesson(moduleId, lessonId);
         
+        // Study time from here on counts towards this lesson
+        window.studyTimer.update();
+        
         // Update navigation UI
         this.updateNavigation();
         
         // Load the content
         try {
-            const response = await fetch(lesson.content);
-            if (!response.ok) throw new Error(`Failed to load content: ${response.status}`);
-            
-            const markdown = await response.text();
+            const markdown = await this.fetchMarkdown(lesson.content);
             const htmlContent = marked.parse(markdown);
             
             // Create lesson container
             const lessonContainer = document.createElement('div');
             lessonContainer.className = 'lesson-content';
             lessonContainer.innerHTML = htmlContent;
+            this.addHeadingAnchors(lessonContainer, moduleId, lessonId);
+            window.lessonQuizzes.render(moduleId, lessonId, lessonContainer);
+            window.lessonFlashcards.render(moduleId, lessonId, lessonContainer);
             
             // Clear and update content area
             this.contentArea.innerHTML = '';
+            const prerequisiteNotice = this.renderPrerequisiteNotice(moduleId, lessonId);
+            if (prerequisiteNotice) {
+                this.contentArea.appendChild(prerequisiteNotice);
+            }
             this.contentArea.appendChild(lessonContainer);
             
+            // Add the table of contents beside it
+            window.lessonToc.render(moduleId, lessonId, lessonContainer);
+            
+            // List the lesson's exercises below the content
+            if (lesson.exercises && lesson.exercises.length > 0) {
+                this.contentArea.appendChild(this.renderExerciseList(module, lesson));
+            }
+            
             // Apply syntax highlighting
             document.querySelectorAll('pre code').forEach((block) => {
                 hljs.highlightElement(block);
             });
             
+            // Highlights go on last, as syntax highlighting rebuilds the code blocks
+            window.lessonNotes.render(moduleId, lessonId, lessonContainer);
+            
+            // Bookmark buttons, and back to where the lesson was left off
+            window.lessonBookmarks.render(moduleId, lessonId, lessonContainer);
+            
             // Update breadcrumb
             this.updateBreadcrumb(module.title, lesson.title);
             
@@ -91,6 +121,99 @@ class ContentLoader {
         }
     }
 
+    // Leave the open lesson for a page that isn't one, like the review queue or the lesson map
+    clearLesson() {
+        window.lessonToc.destroy();
+        window.lessonNotes.destroy();
+        window.lessonBookmarks.destroy();
+        this.currentModule = null;
+        this.currentLesson = null;
+        window.studyTimer.update();
+    }
+
+    // Fetch a lesson's markdown once; the search index reads through the same cache
+    fetchMarkdown(path) {
+        if (!this.markdownCache.has(path)) {
+            const request = fetch(path).then(response => {
+                if (!response.ok) throw new Error(`Failed to load content: ${response.status}`);
+                return response.text();
+            });
+            
+            // Don't cache failures, so the next attempt fetches again
+            request.catch(() => this.markdownCache.delete(path));
+            this.markdownCache.set(path, request);
+        }
+        return this.markdownCache.get(path);
+    }
+
+    // Point out the prerequisites of a lesson that aren't completed yet; null when there are none
+    renderPrerequisiteNotice(moduleId, lessonId) {
+        const missing = window.progressTracker.getMissingPrerequisites(moduleId, lessonId);
+        if (missing.length === 0) return null;
+        
+        const links = missing.map(({ module, lesson }) =>
+            `<a href="${window.router.lessonPath(module.id, lesson.id)}">${lesson.title}</a>`
+        );
+        const list = links.length === 1 ? links[0] : `${links.slice(0, -1).join(', ')} and ${links[links.length - 1]}`;
+        
+        const notice = document.createElement('div');
+        notice.className = 'lesson-prerequisites';
+        notice.innerHTML = `
+            <i class="fas fa-lock"></i>
+            <span>This lesson builds on ${list}, which you haven't completed yet. You can read on, but it will make more sense afterwards.</span>
+        `;
+        return notice;
+    }
+
+    // Give headings slug ids and a link to their own deep-link URL
+    addHeadingAnchors(container, moduleId, lessonId) {
+        assignHeadingIds(container).forEach(heading => {
+            const anchor = document.createElement('a');
+            anchor.className = 'heading-anchor';
+            anchor.href = window.router.lessonPath(moduleId, lessonId, heading.id);
+            anchor.setAttribute('aria-label', 'Link to this section');
+            anchor.textContent = '#';
+            heading.appendChild(anchor);
+        });
+    }
+
+    // Build the exercise cards shown at the end of a lesson
+    renderExerciseList(module, lesson) {
+        const section = document.createElement('section');
+        section.className = 'lesson-exercises';
+        section.innerHTML = '<h2>Practice Exercises</h2>';
+        
+        lesson.exercises.forEach(exercise => {
+            const status = window.progressTracker.getExerciseStatus(module.id, lesson.id, exercise.id);
+            const card = document.createElement('div');
+            card.className = 'exercise-card';
+            card.dataset.exerciseId = exercise.id;
+            card.innerHTML = `
+                <div class="exercise-card-info">
+                    <h4>
+                        <span class="exercise-status status-${status}"></span>
+                        ${exercise.title}
+                    </h4>
+                    <p>${exercise.description}</p>
+                    <span class="difficulty-badge difficulty-${exercise.difficulty}">
+                        ${exercise.difficulty.charAt(0).toUpperCase() + exercise.difficulty.slice(1)}
+                    </span>
+                </div>
+                <button class="action-button">
+                    <i class="fas fa-laptop-code"></i> Open
+                </button>
+            `;
+            
+            card.querySelector('button').addEventListener('click', () => {
+                window.openExercise(exercise.id, module.id, lesson.id);
+            });
+            
+            section.appendChild(card);
+        });
+        
+        return section;
+    }
+
     // Update the breadcrumb navigation
     updateBreadcrumb(moduleTitle, lessonTitle) {
         const breadcrumb = document.getElementById('breadcrumb');
@@ -238,14 +361,50 @@ class ContentLoader {
                 statusClass = 'status-not-started';
         }
         
+        const quizScore = window.lessonQuizzes.getScore(this.currentModule.id, this.currentLesson.id);
         statusElement.innerHTML = `
             <span class="lesson-status-dot ${statusClass}"></span>
             <span class="lesson-status-text">${statusText}</span>
+            ${quizScore && quizScore.total > 0 ? `<span class="lesson-quiz-score">Quiz ${quizScore.correct}/${quizScore.total}</span>` : ''}
         `;
         
+        // Update the exercise status dots
+        this.contentArea.querySelectorAll('.exercise-card').forEach(card => {
+            const exerciseStatus = window.progressTracker.getExerciseStatus(
+                this.currentModule.id, this.currentLesson.id, card.dataset.exerciseId
+            );
+            card.querySelector('.exercise-status').className = `exercise-status status-${exerciseStatus}`;
+        });
+        
         // Update the button text
         const completeButton = document.getElementById('mark-complete');
         completeButton.textContent = lessonStatus === 'completed' ? 'Mark as Incomplete' : 'Mark as Complete';
+        
+        // Lessons that require a quiz pass stay locked until every quiz is answered correctly
+        const locked = lessonStatus !== 'completed' && !this.canCompleteLesson();
+        completeButton.disabled = locked;
+        completeButton.title = locked ? 'Answer every quiz in this lesson correctly to complete it' : '';
+    }
+
+    // Whether the current lesson may be marked complete; see the lesson's requireQuizPass flag
+    canCompleteLesson() {
+        if (!this.currentLesson.requireQuizPass) return true;
+        
+        const score = window.lessonQuizzes.getScore(this.currentModule.id, this.currentLesson.id);
+        return !!score && score.correct === score.total;
+    }
+
+    // A lesson that requires a quiz pass doesn't complete with its last exercise while the quizzes
+    // aren't passed, so passing them afterwards completes it
+    completeLessonIfDone() {
+        const exercises = this.currentLesson.exercises || [];
+        if (!this.currentLesson.requireQuizPass || exercises.length === 0 || !this.canCompleteLesson()) return;
+
+        const moduleId = this.currentModule.id;
+        const lessonId = this.currentLesson.id;
+        if (exercises.every(e => window.progressTracker.getExerciseStatus(moduleId, lessonId, e.id) === 'completed')) {
+            window.progressTracker.completeLesson(moduleId, lessonId);
+        }
     }
 
     // Mark the current lesson as complete or incomplete
@@ -259,7 +418,7 @@ class ContentLoader {
         if (currentStatus === 'completed') {
             window.progressTracker.uncompleteLesson(moduleId, lessonId);
             this.updateLessonStatus();
-        } else {
+        } else if (this.canCompleteLesson()) {
             window.progressTracker.completeLesson(moduleId, lessonId);
             this.updateLessonStatus();
         }
@@ -11,20 +11,41 @@ const curriculum = {
                     id: "git-fundamentals",
                     title: "Git Fundamentals",
                     content: "content/essential-skills/git-fundamentals.md",
+                    requireQuizPass: true,
                     exercises: [
                         {
                             id: "git-exercise-1",
                             title: "Basic Git Workflow",
-                            description: "Learn the core Git commands and workflow.",
+                            description: "Learn the core Git commands and workflow. Initialize a repository, create a README.md, commit it, then change it and commit again so the working tree ends up clean.",
                             type: "terminal",
-                            difficulty: "beginner"
+                            difficulty: "beginner",
+                            goals: [
+                                { name: "Initialize a Git repository", type: "repoInitialized" },
+                                { name: "Commit a README.md on main", type: "fileCommitted", path: "README.md", branch: "main" },
+                                { name: "Make at least 2 commits on main", type: "commitCount", branch: "main", min: 2 },
+                                { name: "Leave nothing uncommitted", type: "cleanWorkingTree" }
+                            ]
                         },
                         {
                             id: "git-exercise-2",
                             title: "Branching and Merging",
-                            description: "Practice creating branches and merging changes.",
+                            description: "Practice creating branches and merging changes. Starting from the prepared repository, commit a change to README.md on a new feature branch and a different change to the same file on main, then merge feature into main and resolve the conflict.",
                             type: "terminal",
-                            difficulty: "intermediate"
+                            difficulty: "intermediate",
+                            setup: [
+                                "git init",
+                                "echo \"# Project\" > README.md",
+                                "git add README.md",
+                                "git commit -m \"Initial commit\""
+                            ],
+                            goals: [
+                                { name: "Create a feature branch", type: "branchExists", branch: "feature" },
+                                { name: "Merge feature into main", type: "merged", source: "feature", target: "main" },
+                                { name: "Record the merge with a merge commit", type: "mergeCommit", branch: "main" },
+                                { name: "Have at least 3 commits on main", type: "commitCount", branch: "main", min: 3 },
+                                { name: "Resolve every conflict marker", type: "noConflictMarkers" },
+                                { name: "Leave nothing uncommitted", type: "cleanWorkingTree" }
+                            ]
                         }
                     ]
                 },
@@ -36,9 +57,15 @@ const curriculum = {
                         {
                             id: "docker-exercise-1",
                             title: "Your First Container",
-                            description: "Create and run your first Docker container.",
+                            description: "Create and run your first Docker container. Write a Dockerfile with a base image and a CMD, build it as hello-docker, then run a container from it.",
                             type: "terminal",
-                            difficulty: "beginner"
+                            difficulty: "beginner",
+                            goals: [
+                                { name: "Write a Dockerfile that starts FROM a base image", type: "fileContains", path: "Dockerfile", pattern: "^FROM\\s+\\S+" },
+                                { name: "Give the image a default command", type: "fileContains", path: "Dockerfile", pattern: "^(CMD|ENTRYPOINT)\\s+\\S+" },
+                                { name: "Build an image tagged hello-docker", type: "imageBuilt", tag: "hello-docker" },
+                                { name: "Run a container from hello-docker", type: "containerRan", image: "hello-docker" }
+                            ]
                         }
                     ]
                 },
@@ -50,7 +77,7 @@ const curriculum = {
                         {
                             id: "design-patterns-exercise-1",
                             title: "Factory Pattern Implementation",
-                            description: "Implement the Factory design pattern.",
+                            description: "Implement the Factory design pattern with a createShape function that builds squares and circles.",
                             type: "code",
                             language: "javascript",
                             difficulty: "intermediate"
@@ -103,10 +130,32 @@ const curriculum = {
                         {
                             id: "js-exercise-1",
                             title: "Working with Arrays",
-                            description: "Practice array methods and transformations.",
+                            description: "Practice array methods and transformations by implementing getEvenSquares, sumPrices and groupByCategory.",
                             type: "code",
                             language: "javascript",
-                            difficulty: "beginner"
+                            difficulty: "beginner",
+                            tests: [
+                                {
+                                    name: "getEvenSquares squares only the even numbers",
+                                    code: "getEvenSquares([1, 2, 3, 4, 5, 6])",
+                                    expected: [4, 16, 36]
+                                },
+                                {
+                                    name: "getEvenSquares handles an empty array",
+                                    code: "getEvenSquares([])",
+                                    expected: []
+                                },
+                                {
+                                    name: "sumPrices adds up the price of every item",
+                                    code: "sumPrices([{ name: 'pen', price: 2 }, { name: 'book', price: 12 }, { name: 'bag', price: 30 }])",
+                                    expected: 44
+                                },
+                                {
+                                    name: "groupByCategory groups product names by category",
+                                    code: "groupByCategory([{ name: 'apple', category: 'fruit' }, { name: 'carrot', category: 'vegetable' }, { name: 'pear', category: 'fruit' }])",
+                                    expected: { fruit: ["apple", "pear"], vegetable: ["carrot"] }
+                                }
+                            ]
                         }
                     ]
                 },
@@ -114,14 +163,49 @@ const curriculum = {
                     id: "typescript-basics",
                     title: "TypeScript Basics",
                     content: "content/frontend-fundamentals/typescript-basics.md",
+                    prerequisites: ["frontend-fundamentals/javascript-essentials"],
                     exercises: [
                         {
                             id: "ts-exercise-1",
                             title: "Type Definitions",
-                            description: "Create interfaces and type definitions.",
+                            description: "Create a Role type, a User interface and a typed describeUser function.",
                             type: "code",
                             language: "typescript",
-                            difficulty: "beginner"
+                            difficulty: "beginner",
+                            typeTests: [
+                                {
+                                    name: "Role allows admin, editor and viewer",
+                                    code: "const roles: Role[] = ['admin', 'editor', 'viewer'];"
+                                },
+                                {
+                                    name: "Role rejects any other string",
+                                    code: "const role: Role = 'admin';\n// @ts-expect-error\nconst invalid: Role = 'superuser';"
+                                },
+                                {
+                                    name: "User accepts a user with or without a nickname",
+                                    code: "const ada: User = { id: 1, name: 'Ada', email: 'ada@example.com', role: 'admin' };\nconst alan: User = { id: 2, name: 'Alan', email: 'alan@example.com', role: 'viewer', nickname: 'Al' };"
+                                },
+                                {
+                                    name: "User requires an email",
+                                    code: "const valid: User = { id: 3, name: 'Linus', email: 'linus@example.com', role: 'editor' };\n// @ts-expect-error\nconst missingEmail: User = { id: 3, name: 'Linus', role: 'editor' };"
+                                },
+                                {
+                                    name: "describeUser takes a User and returns a string",
+                                    code: "const description: string = describeUser({ id: 1, name: 'Ada', email: 'ada@example.com', role: 'admin' });"
+                                }
+                            ],
+                            tests: [
+                                {
+                                    name: "describeUser uses the name when there is no nickname",
+                                    code: "describeUser({ id: 1, name: 'Ada Lovelace', email: 'ada@example.com', role: 'admin' })",
+                                    expected: "Ada Lovelace <ada@example.com> (admin)"
+                                },
+                                {
+                                    name: "describeUser prefers the nickname",
+                                    code: "describeUser({ id: 2, name: 'Alan Turing', email: 'alan@example.com', role: 'viewer', nickname: 'Al' })",
+                                    expected: "Al <alan@example.com> (viewer)"
+                                }
+                            ]
                         }
                     ]
                 },
@@ -129,6 +213,7 @@ const curriculum = {
                     id: "vue-fundamentals",
                     title: "Vue.js Fundamentals",
                     content: "content/frontend-fundamentals/vue-fundamentals.md",
+                    prerequisites: ["frontend-fundamentals/javascript-essentials"],
                     exercises: [
                         {
                             id: "vue-exercise-1",
@@ -169,6 +254,7 @@ const curriculum = {
                     id: "api-design",
                     title: "API Design",
                     content: "content/backend-development/api-design.md",
+                    prerequisites: ["backend-development/csharp-basics"],
                     exercises: [
                         {
                             id: "api-exercise-1",
@@ -195,10 +281,45 @@ const curriculum = {
                         {
                             id: "sql-exercise-1",
                             title: "Basic SQL Queries",
-                            description: "Write SELECT, INSERT, UPDATE, and DELETE queries.",
+                            description: "Write SELECT, INSERT, UPDATE, and DELETE queries against an employees table.",
                             type: "code",
                             language: "sql",
-                            difficulty: "beginner"
+                            difficulty: "beginner",
+                            database: {
+                                schema: "CREATE TABLE employees (id INTEGER PRIMARY KEY, name TEXT NOT NULL, department TEXT NOT NULL, salary INTEGER NOT NULL);",
+                                seed: "INSERT INTO employees (name, department, salary) VALUES " +
+                                    "('Ada Lovelace', 'Engineering', 120000), " +
+                                    "('Alan Turing', 'Engineering', 110000), " +
+                                    "('Linus Torvalds', 'Engineering', 105000), " +
+                                    "('Margaret Hamilton', 'Sales', 60000), " +
+                                    "('Tim Berners-Lee', 'Sales', 50000), " +
+                                    "('Ken Thompson', 'Temp', 30000);"
+                            },
+                            tests: [
+                                {
+                                    name: "Grace Hopper was inserted into Engineering",
+                                    query: "SELECT name, department, salary FROM employees WHERE name = 'Grace Hopper'",
+                                    expected: { columns: ["name", "department", "salary"], rows: [["Grace Hopper", "Engineering", 95000]] }
+                                },
+                                {
+                                    name: "Sales employees got a 10% raise",
+                                    query: "SELECT name, salary FROM employees WHERE department = 'Sales'",
+                                    expected: { columns: ["name", "salary"], rows: [["Margaret Hamilton", 66000], ["Tim Berners-Lee", 55000]] },
+                                    ignoreOrder: true
+                                },
+                                {
+                                    name: "Temp employees were deleted",
+                                    query: "SELECT COUNT(*) AS remaining FROM employees WHERE department = 'Temp'",
+                                    expected: { columns: ["remaining"], rows: [[0]] }
+                                },
+                                {
+                                    name: "The final SELECT lists Engineering by salary, highest first",
+                                    expected: {
+                                        columns: ["name", "salary"],
+                                        rows: [["Ada Lovelace", 120000], ["Alan Turing", 110000], ["Linus Torvalds", 105000], ["Grace Hopper", 95000]]
+                                    }
+                                }
+                            ]
                         }
                     ]
                 },
@@ -206,14 +327,42 @@ const curriculum = {
                     id: "sqlite-basics",
                     title: "SQLite Basics",
                     content: "content/database-design/sqlite-basics.md",
+                    prerequisites: ["database-design/sql-fundamentals"],
                     exercises: [
                         {
                             id: "sqlite-exercise-1",
                             title: "Setting Up SQLite",
-                            description: "Create a database and tables with SQLite.",
+                            description: "Create courses and enrollments tables next to the existing students table.",
                             type: "code",
                             language: "sql",
-                            difficulty: "beginner"
+                            difficulty: "beginner",
+                            database: {
+                                schema: "CREATE TABLE students (id INTEGER PRIMARY KEY, name TEXT NOT NULL);",
+                                seed: "INSERT INTO students (name) VALUES ('Alice'), ('Bob'), ('Chen');"
+                            },
+                            tests: [
+                                {
+                                    name: "courses has id, title and credits columns",
+                                    query: "SELECT name, upper(type) AS type FROM pragma_table_info('courses') ORDER BY cid",
+                                    expected: { columns: ["name", "type"], rows: [["id", "INTEGER"], ["title", "TEXT"], ["credits", "INTEGER"]] }
+                                },
+                                {
+                                    name: "enrollments references students and courses",
+                                    query: "SELECT \"table\", \"from\", \"to\" FROM pragma_foreign_key_list('enrollments')",
+                                    expected: { columns: ["table", "from", "to"], rows: [["courses", "course_id", "id"], ["students", "student_id", "id"]] },
+                                    ignoreOrder: true
+                                },
+                                {
+                                    name: "Three courses were added",
+                                    query: "SELECT COUNT(*) AS courses FROM courses",
+                                    expected: { columns: ["courses"], rows: [[3]] }
+                                },
+                                {
+                                    name: "Alice is enrolled in two courses",
+                                    query: "SELECT COUNT(*) AS enrollments FROM enrollments e JOIN students s ON s.id = e.student_id WHERE s.name = 'Alice'",
+                                    expected: { columns: ["enrollments"], rows: [[2]] }
+                                }
+                            ]
                         }
                     ]
                 },
@@ -230,6 +379,7 @@ const curriculum = {
                     id: "architecture-patterns",
                     title: "Architecture Patterns",
                     content: "content/system-design/architecture-patterns.md",
+                    prerequisites: ["essential-skills/design-patterns"],
                     exercises: [
                         {
                             id: "architecture-exercise-1",
@@ -247,6 +397,7 @@ const curriculum = {
             title: "DevOps & Deployment",
             icon: "fa-rocket",
             description: "CI/CD, containerization, monitoring, and deployment strategies.",
+            prerequisites: ["essential-skills/git-fundamentals", "essential-skills/docker-basics"],
             lessons: [
                 {
                     id: "cicd-pipelines",
@@ -319,6 +470,7 @@ const curriculum = {
                     id: "static-to-spa",
                     title: "From Static to SPA",
                     content: "content/portal-development/static-to-spa.md",
+                    prerequisites: ["frontend-fundamentals/vue-fundamentals"],
                     exercises: [
                         {
                             id: "portal-exercise-1",
@@ -333,6 +485,7 @@ const curriculum = {
                     id: "adding-backend",
                     title: "Adding a Backend",
                     content: "content/portal-development/adding-backend.md",
+                    prerequisites: ["backend-development/csharp-basics", "portal-development/static-to-spa"],
                     exercises: [
                         {
                             id: "portal-exercise-2",
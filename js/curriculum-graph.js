@@ -0,0 +1,180 @@
+// Curriculum Graph - Resolves lesson and module prerequisites and recommends what to study next
+//
+// Lessons and modules list their prerequisites in curriculum-data.js as references:
+// "module-id/lesson-id" for a lesson, or "module-id" for a whole module. A module's
+// prerequisites apply to every lesson in it.
+
+class CurriculumGraph {
+    constructor(curriculum) {
+        this.curriculum = curriculum;
+        this.nodes = new Map();
+        this.problems = [];
+        this.build();
+    }
+
+    // The key a lesson is stored under in the graph
+    static key(moduleId, lessonId) {
+        return `${moduleId}/${lessonId}`;
+    }
+
+    // Resolve every reference to the lessons it stands for, noting any that can't be resolved
+    build() {
+        this.curriculum.modules.forEach(module => {
+            module.lessons.forEach(lesson => {
+                this.nodes.set(CurriculumGraph.key(module.id, lesson.id), { module, lesson, prerequisites: [], dependents: [] });
+            });
+        });
+
+        this.nodes.forEach((node, key) => {
+            const references = [...(node.module.prerequisites || []), ...(node.lesson.prerequisites || [])];
+            const prerequisites = new Set();
+
+            references.forEach(reference => {
+                const keys = this.resolve(reference);
+                if (!keys) {
+                    this.problems.push(`${key}: unknown prerequisite "${reference}"`);
+                    return;
+                }
+                // Naming the lesson itself is a mistake; naming its own module just skips the lesson
+                if (keys.length === 1 && keys[0] === key) {
+                    this.problems.push(`${key}: a lesson can't be its own prerequisite`);
+                }
+                keys.filter(prerequisite => prerequisite !== key).forEach(prerequisite => prerequisites.add(prerequisite));
+            });
+
+            node.prerequisites = [...prerequisites];
+            node.prerequisites.forEach(prerequisite => this.nodes.get(prerequisite).dependents.push(key));
+        });
+
+        this.findCycles().forEach(cycle => {
+            this.problems.push(`prerequisites form a cycle: ${cycle.join(' → ')}`);
+        });
+    }
+
+    // The lesson keys a reference stands for, or null when it names nothing in the curriculum
+    resolve(reference) {
+        const [moduleId, lessonId, ...rest] = String(reference).split('/');
+        const module = this.curriculum.modules.find(m => m.id === moduleId);
+        if (!module || rest.length > 0) return null;
+
+        if (lessonId === undefined) return module.lessons.map(lesson => CurriculumGraph.key(module.id, lesson.id));
+        return module.lessons.some(lesson => lesson.id === lessonId) ? [CurriculumGraph.key(moduleId, lessonId)] : null;
+    }
+
+    // Each cycle once, as the list of lesson keys around it
+    findCycles() {
+        const cycles = [];
+        const state = new Map();
+        const path = [];
+
+        const visit = (key) => {
+            state.set(key, 'visiting');
+            path.push(key);
+            this.nodes.get(key).prerequisites.forEach(prerequisite => {
+                if (state.get(prerequisite) === 'visiting') {
+                    cycles.push([...path.slice(path.indexOf(prerequisite)), prerequisite]);
+                } else if (!state.has(prerequisite)) {
+                    visit(prerequisite);
+                }
+            });
+            path.pop();
+            state.set(key, 'done');
+        };
+
+        this.nodes.forEach((node, key) => {
+            if (!state.has(key)) visit(key);
+        });
+        return cycles;
+    }
+
+    // The direct prerequisites of a lesson, as { module, lesson } pairs
+    getPrerequisites(moduleId, lessonId) {
+        const node = this.nodes.get(CurriculumGraph.key(moduleId, lessonId));
+        if (!node) return [];
+        return node.prerequisites.map(key => {
+            const { module, lesson } = this.nodes.get(key);
+            return { module, lesson };
+        });
+    }
+
+    // The prerequisites of a lesson that aren't completed yet. isCompleted(moduleId, lessonId) says
+    // whether a lesson is done.
+    getMissingPrerequisites(moduleId, lessonId, isCompleted) {
+        return this.getPrerequisites(moduleId, lessonId)
+            .filter(({ module, lesson }) => !isCompleted(module.id, lesson.id));
+    }
+
+    // 'completed', 'available' once every prerequisite is completed, or 'locked'
+    getLessonState(moduleId, lessonId, isCompleted) {
+        if (isCompleted(moduleId, lessonId)) return 'completed';
+        return this.getMissingPrerequisites(moduleId, lessonId, isCompleted).length === 0 ? 'available' : 'locked';
+    }
+
+    // Recommend a lesson that isn't completed and whose prerequisites all are, starting from the
+    // lesson the learner was last on: a missing prerequisite if that lesson is locked, then
+    // lessons it unlocks, then the lessons after it in curriculum order. Null when none is left.
+    getRecommendedLesson(isCompleted, fromModuleId = null, fromLessonId = null) {
+        const isAvailable = (key) => {
+            const { module, lesson } = this.nodes.get(key);
+            return this.getLessonState(module.id, lesson.id, isCompleted) === 'available';
+        };
+        const toLesson = (key) => {
+            const { module, lesson } = this.nodes.get(key);
+            return { moduleId: module.id, lessonId: lesson.id };
+        };
+
+        const keys = [...this.nodes.keys()];
+        const fromKey = CurriculumGraph.key(fromModuleId, fromLessonId);
+        if (!this.nodes.has(fromKey)) {
+            const first = keys.find(isAvailable);
+            return first ? toLesson(first) : null;
+        }
+
+        const missing = this.findAvailablePrerequisite(fromKey, isAvailable, isCompleted, new Set());
+        if (missing) return toLesson(missing);
+
+        const start = keys.indexOf(fromKey) + 1;
+        const ordered = [...keys.slice(start), ...keys.slice(0, start)];
+        const unlocked = ordered.find(key => this.nodes.get(fromKey).dependents.includes(key) && isAvailable(key));
+        if (unlocked) return toLesson(unlocked);
+
+        const next = ordered.find(isAvailable);
+        return next ? toLesson(next) : null;
+    }
+
+    // The first incomplete prerequisite of a lesson, at any depth, that can be started now
+    findAvailablePrerequisite(key, isAvailable, isCompleted, visited) {
+        visited.add(key);
+        for (const prerequisite of this.nodes.get(key).prerequisites) {
+            const { module, lesson } = this.nodes.get(prerequisite);
+            if (visited.has(prerequisite) || isCompleted(module.id, lesson.id)) continue;
+            if (isAvailable(prerequisite)) return prerequisite;
+
+            const deeper = this.findAvailablePrerequisite(prerequisite, isAvailable, isCompleted, visited);
+            if (deeper) return deeper;
+        }
+        return null;
+    }
+
+    // How far each lesson sits from lessons with no prerequisites: 0 for those, otherwise one more
+    // than its deepest prerequisite. A cycle is cut where the walk first comes back round to it.
+    getDepths() {
+        const depths = new Map();
+        const visiting = new Set();
+
+        const depthOf = (key) => {
+            if (depths.has(key)) return depths.get(key);
+            if (visiting.has(key)) return 0;
+
+            visiting.add(key);
+            const prerequisites = this.nodes.get(key).prerequisites;
+            const depth = prerequisites.length === 0 ? 0 : Math.max(...prerequisites.map(depthOf)) + 1;
+            visiting.delete(key);
+            depths.set(key, depth);
+            return depth;
+        };
+
+        this.nodes.forEach((node, key) => depthOf(key));
+        return depths;
+    }
+}
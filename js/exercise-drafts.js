@@ -0,0 +1,116 @@
+// Exercise Drafts - Autosaved editor contents and the history of runs and submissions per exercise
+
+// Older attempts are dropped past this, to stay well inside the localStorage quota
+const MAX_ATTEMPTS_PER_EXERCISE = 50;
+
+class ExerciseDrafts {
+    constructor() {
+        this.data = this.load();
+        window.addEventListener('profilechange', () => {
+            this.data = this.load();
+        });
+    }
+
+    // Drafts are kept apart from learningProgress so exported progress stays small.
+    // Each profile has its own.
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(window.profileManager.storageKey('exerciseDrafts'))) || {};
+        } catch (error) {
+            console.error('Could not read saved exercise drafts:', error);
+            return {};
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(window.profileManager.storageKey('exerciseDrafts'), JSON.stringify(this.data));
+        } catch (error) {
+            console.error('Could not save exercise drafts:', error);
+        }
+    }
+
+    entry(exerciseId) {
+        if (!this.data[exerciseId]) {
+            this.data[exerciseId] = { draft: null, attempts: [] };
+        }
+        return this.data[exerciseId];
+    }
+
+    // The last autosaved editor contents, or null
+    getDraft(exerciseId) {
+        return this.data[exerciseId]?.draft || null;
+    }
+
+    saveDraft(exerciseId, code) {
+        this.entry(exerciseId).draft = { code, savedAt: new Date().toISOString() };
+        this.save();
+    }
+
+    clearDraft(exerciseId) {
+        if (!this.data[exerciseId]) return;
+        this.data[exerciseId].draft = null;
+        this.save();
+    }
+
+    // Record a run, test or submit. outcome is { passed, total } when tests ran, otherwise null.
+    // Running the same code twice in a row just refreshes the previous run's timestamp.
+    recordAttempt(exerciseId, kind, code, outcome = null) {
+        const attempts = this.entry(exerciseId).attempts;
+        const timestamp = new Date().toISOString();
+        const previous = attempts[attempts.length - 1];
+
+        if (kind === 'run' && previous && previous.kind === 'run' && previous.code === code) {
+            previous.timestamp = timestamp;
+        } else {
+            attempts.push({ id: `${Date.now().toString(36)}-${attempts.length}`, kind, code, timestamp, outcome });
+            attempts.splice(0, Math.max(attempts.length - MAX_ATTEMPTS_PER_EXERCISE, 0));
+        }
+        this.save();
+        return attempts[attempts.length - 1];
+    }
+
+    // Attempts for an exercise, newest first
+    getAttempts(exerciseId) {
+        return [...(this.data[exerciseId]?.attempts || [])].reverse();
+    }
+
+    getAttempt(exerciseId, attemptId) {
+        return (this.data[exerciseId]?.attempts || []).find(attempt => attempt.id === attemptId) || null;
+    }
+
+    // Line diff between two texts from their longest common subsequence of lines.
+    // Returns [{ type: 'same' | 'add' | 'remove', text }] reading from before to after.
+    diffLines(before, after) {
+        const a = before.split('\n');
+        const b = after.split('\n');
+
+        // lengths[i][j] is the LCS length of a[i:] and b[j:]
+        const lengths = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lengths[i][j] = a[i] === b[j]
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+
+        const lines = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                lines.push({ type: 'same', text: a[i] });
+                i++;
+                j++;
+            } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+                lines.push({ type: 'remove', text: a[i++] });
+            } else {
+                lines.push({ type: 'add', text: b[j++] });
+            }
+        }
+        while (i < a.length) lines.push({ type: 'remove', text: a[i++] });
+        while (j < b.length) lines.push({ type: 'add', text: b[j++] });
+        return lines;
+    }
+}
@@ -5,14 +5,32 @@ class ExerciseHandler {
         this.currentExercise = null;
         this.currentModuleId = null;
         this.currentLessonId = null;
+        this.sandbox = new CodeSandbox();
+        this.sqlRunner = new SqlRunner();
+        this.tsCompiler = new TypeScriptCompiler();
+        this.vuePreview = new VuePreview();
+        this.previewVersion = 0;
+        this.testSuites = new Map();
+        this.terminal = null;
+        this.terminalHistory = [];
+        this.terminalHistoryIndex = 0;
+        this.drafts = new ExerciseDrafts();
+        this.draftTimer = null;
+        this.selectedAttemptId = null;
         
         // Elements
         this.modal = document.getElementById('exercise-modal');
         this.titleElement = document.getElementById('exercise-title');
         this.descriptionElement = document.getElementById('exercise-description');
         this.codeEditor = document.getElementById('code-editor');
+        this.editorHighlights = document.getElementById('editor-highlights');
         this.previewFrame = document.getElementById('preview-frame');
         this.testResults = document.getElementById('test-results');
+        this.terminalOutput = document.getElementById('terminal-output');
+        this.terminalForm = document.getElementById('terminal-form');
+        this.terminalPrompt = document.getElementById('terminal-prompt');
+        this.terminalInput = document.getElementById('terminal-input');
+        this.attemptHistory = document.getElementById('attempt-history');
         
         // Buttons
         this.closeButton = document.getElementById('close-modal');
@@ -45,10 +63,44 @@ class ExerciseHandler {
         
         // Submit button
         this.submitButton.addEventListener('click', () => this.submitExercise());
+        
+        // Diagnostic marks only line up with the code they were computed for, and edits are autosaved
+        this.codeEditor.addEventListener('input', () => {
+            this.clearEditorMarks();
+            this.scheduleDraftSave();
+        });
+        window.addEventListener('pagehide', () => this.flushDraft());
+        this.codeEditor.addEventListener('scroll', () => {
+            this.editorHighlights.scrollTop = this.codeEditor.scrollTop;
+        });
+        
+        // Clicking a diagnostic jumps to it in the editor
+        this.testResults.addEventListener('click', (e) => {
+            const diagnostic = e.target.closest('.diagnostic[data-start]');
+            if (diagnostic) {
+                this.revealInEditor(Number(diagnostic.dataset.start), Number(diagnostic.dataset.length));
+            }
+        });
+        
+        // Terminal input, with the up and down arrows walking through command history
+        this.terminalForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.runTerminalCommand(this.terminalInput.value);
+        });
+        this.terminalInput.addEventListener('keydown', (e) => this.handleTerminalKey(e));
+        document.getElementById('terminal').addEventListener('click', () => {
+            if (!window.getSelection().toString()) this.terminalInput.focus();
+        });
+        
+        // Diff, restore and reset buttons in the history tab
+        this.attemptHistory.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (button) this.handleHistoryAction(button.dataset.action, button.dataset.attemptId);
+        });
     }
     
-    // Open an exercise
-    openExercise(exerciseId, moduleId, lessonId) {
+    // Open an exercise; options.history is 'none' when the router is already showing its URL
+    openExercise(exerciseId, moduleId, lessonId, options = {}) {
         // Find the exercise in the curriculum
         let exercise = null;
         const module = curriculum.modules.find(m => m.id === moduleId);
@@ -65,6 +117,7 @@ class ExerciseHandler {
         }
         
         // Set current exercise and context
+        this.flushDraft();
         this.currentExercise = exercise;
         this.currentModuleId = moduleId;
         this.currentLessonId = lessonId;
@@ -79,29 +132,55 @@ class ExerciseHandler {
                     ${exercise.difficulty.charAt(0).toUpperCase() + exercise.difficulty.slice(1)}
                 </span>
                 <span class="type-badge">
-                    <i class="fas fa-code"></i> ${exercise.type.charAt(0).toUpperCase() + exercise.type.slice(1)}
+                    <i class="fas ${exercise.type === 'terminal' ? 'fa-terminal' : 'fa-code'}"></i> ${exercise.type.charAt(0).toUpperCase() + exercise.type.slice(1)}
                     ${exercise.language ? ` (${exercise.language})` : ''}
                 </span>
             </div>
         `;
         
-        // Load starter code if available
-        this.loadStarterCode(exercise);
+        // Terminal exercises get a shell instead of the code editor
+        const isTerminal = exercise.type === 'terminal';
+        this.setTerminalMode(isTerminal);
+        this.selectedAttemptId = null;
+        if (isTerminal) {
+            this.startTerminal(exercise);
+        } else {
+            // Pick up where the learner left off
+            const draft = this.drafts.getDraft(exercise.id);
+            if (draft) {
+                this.codeEditor.value = draft.code;
+            } else {
+                this.loadStarterCode(exercise);
+            }
+        }
         
         // Reset tabs
-        this.switchTab('code');
+        this.switchTab(isTerminal ? 'terminal' : 'code');
         
         // Show the modal
         this.modal.classList.add('open');
         
+        if (options.history !== 'none') {
+            window.router.update(window.router.exercisePath(exerciseId));
+        }
+        
         // Mark exercise as started in progress tracker
         window.progressTracker.startExercise(moduleId, lessonId, exerciseId);
+        window.studyTimer.update();
     }
     
-    // Close the exercise modal
-    closeExercise() {
+    // Close the exercise modal and return to the lesson's URL
+    closeExercise(options = {}) {
+        if (this.currentExercise && options.history !== 'none') {
+            window.router.update(window.router.lessonPath(this.currentModuleId, this.currentLessonId));
+        }
+        
+        this.flushDraft();
         this.modal.classList.remove('open');
         this.currentExercise = null;
+        this.terminal = null;
+        this.clearEditorMarks();
+        window.studyTimer.update();
     }
     
     // Switch between tabs (code, preview, tests)
@@ -127,7 +206,79 @@ class ExerciseHandler {
         // If switching to preview, update it
         if (tabId === 'preview') {
             this.updatePreview();
+        } else if (tabId === 'terminal') {
+            this.terminalInput.focus();
+        } else if (tabId === 'history') {
+            this.renderHistory();
+        }
+    }
+    
+    // Show the terminal tab in place of the code and preview tabs, and check goals instead of running tests
+    setTerminalMode(enabled) {
+        this.editorTabs.forEach(tab => {
+            tab.hidden = tab.dataset.tab === 'terminal' ? !enabled : enabled && tab.dataset.tab !== 'tests';
+        });
+        this.runCodeButton.hidden = enabled;
+        this.runTestsButton.innerHTML = enabled
+            ? '<i class="fas fa-flag-checkered"></i> Check Goals'
+            : '<i class="fas fa-vial"></i> Run Tests';
+    }
+    
+    // Start a fresh shell for the exercise, running its setup commands first
+    startTerminal(exercise) {
+        this.terminal = new TerminalShell();
+        (exercise.setup || []).forEach(command => {
+            const result = this.terminal.execute(command);
+            if (result.error) console.error(`Setup command failed for ${exercise.id}: ${command}`, result.output);
+        });
+        
+        this.terminalHistory = [];
+        this.terminalHistoryIndex = 0;
+        this.terminalOutput.innerHTML = `
+            <div class="terminal-line terminal-info">This is a simulated terminal. Type "help" to see the available commands.</div>
+        `;
+        this.terminalInput.value = '';
+        this.terminalPrompt.textContent = this.terminal.getPrompt();
+    }
+    
+    // Echo a command into the terminal, run it and print what it returned
+    runTerminalCommand(line) {
+        if (!this.terminal) return;
+        
+        this.terminalInput.value = '';
+        if (line.trim()) {
+            this.terminalHistory.push(line);
+        }
+        this.terminalHistoryIndex = this.terminalHistory.length;
+        
+        const prompt = this.terminal.getPrompt();
+        const result = line.trim() ? this.terminal.execute(line) : { output: '', error: false, clear: false };
+        
+        if (result.clear) {
+            this.terminalOutput.innerHTML = '';
+        } else {
+            this.terminalOutput.insertAdjacentHTML('beforeend', `
+                <div class="terminal-line"><span class="terminal-prompt">${this.escapeHtml(prompt)}</span> ${this.escapeHtml(line)}</div>
+            `);
+        }
+        if (result.output) {
+            this.terminalOutput.insertAdjacentHTML('beforeend', `
+                <div class="terminal-line${result.error ? ' terminal-error' : ''}">${this.escapeHtml(result.output)}</div>
+            `);
         }
+        
+        this.terminalPrompt.textContent = this.terminal.getPrompt();
+        this.terminalOutput.parentElement.scrollTop = this.terminalOutput.parentElement.scrollHeight;
+    }
+    
+    // Step through earlier commands with the arrow keys
+    handleTerminalKey(e) {
+        if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return;
+        e.preventDefault();
+        
+        const step = e.key === 'ArrowUp' ? -1 : 1;
+        this.terminalHistoryIndex = Math.min(Math.max(this.terminalHistoryIndex + step, 0), this.terminalHistory.length);
+        this.terminalInput.value = this.terminalHistory[this.terminalHistoryIndex] || '';
     }
     
     // Load starter code for an exercise
@@ -187,8 +338,9 @@ class ExerciseHandler {
     }
     
     // Run the code in the editor
-    runCode() {
+    async runCode() {
         const code = this.codeEditor.value;
+        this.recordAttempt('run', code);
         
         // Update preview for visual exercises
         if (this.currentExercise.language === 'html' || 
@@ -200,18 +352,39 @@ class ExerciseHandler {
             return;
         }
         
-        // For non-visual code, we'll show the output in the test results area
+        // JavaScript runs for real inside the sandbox worker, TypeScript is type-checked and
+        // transpiled first, and SQL runs against an in-browser SQLite database
+        const language = this.currentExercise.language;
+        if (language === 'javascript' || language === 'typescript' || language === 'sql') {
+            this.runCodeButton.disabled = true;
+            this.showRunning('Code Output', language === 'typescript' ? 'Type-checking...' : 'Running...');
+            
+            try {
+                if (language === 'sql') {
+                    this.showSqlOutput(await this.sqlRunner.run(this.currentExercise.database, code));
+                } else if (language === 'typescript') {
+                    await this.runTypeScript(code);
+                } else {
+                    this.showRunOutput(await this.sandbox.run(code));
+                }
+            } catch (error) {
+                this.showError(error);
+            } finally {
+                this.runCodeButton.disabled = false;
+            }
+            return;
+        }
+        
+        // Other languages can't be executed in the browser yet, so just echo the code
         try {
-            // This is a simplified implementation that just shows the code
-            // In a real implementation, we would use a sandboxed environment to run the code
             this.testResults.innerHTML = `
                 <div class="test-output">
                     <h3>Code Output</h3>
                     <pre><code>${this.escapeHtml(code)}</code></pre>
                     <p class="test-message">
                         <i class="fas fa-info-circle"></i>
-                        Code execution is simulated in this demo version. In the full implementation, 
-                        your code would be executed in a sandboxed environment.
+                        Running ${this.escapeHtml(this.currentExercise.language || 'this kind of')} code 
+                        is not supported in the browser yet, so your code is shown as written.
                     </p>
                 </div>
             `;
@@ -222,10 +395,234 @@ class ExerciseHandler {
         }
     }
     
+    // Type-check TypeScript, then run the transpiled JavaScript unless it doesn't even parse
+    async runTypeScript(code) {
+        const compiled = await this.tsCompiler.compile(code);
+        this.markEditorDiagnostics(compiled.diagnostics);
+        
+        if (compiled.hasSyntaxErrors) {
+            this.testResults.innerHTML = `
+                <div class="test-output">
+                    <h3>Code Output</h3>
+                    ${this.renderDiagnostics(compiled.diagnostics)}
+                    <p class="test-message">
+                        <i class="fas fa-info-circle"></i>
+                        Fix the syntax errors above before your code can run.
+                    </p>
+                </div>
+            `;
+            return;
+        }
+        
+        this.showRunOutput(await this.sandbox.run(compiled.outputText), compiled.diagnostics);
+    }
+    
+    // Show console output, the return value and any error from a sandbox run
+    showRunOutput(output, diagnostics = []) {
+        const consoleLines = output.logs.map(log => `
+            <div class="console-line console-${log.level}">${this.escapeHtml(log.text)}</div>
+        `).join('');
+        
+        let summary = '';
+        if (output.timedOut) {
+            summary = `
+                <div class="test-summary fail">
+                    <i class="fas fa-hourglass-end"></i>
+                    Stopped after ${this.sandbox.timeout / 1000}s. Check for an infinite loop.
+                </div>
+            `;
+        } else if (output.error) {
+            summary = `
+                <div class="test-summary fail">
+                    <i class="fas fa-times-circle"></i>
+                    Uncaught ${this.escapeHtml(this.formatError(output.error))}
+                </div>
+            `;
+        } else if (output.result !== null) {
+            summary = `
+                <div class="run-result">
+                    <span class="run-result-label">Result</span>
+                    <code>${this.escapeHtml(output.result)}</code>
+                </div>
+            `;
+        }
+        
+        this.testResults.innerHTML = `
+            <div class="test-output">
+                <h3>Code Output</h3>
+                ${this.renderDiagnostics(diagnostics)}
+                <div class="console-output">
+                    ${consoleLines || '<div class="console-line console-empty">No console output</div>'}
+                </div>
+                ${summary}
+                ${output.cutOff ? `
+                    <p class="test-message">
+                        <i class="fas fa-hourglass-end"></i>
+                        Timers were still running after ${this.sandbox.timeout / 1000}s, so output after that isn't shown.
+                    </p>
+                ` : ''}
+                <p class="test-message">
+                    <i class="fas fa-info-circle"></i>
+                    Finished in ${output.duration} ms
+                </p>
+            </div>
+        `;
+    }
+    
+    // List compiler diagnostics with their line and column
+    renderDiagnostics(diagnostics) {
+        if (!diagnostics || diagnostics.length === 0) return '';
+        
+        const items = diagnostics.map(diagnostic => `
+            <div class="diagnostic diagnostic-${diagnostic.category}" 
+                ${diagnostic.start !== null ? `data-start="${diagnostic.start}" data-length="${diagnostic.length}"` : ''}>
+                <i class="fas ${diagnostic.category === 'error' ? 'fa-times-circle' : 'fa-exclamation-triangle'}"></i>
+                ${diagnostic.line ? `<span class="diagnostic-location">Line ${diagnostic.line}, col ${diagnostic.column}</span>` : ''}
+                <span class="diagnostic-message">${this.escapeHtml(diagnostic.message)}</span>
+                <span class="diagnostic-code">TS${diagnostic.code}</span>
+            </div>
+        `).join('');
+        
+        return `
+            <div class="diagnostics">
+                <h4>${diagnostics.length} type error${diagnostics.length === 1 ? '' : 's'}</h4>
+                ${items}
+            </div>
+        `;
+    }
+    
+    // Underline diagnostics in the editor by mirroring its text in a backdrop behind the textarea
+    markEditorDiagnostics(diagnostics) {
+        const code = this.codeEditor.value;
+        const marks = diagnostics
+            .filter(diagnostic => diagnostic.start !== null)
+            .sort((a, b) => a.start - b.start);
+        
+        let html = '';
+        let position = 0;
+        marks.forEach(mark => {
+            const start = Math.max(mark.start, position);
+            const end = Math.max(start + mark.length, start + 1);
+            if (start >= code.length) return;
+            
+            html += this.escapeHtml(code.slice(position, start));
+            html += `<mark class="diagnostic-mark diagnostic-${mark.category}">${this.escapeHtml(code.slice(start, end))}</mark>`;
+            position = end;
+        });
+        html += this.escapeHtml(code.slice(position));
+        
+        // A trailing newline would otherwise collapse and shift the last line
+        this.editorHighlights.innerHTML = `${html}\n`;
+        this.editorHighlights.scrollTop = this.codeEditor.scrollTop;
+    }
+    
+    // Remove any diagnostic marks from the editor
+    clearEditorMarks() {
+        this.editorHighlights.innerHTML = '';
+    }
+    
+    // Switch to the code tab and select a range in the editor
+    revealInEditor(start, length) {
+        this.switchTab('code');
+        this.codeEditor.focus();
+        this.codeEditor.setSelectionRange(start, start + Math.max(length, 1));
+    }
+    
+    // Show every statement's result set, or how many rows it changed
+    showSqlOutput(output) {
+        const statements = output.statements.map(statement => {
+            let body;
+            if (statement.columns.length > 0) {
+                body = this.renderResultTable(statement);
+            } else if (statement.rowsModified !== null) {
+                body = `<p class="test-message">${statement.rowsModified} row${statement.rowsModified === 1 ? '' : 's'} affected</p>`;
+            } else {
+                body = '<p class="test-message">Done</p>';
+            }
+            
+            return `
+                <div class="sql-statement">
+                    <pre><code>${this.escapeHtml(statement.sql)}</code></pre>
+                    ${body}
+                </div>
+            `;
+        }).join('');
+        
+        let error = '';
+        if (output.timedOut) {
+            error = `
+                <div class="test-summary fail">
+                    <i class="fas fa-hourglass-end"></i>
+                    Stopped after ${this.sqlRunner.timeout / 1000}s. Check for a query that never ends, like a recursive CTE without a limit.
+                </div>
+            `;
+        } else if (output.error) {
+            error = `
+                <div class="test-summary fail">
+                    <i class="fas fa-times-circle"></i>
+                    ${this.escapeHtml(output.error.message)} in <code>${this.escapeHtml(output.error.statement)}</code>
+                </div>
+            `;
+        }
+        
+        this.testResults.innerHTML = `
+            <div class="test-output">
+                <h3>Query Results</h3>
+                ${statements || (error ? '' : '<p class="test-message">No statements to run</p>')}
+                ${error}
+            </div>
+        `;
+    }
+    
+    // Render a result set as an HTML table
+    renderResultTable(resultSet) {
+        const header = resultSet.columns.map(column => `<th>${this.escapeHtml(column)}</th>`).join('');
+        const rows = resultSet.rows.map(row => `
+            <tr>${row.map(value => `<td>${value === null ? '<em>NULL</em>' : this.escapeHtml(String(value))}</td>`).join('')}</tr>
+        `).join('');
+        
+        return `
+            <table class="result-table">
+                <thead><tr>${header}</tr></thead>
+                <tbody>${rows || `<tr><td colspan="${resultSet.columns.length}"><em>No rows</em></td></tr>`}</tbody>
+            </table>
+        `;
+    }
+    
+    // Show a spinner in the tests pane while something runs
+    showRunning(title, message) {
+        this.testResults.innerHTML = `
+            <div class="test-output">
+                <h3>${title}</h3>
+                <p class="test-message"><i class="fas fa-spinner fa-spin"></i> ${message}</p>
+            </div>
+        `;
+        this.switchTab('tests');
+    }
+    
+    // Describe a serialized sandbox error, including where it happened when known
+    formatError(error) {
+        const location = error.line ? ` (line ${error.line}, column ${error.column})` : '';
+        return `${error.name}: ${error.message}${location}`;
+    }
+    
     // Update the preview pane
-    updatePreview() {
+    async updatePreview() {
         const code = this.codeEditor.value;
         
+        // Vue components are compiled first; only the newest compile may write to the frame
+        if (this.currentExercise.language === 'vue') {
+            const version = ++this.previewVersion;
+            const page = await this.vuePreview.render(code);
+            if (version !== this.previewVersion || !this.currentExercise) return;
+            
+            const preview = this.previewFrame.contentWindow.document;
+            preview.open();
+            preview.write(page);
+            preview.close();
+            return;
+        }
+        
         // Create a new document in the iframe
         const preview = this.previewFrame.contentWindow.document;
         preview.open();
@@ -257,9 +654,8 @@ class ExerciseHandler {
                 </html>
             `);
         }
-        // For Vue and Svelte, we'd need a more complex implementation
-        // This is a simplified placeholder
-        else if (this.currentExercise.language === 'vue' || this.currentExercise.language === 'svelte') {
+        // Svelte still needs a compiler, so show the code instead
+        else if (this.currentExercise.language === 'svelte') {
             preview.write(`
                 <!DOCTYPE html>
                 <html>
@@ -300,51 +696,223 @@ class ExerciseHandler {
         preview.close();
     }
     
-    // Run tests for the current exercise
-    runTests() {
+    // Find the test cases for an exercise, either declared in the curriculum or in exercises/<id>/tests.js
+    async loadTestSuite(exercise) {
+        if (exercise.goals) {
+            return { goals: exercise.goals };
+        }
+        
+        if (exercise.tests || exercise.typeTests) {
+            return { tests: exercise.tests || [] };
+        }
+        
+        if (this.testSuites.has(exercise.id)) {
+            return this.testSuites.get(exercise.id);
+        }
+        
+        let suite = null;
+        if (exercise.language === 'javascript' || exercise.language === 'typescript') {
+            try {
+                const response = await fetch(`exercises/${exercise.id}/tests.js`);
+                if (response.ok) {
+                    suite = { source: await response.text() };
+                }
+            } catch (error) {
+                // Most exercises have no tests.js; they're checked against their test cases only
+            }
+        }
+        
+        this.testSuites.set(exercise.id, suite);
+        return suite;
+    }
+    
+    // Run the exercise's test cases against the editor contents, recording it as a test run or a submission
+    async runTests(kind = 'test') {
         const code = this.codeEditor.value;
+        const exercise = this.currentExercise;
+        
+        this.runTestsButton.disabled = true;
+        this.showRunning('Test Results', 'Running tests...');
+        
+        try {
+            const suite = await this.loadTestSuite(exercise);
+            if (!suite) {
+                this.showNoTests();
+                return null;
+            }
+            
+            let output;
+            if (suite.goals) {
+                output = this.terminal.checkGoals(suite.goals);
+            } else if (exercise.language === 'sql') {
+                output = await this.sqlRunner.test(exercise.database, code, suite.tests);
+            } else if (exercise.language === 'typescript') {
+                output = await this.testTypeScript(code, exercise, suite);
+            } else {
+                output = await this.sandbox.test(code, suite);
+            }
+            
+            // The modal may have been closed or switched while the tests ran
+            if (this.currentExercise !== exercise) return null;
+            
+            this.showTestResults(output);
+            this.recordAttempt(kind, code, {
+                passed: (output.tests || []).filter(test => test.passed).length,
+                total: (output.tests || []).length,
+                allPassed: this.allTestsPassed(output)
+            });
+            return output;
+        } catch (error) {
+            this.showError(error);
+            return null;
+        } finally {
+            this.runTestsButton.disabled = false;
+        }
+    }
+    
+    // Type-check the code and the exercise's type tests, then run the runtime tests on the transpiled output.
+    // Type errors count as a failing case, so a TypeScript exercise can't be submitted while it has any.
+    async testTypeScript(code, exercise, suite) {
+        const compiled = await this.tsCompiler.compile(code, exercise.typeTests || []);
+        this.markEditorDiagnostics(compiled.diagnostics);
+        
+        const errorCount = compiled.diagnostics.filter(diagnostic => diagnostic.category === 'error').length;
+        const typeCheck = {
+            name: 'Your code type-checks without errors',
+            expected: 'no type errors',
+            actual: errorCount ? `${errorCount} type error${errorCount === 1 ? '' : 's'}` : 'no type errors',
+            passed: errorCount === 0,
+            error: null
+        };
+        
+        let output;
+        if (compiled.hasSyntaxErrors) {
+            const first = compiled.diagnostics[0];
+            output = {
+                logs: [],
+                tests: [],
+                error: { name: 'SyntaxError', message: first.message, line: first.line, column: first.column },
+                timedOut: false
+            };
+        } else {
+            output = await this.sandbox.test(compiled.outputText, suite);
+        }
         
-        // This is a simplified implementation
-        // In a real implementation, we would run actual tests against the code
+        output.tests = [typeCheck, ...compiled.typeTests, ...(output.tests || [])];
+        output.diagnostics = compiled.diagnostics;
+        return output;
+    }
+    
+    // Check whether every test case in a sandbox run passed
+    allTestsPassed(output) {
+        return !!output && !output.timedOut && !output.error && 
+            output.tests.length > 0 && output.tests.every(test => test.passed);
+    }
+    
+    // Show a pass/fail row per test case with its expected and actual values
+    showTestResults(output) {
+        const passed = this.allTestsPassed(output);
+        const cases = output.tests || [];
+        const passedCount = cases.filter(test => test.passed).length;
+        const noun = this.currentExercise && this.currentExercise.goals ? 'goals' : 'tests';
+        
+        let summary;
+        if (output.timedOut) {
+            summary = `Stopped after ${this.sandbox.timeout / 1000}s. Check for an infinite loop.`;
+        } else if (output.error) {
+            summary = `Your code could not be tested: ${this.escapeHtml(this.formatError(output.error))}`;
+        } else {
+            summary = passed
+                ? (noun === 'goals' ? 'All goals reached!' : 'All tests passed!')
+                : `${passedCount} of ${cases.length} ${noun} ${noun === 'goals' ? 'reached' : 'passed'}`;
+        }
+        
+        const rows = cases.map(test => `
+            <div class="test-case ${test.passed ? 'pass' : 'fail'}">
+                <div class="test-name">
+                    <i class="fas ${test.passed ? 'fa-check' : 'fa-times'}"></i>
+                    ${this.escapeHtml(test.name)}
+                </div>
+                <div class="test-values">
+                    <div><span class="test-value-label">Expected</span> ${this.formatTestValue(test.expected)}</div>
+                    <div><span class="test-value-label">Actual</span> ${test.error
+                        ? `<code class="test-error">${this.escapeHtml(this.formatError(test.error))}</code>`
+                        : this.formatTestValue(test.actual)}</div>
+                </div>
+            </div>
+        `).join('');
         
-        // Simulate test results
-        const passed = Math.random() > 0.5; // Randomly pass or fail for demo
+        const consoleLines = output.logs.map(log => `
+            <div class="console-line console-${log.level}">${this.escapeHtml(log.text)}</div>
+        `).join('');
         
         this.testResults.innerHTML = `
             <div class="test-output">
-                <h3>Test Results</h3>
+                <h3>${noun === 'goals' ? 'Goals' : 'Test Results'}</h3>
                 <div class="test-summary ${passed ? 'pass' : 'fail'}">
                     <i class="fas ${passed ? 'fa-check-circle' : 'fa-times-circle'}"></i>
-                    ${passed ? 'All tests passed!' : 'Some tests failed'}
-                </div>
-                <div class="test-details">
-                    <div class="test-case ${passed ? 'pass' : 'fail'}">
-                        <div class="test-name">Basic functionality</div>
-                        <div class="test-result">${passed ? 'Passed' : 'Failed'}</div>
-                    </div>
+                    ${summary}
                 </div>
+                ${this.renderDiagnostics(output.diagnostics)}
+                <div class="test-details">${rows}</div>
+                ${consoleLines ? `<h4>Console</h4><div class="console-output">${consoleLines}</div>` : ''}
+            </div>
+        `;
+    }
+    
+    // Render an expected or actual test value: result sets as tables, everything else as code
+    formatTestValue(value) {
+        if (value && Array.isArray(value.columns)) {
+            return this.renderResultTable(value);
+        }
+        return `<code>${this.escapeHtml(value)}</code>`;
+    }
+    
+    // Explain that an exercise has no automated tests
+    showNoTests() {
+        this.testResults.innerHTML = `
+            <div class="test-output">
+                <h3>Test Results</h3>
                 <p class="test-message">
                     <i class="fas fa-info-circle"></i>
-                    Testing is simulated in this demo version. In the full implementation, 
-                    your code would be tested against actual test cases.
+                    This exercise has no automated tests. Submit it once you're happy with your solution.
                 </p>
             </div>
         `;
-        
-        this.switchTab('tests');
     }
     
     // Submit the exercise solution
-    submitExercise() {
+    async submitExercise() {
+        const exercise = this.currentExercise;
+        const suite = await this.loadTestSuite(exercise);
+        
+        // Exercises with tests can only be completed once every case passes
+        if (suite) {
+            const output = await this.runTests('submit');
+            if (!output) return;
+            
+            if (!this.allTestsPassed(output)) {
+                this.testResults.querySelector('.test-output').insertAdjacentHTML('afterbegin', `
+                    <p class="test-message submit-blocked">
+                        <i class="fas fa-lock"></i>
+                        ${exercise.goals ? 'Reach every goal' : 'Make every test pass'} before submitting this exercise.
+                    </p>
+                `);
+                return;
+            }
+        } else {
+            this.recordAttempt('submit', this.codeEditor.value);
+        }
+        
         // Mark the exercise as completed in the progress tracker
         window.progressTracker.completeExercise(
             this.currentModuleId, 
             this.currentLessonId, 
-            this.currentExercise.id
+            exercise.id
         );
         
         // Show a success message
-        this.testResults.innerHTML = `
+        const successMessage = `
             <div class="test-output">
                 <h3>Exercise Completed</h3>
                 <div class="test-summary pass">
@@ -357,10 +925,137 @@ class ExerciseHandler {
             </div>
         `;
         
+        if (suite) {
+            this.testResults.insertAdjacentHTML('afterbegin', successMessage);
+        } else {
+            this.testResults.innerHTML = successMessage;
+        }
+        
         this.switchTab('tests');
         
         // Update UI to reflect completion
         window.progressTracker.updateProgressDisplay();
+        window.contentLoader.updateLessonStatus();
+    }
+    
+    // Save the editor contents a moment after the learner stops typing
+    scheduleDraftSave() {
+        clearTimeout(this.draftTimer);
+        this.draftTimer = setTimeout(() => this.flushDraft(), 500);
+    }
+    
+    // Save a pending draft straight away, before the editor is reused or the page goes away
+    flushDraft() {
+        if (!this.draftTimer) return;
+        clearTimeout(this.draftTimer);
+        this.draftTimer = null;
+        if (this.currentExercise && this.currentExercise.type !== 'terminal') {
+            this.drafts.saveDraft(this.currentExercise.id, this.codeEditor.value);
+        }
+    }
+    
+    // Note a run, test run or submission. Terminal exercises have no code to keep, so they only
+    // update the progress record's lastAttempt time.
+    recordAttempt(kind, code, outcome = null) {
+        const exercise = this.currentExercise;
+        window.progressTracker.recordAttempt(this.currentModuleId, this.currentLessonId, exercise.id);
+        if (exercise.type !== 'terminal') {
+            this.drafts.recordAttempt(exercise.id, kind, code, outcome);
+        }
+    }
+    
+    // List earlier attempts, newest first, with the diff of the selected one against the editor
+    renderHistory() {
+        const attempts = this.drafts.getAttempts(this.currentExercise.id);
+        const selected = attempts.find(attempt => attempt.id === this.selectedAttemptId);
+        const labels = { run: 'Run', test: 'Tests', submit: 'Submit', replaced: 'Replaced code' };
+        
+        const items = attempts.map(attempt => `
+            <li class="attempt${attempt === selected ? ' selected' : ''}">
+                <span class="attempt-kind attempt-${attempt.kind}">${labels[attempt.kind]}</span>
+                <span class="attempt-time">${new Date(attempt.timestamp).toLocaleString()}</span>
+                ${this.renderOutcome(attempt.outcome)}
+                <span class="attempt-actions">
+                    <button class="attempt-button" data-action="diff" data-attempt-id="${attempt.id}">
+                        ${attempt === selected ? 'Hide diff' : 'Diff'}
+                    </button>
+                    <button class="attempt-button" data-action="restore" data-attempt-id="${attempt.id}">Restore</button>
+                </span>
+            </li>
+        `).join('');
+        
+        this.attemptHistory.innerHTML = `
+            <div class="attempt-history-header">
+                <h3>History</h3>
+                <button class="attempt-button" data-action="reset">
+                    <i class="fas fa-undo"></i> Reset to starter code
+                </button>
+            </div>
+            ${attempts.length > 0
+                ? `<ol class="attempt-list">${items}</ol>`
+                : '<p class="test-message">Your runs, test runs and submissions will be listed here.</p>'}
+            ${selected ? this.renderAttemptDiff(selected) : ''}
+        `;
+    }
+    
+    // How many tests an attempt passed, if it ran any
+    renderOutcome(outcome) {
+        if (!outcome) return '<span class="attempt-outcome"></span>';
+        return `
+            <span class="attempt-outcome ${outcome.allPassed ? 'pass' : 'fail'}">
+                <i class="fas ${outcome.allPassed ? 'fa-check' : 'fa-times'}"></i> ${outcome.passed}/${outcome.total}
+            </span>
+        `;
+    }
+    
+    // Show what has changed between an attempt and the code in the editor now
+    renderAttemptDiff(attempt) {
+        const lines = this.drafts.diffLines(attempt.code, this.codeEditor.value);
+        if (lines.every(line => line.type === 'same')) {
+            return '<p class="test-message">The editor still holds exactly this code.</p>';
+        }
+        
+        const markers = { same: ' ', add: '+', remove: '-' };
+        return `
+            <h4>From this attempt to the code in the editor</h4>
+            <div class="attempt-diff">${lines.map(line => `
+                <div class="diff-line diff-${line.type}">${markers[line.type]} ${this.escapeHtml(line.text)}</div>`).join('')}
+            </div>
+        `;
+    }
+    
+    async handleHistoryAction(action, attemptId) {
+        const exercise = this.currentExercise;
+        
+        if (action === 'diff') {
+            this.selectedAttemptId = this.selectedAttemptId === attemptId ? null : attemptId;
+            this.renderHistory();
+            return;
+        }
+        
+        // Whatever is in the editor goes into the history first, so restoring can't lose work
+        this.keepEditorContents();
+        
+        if (action === 'restore') {
+            this.codeEditor.value = this.drafts.getAttempt(exercise.id, attemptId).code;
+            this.drafts.saveDraft(exercise.id, this.codeEditor.value);
+            this.clearEditorMarks();
+            this.switchTab('code');
+        } else if (action === 'reset') {
+            this.drafts.clearDraft(exercise.id);
+            this.clearEditorMarks();
+            await this.loadStarterCode(exercise);
+            if (this.currentExercise === exercise) this.switchTab('code');
+        }
+    }
+    
+    // Record the editor contents unless they match the latest attempt
+    keepEditorContents() {
+        const exercise = this.currentExercise;
+        const latest = this.drafts.getAttempts(exercise.id)[0];
+        if (!latest || latest.code !== this.codeEditor.value) {
+            this.drafts.recordAttempt(exercise.id, 'replaced', this.codeEditor.value);
+        }
     }
     
     // Show an error message
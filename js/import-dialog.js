@@ -0,0 +1,169 @@
+// Import Dialog - Reviews an exported progress file and merges it into this device's progress
+
+class ImportDialog {
+    constructor() {
+        this.modal = document.getElementById('import-modal');
+        this.review = document.getElementById('import-review');
+        this.fileInput = document.getElementById('import-progress-file');
+        this.applyButton = document.getElementById('apply-import');
+        this.merge = null;
+        this.setupEventListeners();
+    }
+
+    // Set up event listeners
+    setupEventListeners() {
+        document.getElementById('export-progress').addEventListener('click', () => {
+            window.progressTracker.exportProgress();
+        });
+
+        document.getElementById('import-progress').addEventListener('click', () => {
+            this.fileInput.click();
+        });
+
+        this.fileInput.addEventListener('change', async () => {
+            const file = this.fileInput.files[0];
+            // Clear the input so choosing the same file again still fires a change
+            this.fileInput.value = '';
+            if (file) this.open(file.name, await file.text());
+        });
+
+        this.review.addEventListener('change', (e) => {
+            const choice = e.target.closest('input[data-conflict]');
+            if (choice) this.merge.conflicts[choice.dataset.conflict].resolution = choice.value === 'completed';
+        });
+
+        this.applyButton.addEventListener('click', () => this.apply());
+        document.getElementById('cancel-import').addEventListener('click', () => this.close());
+        document.getElementById('close-import-modal').addEventListener('click', () => this.close());
+        this.modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.close();
+        });
+    }
+
+    // Check a file and show what importing it would change
+    open(fileName, jsonData) {
+        const { report, merge } = window.progressTracker.previewImport(jsonData);
+        this.merge = merge;
+
+        const nothingNew = merge && merge.changes.length === 0 && merge.conflicts.length === 0;
+        this.review.innerHTML = `
+            <p class="import-file"><i class="fas fa-file-import"></i> ${this.escapeHtml(fileName)}</p>
+            ${report.valid ? '' : this.renderErrors(report.errors)}
+            ${this.renderRepairs(report.repairs)}
+            ${merge ? this.renderChanges(merge.changes) : ''}
+            ${merge ? this.renderConflicts(merge.conflicts) : ''}
+            ${nothingNew ? '<p class="import-message">Everything in this file is already on this device.</p>' : ''}
+        `;
+        this.applyButton.hidden = !merge || nothingNew;
+
+        this.modal.classList.add('open');
+        (this.applyButton.hidden ? document.getElementById('cancel-import') : this.applyButton).focus();
+    }
+
+    close() {
+        this.modal.classList.remove('open');
+        this.merge = null;
+    }
+
+    // Merge the file in with the chosen conflict resolutions
+    apply() {
+        if (!this.merge) return;
+
+        window.progressTracker.applyImport(this.merge);
+        if (window.contentLoader.currentLesson) {
+            window.contentLoader.updateLessonStatus();
+            window.lessonNotes.refresh();
+        }
+        window.lessonBookmarks.refresh();
+        this.close();
+        showToast('Progress imported');
+    }
+
+    renderErrors(errors) {
+        return `
+            <div class="import-errors">
+                <p>This file can't be imported:</p>
+                <ul>${errors.map(error => `<li>${this.escapeHtml(error)}</li>`).join('')}</ul>
+            </div>
+        `;
+    }
+
+    renderRepairs(repairs) {
+        if (repairs.length === 0) return '';
+        return `
+            <details class="import-repairs">
+                <summary>${repairs.length} problem${repairs.length === 1 ? ' was' : 's were'} found in the file and repaired</summary>
+                <ul>${repairs.map(repair => `<li>${this.escapeHtml(repair)}</li>`).join('')}</ul>
+            </details>
+        `;
+    }
+
+    // What the file adds, one line per lesson, exercise, quiz, flashcard, note, batch of read sections,
+    // highlights or bookmarks, and one for study time
+    renderChanges(changes) {
+        if (changes.length === 0) return '';
+        const lines = changes.map(change => {
+            if (change.type === 'study') return `Study time on ${change.days} day${change.days === 1 ? '' : 's'}`;
+            const lessonName = `${change.module.title} › ${change.lesson.title}`;
+            if (change.type === 'lesson') return `Completed lesson: ${lessonName}`;
+            if (change.type === 'sections') return `Read ${change.count} more section${change.count === 1 ? '' : 's'} of ${lessonName}`;
+            if (change.type === 'quiz') return `Answered quiz "${change.quizId}" correctly: ${lessonName}`;
+            if (change.type === 'review') return `Reviewed flashcard "${change.cardId}": ${lessonName}`;
+            if (change.type === 'highlights') return `${change.count} highlight${change.count === 1 ? '' : 's'} in ${lessonName}`;
+            if (change.type === 'bookmarks') return `${change.count} bookmark${change.count === 1 ? '' : 's'} in ${lessonName}`;
+            if (change.type === 'notes') return `${change.replaced ? 'Newer notes, replacing the ones on this device' : 'Notes'} for ${lessonName}`;
+            const exercise = change.lesson.exercises.find(e => e.id === change.exerciseId);
+            return `Completed exercise: ${exercise.title} (${lessonName})`;
+        });
+        return `
+            <h3>New from this file</h3>
+            <ul class="import-diff">
+                ${lines.map(line => `<li class="diff-add">${this.escapeHtml(line)}</li>`).join('')}
+            </ul>
+        `;
+    }
+
+    // Lessons one side completed and the other has started but not completed
+    renderConflicts(conflicts) {
+        if (conflicts.length === 0) return '';
+        const items = conflicts.map((conflict, index) => `
+            <div class="import-conflict">
+                <p class="import-conflict-title">${this.escapeHtml(`${conflict.module.title} › ${conflict.lesson.title}`)}</p>
+                ${this.renderSide(index, 'This device', conflict.local, conflict.resolution)}
+                ${this.renderSide(index, 'Imported file', conflict.incoming, conflict.resolution)}
+            </div>
+        `).join('');
+        return `
+            <h3>Needs your decision</h3>
+            <p class="import-message">These lessons are complete on one side but were opened and left incomplete on the other. Choose which to keep.</p>
+            ${items}
+        `;
+    }
+
+    renderSide(index, label, side, resolution) {
+        const value = side.completed ? 'completed' : 'incomplete';
+        return `
+            <label class="import-side ${side.completed ? 'diff-add' : 'diff-remove'}">
+                <input type="radio" name="conflict-${index}" data-conflict="${index}" value="${value}" ${side.completed === resolution ? 'checked' : ''}>
+                <span>${label}: <strong>${side.completed ? 'Completed' : 'Not completed'}</strong></span>
+                <span class="import-side-date">${side.lastVisited ? `last opened ${this.formatDate(side.lastVisited)}` : 'never opened'}</span>
+            </label>
+        `;
+    }
+
+    formatDate(isoDate) {
+        return new Date(isoDate).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+    }
+
+    // Helper function to escape HTML
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Initialize the import dialog when the DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.importDialog = new ImportDialog();
+});
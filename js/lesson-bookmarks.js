@@ -0,0 +1,248 @@
+// Lesson Bookmarks - Remembers where each lesson was left off, and keeps named bookmarks on its headings
+//
+// Positions are saved as the heading above the top of the content area and how far through
+// that heading's section the learner had scrolled, so they still land in the right place
+// when the window is a different size or the lesson above has changed.
+
+// Wait this long after scrolling stops before saving the position
+const POSITION_SAVE_DELAY = 1000;
+
+class LessonBookmarks {
+    constructor(curriculum) {
+        this.curriculum = curriculum;
+        this.contentArea = document.getElementById('content-area');
+        this.list = document.getElementById('bookmark-list');
+        this.section = document.getElementById('sidebar-bookmarks');
+        this.container = null;
+        this.moduleId = null;
+        this.lessonId = null;
+        this.pendingPosition = undefined;
+        this.saveTimer = null;
+        this.scrollFrame = null;
+        this.setupEventListeners();
+        this.renderList();
+    }
+
+    // Set up event listeners
+    setupEventListeners() {
+        // Note the position at most once per frame, and save it once scrolling settles
+        this.contentArea.addEventListener('scroll', () => {
+            if (this.scrollFrame || !this.container) return;
+            this.scrollFrame = requestAnimationFrame(() => {
+                this.scrollFrame = null;
+                if (!this.container || !this.container.isConnected) return;
+                this.pendingPosition = this.readPosition();
+                clearTimeout(this.saveTimer);
+                this.saveTimer = setTimeout(() => this.flushPosition(), POSITION_SAVE_DELAY);
+            });
+        });
+        window.addEventListener('pagehide', () => this.flushPosition());
+        window.addEventListener('progressload', () => this.renderList());
+
+        this.contentArea.addEventListener('click', (e) => {
+            const toggle = e.target.closest('.heading-bookmark');
+            if (toggle) {
+                this.openForm(toggle.closest('h1, h2, h3, h4, h5, h6'));
+                return;
+            }
+
+            const button = e.target.closest('.bookmark-form button[data-action]');
+            if (button) {
+                e.preventDefault();
+                this.handleFormAction(button.closest('.bookmark-form'), button.dataset.action);
+            }
+        });
+        this.contentArea.addEventListener('submit', (e) => {
+            if (!e.target.matches('.bookmark-form')) return;
+            e.preventDefault();
+            this.handleFormAction(e.target, 'save');
+        });
+        this.contentArea.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && e.target.closest('.bookmark-form')) this.closeForm();
+        });
+
+        this.list.addEventListener('click', (e) => {
+            const remove = e.target.closest('.bookmark-remove');
+            if (!remove) return;
+            const { moduleId, lessonId, headingId } = remove.dataset;
+            window.progressTracker.removeBookmark(moduleId, lessonId, headingId);
+            this.refresh();
+        });
+    }
+
+    // Add bookmark buttons to a freshly rendered lesson's headings and go back to where it was left off
+    render(moduleId, lessonId, lessonContainer) {
+        this.destroy();
+
+        this.moduleId = moduleId;
+        this.lessonId = lessonId;
+        this.container = lessonContainer;
+        this.headings().forEach(heading => {
+            const button = document.createElement('button');
+            button.className = 'heading-bookmark';
+            heading.appendChild(button);
+        });
+        this.updateHeadings();
+        this.restorePosition();
+        this.renderList();
+    }
+
+    // Save the open lesson's position and forget it
+    destroy() {
+        this.flushPosition();
+        this.container = null;
+        this.moduleId = null;
+        this.lessonId = null;
+        this.renderList();
+    }
+
+    // Redraw after bookmarks change, e.g. once progress is imported
+    refresh() {
+        if (this.container) this.updateHeadings();
+        this.renderList();
+    }
+
+    // The headings a bookmark or a position can point at: those with a deep link of their own
+    headings() {
+        return [...this.container.querySelectorAll('h1, h2, h3, h4, h5, h6')]
+            .filter(heading => heading.id && heading.querySelector('.heading-anchor'));
+    }
+
+    // The last heading scrolled past the top of the content area, and how far through its section
+    // the top is. Null when the learner is above the first heading.
+    readPosition() {
+        const top = this.contentArea.getBoundingClientRect().top;
+        const headings = this.headings();
+        let index = -1;
+        headings.forEach((heading, i) => {
+            if (heading.getBoundingClientRect().top <= top + 1) index = i;
+        });
+        if (index < 0) return null;
+
+        const start = headings[index].getBoundingClientRect().top;
+        const end = headings[index + 1]
+            ? headings[index + 1].getBoundingClientRect().top
+            : this.container.getBoundingClientRect().bottom;
+        const offset = end > start ? Math.min(Math.max((top - start) / (end - start), 0), 1) : 0;
+        return { headingId: headings[index].id, offset: Math.round(offset * 1000) / 1000 };
+    }
+
+    // Scroll to where the open lesson was left off, or to the top
+    restorePosition() {
+        if (!this.container) return;
+
+        const position = window.progressTracker.getPosition(this.moduleId, this.lessonId);
+        const headings = this.headings();
+        const index = position ? headings.findIndex(heading => heading.id === position.headingId) : -1;
+        if (index < 0) {
+            this.contentArea.scrollTop = 0;
+            return;
+        }
+
+        // Positions relative to the content area's scrolled contents
+        const areaTop = this.contentArea.getBoundingClientRect().top - this.contentArea.scrollTop;
+        const start = headings[index].getBoundingClientRect().top - areaTop;
+        const end = (headings[index + 1]
+            ? headings[index + 1].getBoundingClientRect().top
+            : this.container.getBoundingClientRect().bottom) - areaTop;
+        this.contentArea.scrollTop = start + position.offset * (end - start);
+    }
+
+    // Save a position noted while scrolling straight away
+    flushPosition() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        if (this.pendingPosition === undefined || !this.lessonId) return;
+
+        window.progressTracker.savePosition(this.moduleId, this.lessonId, this.pendingPosition);
+        this.pendingPosition = undefined;
+    }
+
+    // Fill in each heading's bookmark button for whether it's bookmarked
+    updateHeadings() {
+        const bookmarks = window.progressTracker.getBookmarks(this.moduleId, this.lessonId);
+        this.container.querySelectorAll('.heading-bookmark').forEach(button => {
+            const bookmark = bookmarks.find(b => b.headingId === button.parentElement.id);
+            button.classList.toggle('bookmarked', !!bookmark);
+            button.title = bookmark ? `Bookmarked as "${bookmark.name}"` : 'Bookmark this section';
+            button.setAttribute('aria-label', button.title);
+            button.innerHTML = `<i class="${bookmark ? 'fas' : 'far'} fa-bookmark"></i>`;
+        });
+    }
+
+    // Ask for a bookmark's name just below its heading
+    openForm(heading) {
+        this.closeForm();
+
+        const bookmark = window.progressTracker.getBookmarks(this.moduleId, this.lessonId).find(b => b.headingId === heading.id);
+        const form = document.createElement('form');
+        form.className = 'bookmark-form';
+        form.dataset.headingId = heading.id;
+        form.innerHTML = `
+            <i class="fas fa-bookmark"></i>
+            <input type="text" name="name" maxlength="80" aria-label="Bookmark name" required>
+            <button type="submit" class="bookmark-save" data-action="save">${bookmark ? 'Rename' : 'Bookmark'}</button>
+            ${bookmark ? '<button type="button" class="bookmark-delete" data-action="remove">Remove</button>' : ''}
+            <button type="button" class="bookmark-cancel" data-action="cancel">Cancel</button>
+        `;
+        heading.after(form);
+
+        const input = form.querySelector('input');
+        input.value = bookmark ? bookmark.name : window.lessonToc.headingText(heading);
+        input.focus();
+        input.select();
+    }
+
+    closeForm() {
+        if (this.container) this.container.querySelectorAll('.bookmark-form').forEach(form => form.remove());
+    }
+
+    handleFormAction(form, action) {
+        const headingId = form.dataset.headingId;
+        if (action === 'save') {
+            const name = form.querySelector('input').value.trim();
+            if (!name) return;
+            window.progressTracker.saveBookmark(this.moduleId, this.lessonId, headingId, name);
+        } else if (action === 'remove') {
+            window.progressTracker.removeBookmark(this.moduleId, this.lessonId, headingId);
+        }
+        this.closeForm();
+        this.refresh();
+    }
+
+    // The bookmarks of every lesson in the sidebar, each linking to its heading
+    renderList() {
+        const bookmarks = window.progressTracker.getAllBookmarks();
+        this.section.hidden = bookmarks.length === 0;
+
+        this.list.innerHTML = bookmarks.map(bookmark => {
+            const module = this.curriculum.modules.find(m => m.id === bookmark.moduleId);
+            const lesson = module.lessons.find(l => l.id === bookmark.lessonId);
+            const current = bookmark.moduleId === this.moduleId && bookmark.lessonId === this.lessonId;
+            return `
+                <li class="bookmark-item${current ? ' current' : ''}">
+                    <a href="${window.router.lessonPath(bookmark.moduleId, bookmark.lessonId, bookmark.headingId)}" class="bookmark-link">
+                        <span class="bookmark-name">${this.escapeHtml(bookmark.name)}</span>
+                        <span class="bookmark-lesson">${this.escapeHtml(lesson.title)}</span>
+                    </a>
+                    <button class="bookmark-remove" title="Remove bookmark" aria-label="Remove bookmark"
+                        data-module-id="${bookmark.moduleId}" data-lesson-id="${bookmark.lessonId}" data-heading-id="${this.escapeHtml(bookmark.headingId)}">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </li>
+            `;
+        }).join('');
+    }
+
+    // Helper function to escape HTML
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Initialize lesson bookmarks when the DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.lessonBookmarks = new LessonBookmarks(curriculum);
+});
@@ -0,0 +1,95 @@
+// Lesson Flashcards - Reads ```flashcard blocks in lesson markdown and shows them in the lesson
+
+class LessonFlashcards {
+    // Read a flashcard block's YAML: a front, a back and an optional id.
+    // Cards without an id are numbered in order: card-1, card-2, ...
+    parseCard(source, index) {
+        const data = parseSimpleYaml(source);
+        const unknown = Object.keys(data).find(key => !['id', 'front', 'back'].includes(key));
+        if (unknown) throw new Error(`unknown field "${unknown}"`);
+
+        ['front', 'back'].forEach(side => {
+            if (data[side] === undefined || data[side] === null || !String(data[side]).trim()) {
+                throw new Error(`a flashcard needs a "${side}"`);
+            }
+        });
+
+        const id = data.id !== undefined && data.id !== null ? String(data.id) : `card-${index + 1}`;
+        if (id.includes('/')) throw new Error(`the id "${id}" can't contain "/"`);
+
+        return { id, front: String(data.front), back: String(data.back) };
+    }
+
+    // Find the flashcard blocks in rendered lesson HTML, each with the id of the heading it sits
+    // under. Blocks that can't be read come back with an error instead of a card.
+    collect(root) {
+        const found = [];
+        const ids = new Set();
+        let headingId = null;
+
+        root.querySelectorAll('h1, h2, h3, h4, h5, h6, pre > code.language-flashcard').forEach(element => {
+            if (element.tagName !== 'CODE') {
+                headingId = element.id || null;
+                return;
+            }
+
+            const entry = { block: element.parentElement, headingId, card: null, error: null };
+            try {
+                entry.card = this.parseCard(element.textContent, found.length);
+                if (ids.has(entry.card.id)) {
+                    throw new Error(`another flashcard in this lesson already has the id "${entry.card.id}"`);
+                }
+                ids.add(entry.card.id);
+            } catch (error) {
+                entry.card = null;
+                entry.error = error;
+            }
+            found.push(entry);
+        });
+
+        return found;
+    }
+
+    // Replace the flashcard blocks of a freshly rendered lesson with cards that flip open
+    render(moduleId, lessonId, lessonContainer) {
+        this.collect(lessonContainer).forEach(({ block, card, error }) => {
+            const element = document.createElement(card ? 'details' : 'div');
+            if (!card) {
+                element.className = 'flashcard flashcard-error';
+                element.innerHTML = `<i class="fas fa-exclamation-triangle"></i> This flashcard couldn't be read: ${this.escapeHtml(error.message)}`;
+            } else {
+                element.className = 'flashcard';
+                element.dataset.cardId = card.id;
+                element.innerHTML = `
+                    <summary>
+                        <span class="flashcard-label"><i class="fas fa-layer-group"></i> Flashcard</span>
+                        <span class="flashcard-front">${marked.parseInline(card.front)}</span>
+                    </summary>
+                    <div class="flashcard-back">${marked.parse(card.back)}</div>
+                    <p class="flashcard-deck-status">${this.deckStatus(moduleId, lessonId, card)}</p>
+                `;
+            }
+            block.replaceWith(element);
+        });
+    }
+
+    // Say whether a card is already being reviewed
+    deckStatus(moduleId, lessonId, card) {
+        const review = window.progressTracker.getReview(ReviewQueue.cardKey(moduleId, lessonId, card.id));
+        if (review) return `In your review deck · next review ${review.due}`;
+        if (window.progressTracker.getLessonStatus(moduleId, lessonId) === 'completed') return 'In your review deck · new';
+        return 'Joins your review deck when you complete this lesson';
+    }
+
+    // Helper function to escape HTML
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Initialize lesson flashcards when the DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.lessonFlashcards = new LessonFlashcards();
+});
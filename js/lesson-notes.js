@@ -0,0 +1,563 @@
+// Lesson Notes - Text highlights with margin notes, a notes drawer per lesson and a study guide export
+//
+// A highlight is stored as the text it covers plus a little of the text either side of it,
+// rather than as a position in the DOM, so it can be found again each time the lesson is
+// rendered. When the text can no longer be found the highlight is listed in the drawer instead.
+
+const HIGHLIGHT_COLORS = [
+    { id: 'yellow', label: 'Yellow' },
+    { id: 'green', label: 'Green' },
+    { id: 'blue', label: 'Blue' },
+    { id: 'pink', label: 'Pink' }
+];
+
+// How much of the surrounding text is kept to tell repeated passages apart
+const HIGHLIGHT_CONTEXT_LENGTH = 32;
+
+// Text inside these isn't lesson prose and can't be highlighted
+const HIGHLIGHT_SKIPPED = '.heading-anchor, .quiz, .flashcard, .margin-note, .bookmark-form';
+
+class LessonNotes {
+    constructor(curriculum) {
+        this.curriculum = curriculum;
+        this.contentArea = document.getElementById('content-area');
+        this.toolbar = document.getElementById('highlight-toolbar');
+        this.drawer = document.getElementById('notes-drawer');
+        this.drawerBody = document.getElementById('notes-drawer-body');
+        this.container = null;
+        this.moduleId = null;
+        this.lessonId = null;
+        this.orphans = [];
+        this.editingId = null;
+        this.selection = null;
+        this.lastColor = HIGHLIGHT_COLORS[0].id;
+        this.saveTimer = null;
+        this.setupEventListeners();
+    }
+
+    // Set up event listeners
+    setupEventListeners() {
+        // Offer to highlight whatever was just selected in the lesson
+        this.contentArea.addEventListener('mouseup', () => setTimeout(() => this.checkSelection()));
+        this.contentArea.addEventListener('keyup', (e) => {
+            if (e.shiftKey) this.checkSelection();
+        });
+
+        this.contentArea.addEventListener('click', (e) => {
+            const note = e.target.closest('.margin-note');
+            if (note) {
+                this.handleMarginNoteClick(e, note);
+                return;
+            }
+
+            // Clicking an existing highlight offers to recolour it, edit its note or remove it
+            const mark = e.target.closest('.lesson-highlight');
+            if (mark && window.getSelection().isCollapsed) {
+                this.selection = { highlightId: mark.dataset.highlightId };
+                this.showToolbar(mark.getBoundingClientRect());
+            }
+        });
+
+        // Keep the selection while a toolbar button is pressed
+        this.toolbar.addEventListener('mousedown', (e) => e.preventDefault());
+        this.toolbar.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (button) this.handleToolbarAction(button);
+        });
+
+        document.addEventListener('mousedown', (e) => {
+            if (!this.toolbar.contains(e.target)) this.hideToolbar();
+        });
+        this.contentArea.addEventListener('scroll', () => this.hideToolbar());
+        document.addEventListener('keydown', (e) => {
+            if (e.key !== 'Escape') return;
+            if (!this.toolbar.hidden) {
+                this.hideToolbar();
+            } else if (!this.drawer.hidden && !e.target.closest('.margin-note')) {
+                this.closeDrawer();
+            }
+        });
+
+        // The drawer: notes are saved half a second after typing stops
+        document.getElementById('toggle-notes').addEventListener('click', () => this.toggleDrawer());
+        document.getElementById('close-notes').addEventListener('click', () => this.closeDrawer());
+        document.getElementById('export-study-guide').addEventListener('click', () => this.exportStudyGuide());
+        this.drawerBody.addEventListener('input', (e) => {
+            if (e.target.id === 'notes-editor') this.scheduleSave();
+        });
+        this.drawerBody.addEventListener('click', (e) => this.handleDrawerClick(e));
+        window.addEventListener('pagehide', () => this.flushNotes());
+    }
+
+    // Show the saved highlights of a freshly rendered lesson, and its notes in the drawer
+    render(moduleId, lessonId, lessonContainer) {
+        this.destroy();
+
+        this.moduleId = moduleId;
+        this.lessonId = lessonId;
+        this.container = lessonContainer;
+        this.applyHighlights();
+        this.renderDrawer();
+    }
+
+    // Forget the open lesson, saving any notes still being typed
+    destroy() {
+        this.flushNotes();
+        this.hideToolbar();
+        this.container = null;
+        this.moduleId = null;
+        this.lessonId = null;
+        this.orphans = [];
+        this.editingId = null;
+        this.renderDrawer();
+    }
+
+    // Draw the highlights again after they've changed, e.g. once progress is imported
+    refresh() {
+        if (!this.container) return;
+        this.applyHighlights();
+        this.renderDrawer();
+    }
+
+    // The lesson's highlightable text as one string, with where each text node starts in it
+    readText(container) {
+        const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, {
+            acceptNode: (node) => node.parentElement.closest(HIGHLIGHT_SKIPPED) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT
+        });
+
+        const nodes = [];
+        let text = '';
+        while (walker.nextNode()) {
+            nodes.push({ node: walker.currentNode, start: text.length });
+            text += walker.currentNode.nodeValue;
+        }
+        return { nodes, text };
+    }
+
+    // Describe a selected range by its text and the text around it; null when it covers no text
+    anchorFromRange(range) {
+        const { nodes, text } = this.readText(this.container);
+        const covered = nodes.filter(({ node }) => range.intersectsNode(node));
+        if (covered.length === 0) return null;
+
+        const first = covered[0];
+        const last = covered[covered.length - 1];
+        let start = first.start + (first.node === range.startContainer ? range.startOffset : 0);
+        let end = last.start + (last.node === range.endContainer ? range.endOffset : last.node.length);
+        while (start < end && /\s/.test(text[start])) start++;
+        while (end > start && /\s/.test(text[end - 1])) end--;
+        if (start === end) return null;
+
+        return {
+            quote: text.slice(start, end),
+            prefix: text.slice(Math.max(start - HIGHLIGHT_CONTEXT_LENGTH, 0), start),
+            suffix: text.slice(end, end + HIGHLIGHT_CONTEXT_LENGTH)
+        };
+    }
+
+    // Find a highlight's text again. Where it appears more than once, the occurrence whose
+    // surroundings best match the saved ones wins. Null when the text is gone.
+    locate(text, highlight) {
+        let best = null;
+        let bestScore = -1;
+        for (let i = text.indexOf(highlight.quote); i !== -1; i = text.indexOf(highlight.quote, i + 1)) {
+            const end = i + highlight.quote.length;
+            const before = text.slice(Math.max(i - highlight.prefix.length, 0), i);
+            const after = text.slice(end, end + highlight.suffix.length);
+            const score = this.sharedLength([...before].reverse(), [...highlight.prefix].reverse()) +
+                this.sharedLength([...after], [...highlight.suffix]);
+            if (score > bestScore) {
+                best = { start: i, end };
+                bestScore = score;
+            }
+        }
+        return best;
+    }
+
+    // How many items two lists share from the start
+    sharedLength(a, b) {
+        let length = 0;
+        while (length < a.length && length < b.length && a[length] === b[length]) length++;
+        return length;
+    }
+
+    // Take out the marks and margin notes drawn last time, leaving the lesson as it was rendered
+    clearHighlights() {
+        this.container.querySelectorAll('.margin-note').forEach(note => note.remove());
+        this.container.querySelectorAll('mark.lesson-highlight').forEach(mark => mark.replaceWith(...mark.childNodes));
+        this.container.normalize();
+    }
+
+    // Mark every saved highlight in the lesson, with its note in the margin beside it
+    applyHighlights() {
+        this.clearHighlights();
+
+        const { text } = this.readText(this.container);
+        const placed = [];
+        this.orphans = [];
+        window.progressTracker.getHighlights(this.moduleId, this.lessonId).forEach(highlight => {
+            const position = this.locate(text, highlight);
+            if (position) {
+                placed.push({ highlight, position });
+            } else {
+                this.orphans.push(highlight);
+            }
+        });
+
+        // Wrapping text in marks doesn't change it, so every position stays valid
+        placed.sort((a, b) => a.position.start - b.position.start);
+        placed.forEach(({ highlight, position }) => this.wrap(highlight, position));
+        placed
+            .filter(({ highlight }) => highlight.note || highlight.id === this.editingId)
+            .forEach(({ highlight }) => this.addMarginNote(highlight));
+    }
+
+    // Wrap the text between two offsets in marks, one per text node it runs through
+    wrap(highlight, { start, end }) {
+        this.readText(this.container).nodes.forEach(({ node, start: nodeStart }) => {
+            const from = Math.max(start - nodeStart, 0);
+            const to = Math.min(end - nodeStart, node.length);
+            if (from >= to) return;
+
+            // Line breaks between blocks and list items aren't worth marking, and a mark can't sit there
+            if (!node.nodeValue.slice(from, to).trim() && !node.parentElement.closest('p, li, td, th, pre')) return;
+
+            let target = node;
+            if (to < target.length) target.splitText(to);
+            if (from > 0) target = target.splitText(from);
+
+            const mark = document.createElement('mark');
+            mark.className = `lesson-highlight highlight-${highlight.color}${highlight.note ? ' has-note' : ''}`;
+            mark.dataset.highlightId = highlight.id;
+            target.replaceWith(mark);
+            mark.appendChild(target);
+        });
+    }
+
+    // Put a highlight's note in the margin, beside the top-level block its first mark is in
+    addMarginNote(highlight) {
+        const mark = this.container.querySelector(`mark[data-highlight-id="${highlight.id}"]`);
+        if (!mark) return;
+
+        let block = mark;
+        while (block.parentElement !== this.container) block = block.parentElement;
+
+        const note = document.createElement('aside');
+        note.className = `margin-note highlight-${highlight.color}`;
+        note.dataset.highlightId = highlight.id;
+        if (highlight.id === this.editingId) {
+            note.classList.add('editing');
+            note.innerHTML = `
+                <textarea class="margin-note-editor" rows="3" placeholder="Add a note…" aria-label="Note"></textarea>
+                <div class="margin-note-actions">
+                    <button class="margin-note-save" data-action="save">Save</button>
+                    <button class="margin-note-cancel" data-action="cancel">Cancel</button>
+                </div>
+            `;
+            note.querySelector('textarea').value = highlight.note;
+        } else {
+            note.title = 'Edit note';
+            note.innerHTML = `<i class="fas fa-sticky-note" aria-hidden="true"></i> ${marked.parseInline(this.escapeHtml(highlight.note))}`;
+        }
+        this.container.insertBefore(note, block);
+    }
+
+    handleMarginNoteClick(e, note) {
+        const highlightId = note.dataset.highlightId;
+        const button = e.target.closest('button[data-action]');
+        if (!note.classList.contains('editing')) {
+            this.editNote(highlightId);
+        } else if (button && button.dataset.action === 'save') {
+            const highlight = this.findHighlight(highlightId);
+            this.editingId = null;
+            if (highlight) {
+                window.progressTracker.saveHighlight(this.moduleId, this.lessonId, { ...highlight, note: note.querySelector('textarea').value.trim() });
+            }
+            this.refresh();
+        } else if (button && button.dataset.action === 'cancel') {
+            this.editingId = null;
+            this.refresh();
+        }
+    }
+
+    // Open a highlight's note for editing in the margin
+    editNote(highlightId) {
+        this.editingId = highlightId;
+        this.hideToolbar();
+        this.applyHighlights();
+
+        const editor = this.container.querySelector(`.margin-note[data-highlight-id="${highlightId}"] textarea`);
+        if (editor) {
+            editor.focus();
+            editor.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                    editor.closest('.margin-note').querySelector('.margin-note-save').click();
+                } else if (e.key === 'Escape') {
+                    editor.closest('.margin-note').querySelector('.margin-note-cancel').click();
+                }
+            });
+        }
+    }
+
+    findHighlight(highlightId) {
+        return window.progressTracker.getHighlights(this.moduleId, this.lessonId).find(h => h.id === highlightId) || null;
+    }
+
+    // Show the toolbar for a new selection in the lesson
+    checkSelection() {
+        if (!this.container) return;
+
+        const selection = window.getSelection();
+        if (selection.isCollapsed || selection.rangeCount === 0) return;
+
+        const range = selection.getRangeAt(0);
+        if (!this.container.contains(range.commonAncestorContainer)) return;
+
+        const anchor = this.anchorFromRange(range);
+        if (!anchor) return;
+
+        this.selection = { anchor };
+        this.showToolbar(range.getBoundingClientRect());
+    }
+
+    // Colours, plus note and remove buttons for an existing highlight, above the given rectangle
+    showToolbar(rect) {
+        const highlight = this.selection.highlightId ? this.findHighlight(this.selection.highlightId) : null;
+        if (this.selection.highlightId && !highlight) return;
+
+        const colors = HIGHLIGHT_COLORS.map(color => `
+            <button class="highlight-swatch highlight-${color.id}${highlight && highlight.color === color.id ? ' active' : ''}"
+                data-action="color" data-color="${color.id}" title="${color.label}" aria-label="Highlight ${color.label.toLowerCase()}"></button>
+        `).join('');
+
+        this.toolbar.innerHTML = `
+            ${colors}
+            <button class="highlight-toolbar-button" data-action="note" title="${highlight && highlight.note ? 'Edit note' : 'Add note'}">
+                <i class="fas fa-sticky-note"></i>
+            </button>
+            ${highlight ? '<button class="highlight-toolbar-button" data-action="remove" title="Remove highlight"><i class="fas fa-trash"></i></button>' : ''}
+        `;
+        this.toolbar.hidden = false;
+        this.toolbar.style.left = `${rect.left + rect.width / 2}px`;
+        this.toolbar.style.top = `${Math.max(rect.top - this.toolbar.offsetHeight - 8, 8)}px`;
+    }
+
+    hideToolbar() {
+        this.toolbar.hidden = true;
+        this.selection = null;
+    }
+
+    handleToolbarAction(button) {
+        if (!this.selection) return;
+
+        const action = button.dataset.action;
+        let highlightId = this.selection.highlightId;
+        if (!highlightId) {
+            if (action === 'remove') return;
+            highlightId = this.addHighlight(this.selection.anchor, action === 'color' ? button.dataset.color : this.lastColor);
+            window.getSelection().removeAllRanges();
+        } else if (action === 'color') {
+            window.progressTracker.saveHighlight(this.moduleId, this.lessonId, { ...this.findHighlight(highlightId), color: button.dataset.color });
+        } else if (action === 'remove') {
+            window.progressTracker.removeHighlight(this.moduleId, this.lessonId, highlightId);
+        }
+
+        if (action === 'color') this.lastColor = button.dataset.color;
+        this.hideToolbar();
+        if (action === 'note') {
+            this.editNote(highlightId);
+            this.renderDrawer();
+        } else {
+            this.refresh();
+        }
+    }
+
+    addHighlight(anchor, color) {
+        const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+        window.progressTracker.saveHighlight(this.moduleId, this.lessonId, { id, ...anchor, color, note: '' });
+        return id;
+    }
+
+    toggleDrawer() {
+        if (this.drawer.hidden) {
+            this.drawer.hidden = false;
+            this.renderDrawer();
+            const editor = document.getElementById('notes-editor');
+            if (editor) editor.focus();
+        } else {
+            this.closeDrawer();
+        }
+    }
+
+    closeDrawer() {
+        this.flushNotes();
+        this.drawer.hidden = true;
+    }
+
+    // The open lesson's notes and a list of its highlights
+    renderDrawer() {
+        if (this.drawer.hidden) return;
+
+        const module = this.curriculum.modules.find(m => m.id === this.moduleId);
+        const lesson = module && module.lessons.find(l => l.id === this.lessonId);
+        if (!lesson) {
+            this.drawerBody.innerHTML = '<p class="notes-empty">Open a lesson to take notes on it. Your study guide collects the notes and highlights of every lesson.</p>';
+            return;
+        }
+
+        const notes = window.progressTracker.getNotes(this.moduleId, this.lessonId);
+        const highlights = window.progressTracker.getHighlights(this.moduleId, this.lessonId);
+        const items = highlights.map(highlight => {
+            const orphaned = this.orphans.includes(highlight);
+            return `
+                <li class="notes-highlight highlight-${highlight.color}${orphaned ? ' orphaned' : ''}" data-highlight-id="${highlight.id}">
+                    <blockquote>${this.escapeHtml(this.truncate(highlight.quote, 160))}</blockquote>
+                    ${highlight.note ? `<p class="notes-highlight-note">${this.escapeHtml(highlight.note)}</p>` : ''}
+                    ${orphaned ? `
+                        <p class="notes-orphaned">
+                            <i class="fas fa-unlink"></i> This text is no longer in the lesson.
+                            <button class="notes-remove-highlight" data-highlight-id="${highlight.id}">Remove</button>
+                        </p>
+                    ` : ''}
+                </li>
+            `;
+        }).join('');
+
+        this.drawerBody.innerHTML = `
+            <p class="notes-lesson">${this.escapeHtml(`${module.title} › ${lesson.title}`)}</p>
+            <div class="notes-tabs" role="tablist">
+                <button class="notes-tab active" data-tab="write" role="tab">Write</button>
+                <button class="notes-tab" data-tab="preview" role="tab">Preview</button>
+                <span class="notes-saved" id="notes-saved">${notes.updatedAt ? `Saved ${this.formatTime(notes.updatedAt)}` : ''}</span>
+            </div>
+            <textarea class="notes-editor" id="notes-editor" placeholder="Write notes in Markdown…" aria-label="Lesson notes"></textarea>
+            <div class="notes-preview" id="notes-preview" hidden></div>
+            <h3>Highlights${highlights.length > 0 ? ` <span class="notes-highlight-count">${highlights.length}</span>` : ''}</h3>
+            ${highlights.length > 0
+                ? `<ul class="notes-highlights">${items}</ul>`
+                : '<p class="notes-empty">Select text in the lesson to highlight it or add a note beside it.</p>'}
+        `;
+        document.getElementById('notes-editor').value = notes.text;
+    }
+
+    handleDrawerClick(e) {
+        const tab = e.target.closest('.notes-tab');
+        if (tab) {
+            this.showTab(tab.dataset.tab);
+            return;
+        }
+
+        const remove = e.target.closest('.notes-remove-highlight');
+        if (remove) {
+            window.progressTracker.removeHighlight(this.moduleId, this.lessonId, remove.dataset.highlightId);
+            this.refresh();
+            return;
+        }
+
+        // Jump to a highlight in the lesson
+        const item = e.target.closest('.notes-highlight:not(.orphaned)');
+        const mark = item && this.container && this.container.querySelector(`mark[data-highlight-id="${item.dataset.highlightId}"]`);
+        if (mark) {
+            mark.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            this.container.querySelectorAll(`mark[data-highlight-id="${item.dataset.highlightId}"]`).forEach(segment => {
+                segment.classList.add('flash');
+                setTimeout(() => segment.classList.remove('flash'), 1500);
+            });
+        }
+    }
+
+    showTab(name) {
+        const editor = document.getElementById('notes-editor');
+        const preview = document.getElementById('notes-preview');
+        this.drawerBody.querySelectorAll('.notes-tab').forEach(tab => tab.classList.toggle('active', tab.dataset.tab === name));
+        editor.hidden = name !== 'write';
+        preview.hidden = name !== 'preview';
+        if (name === 'preview') {
+            preview.innerHTML = editor.value.trim() ? marked.parse(editor.value) : '<p class="notes-empty">Nothing written yet.</p>';
+            preview.querySelectorAll('pre code').forEach(block => hljs.highlightElement(block));
+        }
+    }
+
+    scheduleSave() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.flushNotes(), 500);
+    }
+
+    // Save notes still waiting on the autosave straight away
+    flushNotes() {
+        if (!this.saveTimer) return;
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        const editor = document.getElementById('notes-editor');
+        if (!editor || !this.lessonId) return;
+        window.progressTracker.saveNotes(this.moduleId, this.lessonId, editor.value);
+
+        const saved = document.getElementById('notes-saved');
+        const notes = window.progressTracker.getNotes(this.moduleId, this.lessonId);
+        if (saved && notes.updatedAt) saved.textContent = `Saved ${this.formatTime(notes.updatedAt)}`;
+    }
+
+    // Every lesson's highlights and notes as one Markdown document, in curriculum order
+    buildStudyGuide() {
+        const sections = [];
+        this.curriculum.modules.forEach(module => {
+            const lessons = module.lessons.map(lesson => {
+                const highlights = window.progressTracker.getHighlights(module.id, lesson.id);
+                const notes = window.progressTracker.getNotes(module.id, lesson.id).text.trim();
+                if (highlights.length === 0 && !notes) return null;
+
+                const parts = [`### ${lesson.title}`];
+                if (highlights.length > 0) {
+                    parts.push('#### Highlights');
+                    highlights.forEach(highlight => {
+                        parts.push(highlight.quote.split('\n').map(line => `> ${line}`).join('\n'));
+                        if (highlight.note) parts.push(`*Note:* ${highlight.note}`);
+                    });
+                }
+                if (notes) parts.push('#### Notes', notes);
+                return parts.join('\n\n');
+            }).filter(Boolean);
+
+            if (lessons.length > 0) sections.push(`## ${module.title}`, ...lessons);
+        });
+
+        if (sections.length === 0) return null;
+        return [`# Study Guide`, `Exported ${new Date().toISOString().split('T')[0]}`, ...sections].join('\n\n') + '\n';
+    }
+
+    // Download the study guide
+    exportStudyGuide() {
+        this.flushNotes();
+        const guide = this.buildStudyGuide();
+        if (!guide) {
+            showToast('Highlight some lesson text or write notes to build a study guide');
+            return;
+        }
+
+        const linkElement = document.createElement('a');
+        linkElement.setAttribute('href', 'data:text/markdown;charset=utf-8,' + encodeURIComponent(guide));
+        linkElement.setAttribute('download', `study-guide-${new Date().toISOString().split('T')[0]}.md`);
+        linkElement.click();
+    }
+
+    truncate(text, length) {
+        return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+    }
+
+    formatTime(isoDate) {
+        return new Date(isoDate).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+
+    // Helper function to escape HTML
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Initialize lesson notes when the DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.lessonNotes = new LessonNotes(curriculum);
+});
@@ -0,0 +1,206 @@
+// Lesson Quizzes - Turns ```quiz blocks in lesson markdown into multiple-choice and fill-in questions
+
+// Wrong answers allowed before a quiz reveals its answer and explanation
+const QUIZ_ATTEMPTS_BEFORE_REVEAL = 3;
+
+class LessonQuizzes {
+    constructor() {
+        this.moduleId = null;
+        this.lessonId = null;
+        this.quizzes = new Map();
+    }
+
+    // Replace each quiz block of a freshly rendered lesson with its widget, showing saved answers
+    render(moduleId, lessonId, lessonContainer) {
+        this.moduleId = moduleId;
+        this.lessonId = lessonId;
+        this.quizzes = new Map();
+
+        const results = window.progressTracker.getQuizResults(moduleId, lessonId);
+        lessonContainer.querySelectorAll('pre > code.language-quiz').forEach((code, index) => {
+            const block = code.parentElement;
+            let quiz;
+            try {
+                quiz = this.parseQuiz(code.textContent, index);
+                if (this.quizzes.has(quiz.id)) {
+                    throw new Error(`another quiz in this lesson already has the id "${quiz.id}"`);
+                }
+            } catch (error) {
+                block.replaceWith(this.renderError(error));
+                return;
+            }
+
+            this.quizzes.set(quiz.id, quiz);
+            const widget = this.renderQuiz(quiz);
+            block.replaceWith(widget);
+            if (results[quiz.id]) this.showResult(widget, quiz, results[quiz.id]);
+        });
+    }
+
+    // Read a quiz block's YAML. A quiz has a question and an answer; with options it's a
+    // multiple-choice question (several answers make it "select all that apply"), without
+    // them a fill-in one. Quizzes without an id are numbered in order: quiz-1, quiz-2, ...
+    parseQuiz(source, index) {
+        const data = parseSimpleYaml(source);
+        const fields = ['id', 'question', 'type', 'options', 'answer', 'explanation'];
+        const unknown = Object.keys(data).find(key => !fields.includes(key));
+        if (unknown) throw new Error(`unknown field "${unknown}"`);
+
+        if (typeof data.question !== 'string' || !data.question.trim()) {
+            throw new Error('a quiz needs a "question"');
+        }
+        if (data.answer === undefined || data.answer === null) {
+            throw new Error('a quiz needs an "answer"');
+        }
+
+        const options = data.options ? data.options.map(String) : null;
+        const answers = (Array.isArray(data.answer) ? data.answer : [data.answer]).map(String);
+        const type = data.type || (options ? (Array.isArray(data.answer) ? 'multiple' : 'choice') : 'fill');
+
+        if (!['choice', 'multiple', 'fill'].includes(type)) {
+            throw new Error(`unknown type "${type}"; use choice, multiple or fill`);
+        }
+        if (type !== 'fill') {
+            if (!options || options.length < 2) throw new Error(`a ${type} quiz needs at least two "options"`);
+            const missing = answers.find(answer => !options.includes(answer));
+            if (missing !== undefined) throw new Error(`the answer "${missing}" is not one of the options`);
+            if (type === 'choice' && answers.length !== 1) {
+                throw new Error('a choice quiz has exactly one answer; use "type: multiple" for more');
+            }
+        }
+
+        return {
+            id: data.id !== undefined && data.id !== null ? String(data.id) : `quiz-${index + 1}`,
+            type,
+            question: data.question,
+            options,
+            answers,
+            explanation: data.explanation ? String(data.explanation) : ''
+        };
+    }
+
+    renderQuiz(quiz) {
+        const field = quiz.type === 'fill'
+            ? '<input type="text" class="quiz-input" name="answer" autocomplete="off" aria-label="Your answer">'
+            : `<div class="quiz-options">${quiz.options.map((option, index) => `
+                <label class="quiz-option">
+                    <input type="${quiz.type === 'multiple' ? 'checkbox' : 'radio'}" name="answer" value="${index}">
+                    <span>${marked.parseInline(option)}</span>
+                </label>
+            `).join('')}</div>`;
+
+        const widget = document.createElement('form');
+        widget.className = 'quiz';
+        widget.dataset.quizId = quiz.id;
+        widget.innerHTML = `
+            <div class="quiz-header">
+                <i class="fas fa-question-circle"></i>
+                ${quiz.type === 'multiple' ? 'Quiz · select all that apply' : 'Quiz'}
+            </div>
+            <div class="quiz-question">${marked.parseInline(quiz.question)}</div>
+            ${field}
+            <div class="quiz-actions">
+                <button type="submit" class="action-button">Check answer</button>
+                <span class="quiz-attempts"></span>
+            </div>
+            <div class="quiz-feedback" aria-live="polite"></div>
+        `;
+
+        widget.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.answer(widget, quiz);
+        });
+        return widget;
+    }
+
+    // Tell authors what's wrong with a block instead of silently dropping the question
+    renderError(error) {
+        const element = document.createElement('div');
+        element.className = 'quiz quiz-error';
+        element.innerHTML = `<i class="fas fa-exclamation-triangle"></i> This quiz couldn't be read: ${this.escapeHtml(error.message)}`;
+        return element;
+    }
+
+    // Check and save the learner's answer
+    answer(widget, quiz) {
+        const answer = this.readAnswer(widget, quiz);
+        if (answer === null) {
+            widget.querySelector('.quiz-feedback').innerHTML = '<p class="quiz-hint">Choose or type an answer first.</p>';
+            return;
+        }
+
+        window.progressTracker.recordQuizAnswer(this.moduleId, this.lessonId, quiz.id, answer, this.isCorrect(quiz, answer));
+        this.showResult(widget, quiz, window.progressTracker.getQuizResults(this.moduleId, this.lessonId)[quiz.id]);
+        if (this.isCorrect(quiz, answer)) window.contentLoader.completeLessonIfDone();
+        window.contentLoader.updateLessonStatus();
+    }
+
+    // The typed text, the chosen option, or the list of ticked options; null when nothing is given
+    readAnswer(widget, quiz) {
+        if (quiz.type === 'fill') {
+            return widget.querySelector('.quiz-input').value.trim() || null;
+        }
+        const chosen = [...widget.querySelectorAll('input[name="answer"]:checked')].map(input => quiz.options[input.value]);
+        if (chosen.length === 0) return null;
+        return quiz.type === 'multiple' ? chosen : chosen[0];
+    }
+
+    // Fill-in answers ignore case and extra spaces; "select all" needs exactly the right set
+    isCorrect(quiz, answer) {
+        if (quiz.type === 'fill') {
+            const normalize = (text) => text.toLowerCase().replace(/\s+/g, ' ').trim();
+            return quiz.answers.some(expected => normalize(expected) === normalize(answer));
+        }
+        const chosen = Array.isArray(answer) ? answer : [answer];
+        return chosen.length === quiz.answers.length && chosen.every(option => quiz.answers.includes(option));
+    }
+
+    // Put a saved answer back into the widget and say whether it was right
+    showResult(widget, quiz, result) {
+        const chosen = Array.isArray(result.answer) ? result.answer : [result.answer];
+        if (quiz.type === 'fill') {
+            widget.querySelector('.quiz-input').value = result.answer;
+        } else {
+            widget.querySelectorAll('.quiz-option').forEach(label => {
+                const input = label.querySelector('input');
+                const option = quiz.options[input.value];
+                input.checked = chosen.includes(option);
+                label.classList.toggle('correct', result.correct && quiz.answers.includes(option));
+                label.classList.toggle('incorrect', !result.correct && input.checked);
+            });
+        }
+
+        const reveal = result.correct || result.attempts >= QUIZ_ATTEMPTS_BEFORE_REVEAL;
+        const answerText = quiz.answers.map(answer => marked.parseInline(answer)).join(', ');
+        widget.classList.toggle('answered-correctly', result.correct);
+        widget.querySelector('.quiz-attempts').textContent = `${result.attempts} attempt${result.attempts === 1 ? '' : 's'}`;
+        widget.querySelector('.quiz-feedback').innerHTML = `
+            <p class="quiz-verdict ${result.correct ? 'correct' : 'incorrect'}">
+                <i class="fas ${result.correct ? 'fa-check-circle' : 'fa-times-circle'}"></i>
+                ${result.correct ? 'Correct!' : (reveal ? `Not quite. The answer is ${answerText}.` : 'Not quite, try again.')}
+            </p>
+            ${reveal && quiz.explanation ? `<div class="quiz-explanation">${marked.parse(quiz.explanation)}</div>` : ''}
+        `;
+    }
+
+    // How many of the open lesson's quizzes are answered correctly; null for any other lesson
+    getScore(moduleId, lessonId) {
+        if (moduleId !== this.moduleId || lessonId !== this.lessonId) return null;
+
+        const results = window.progressTracker.getQuizResults(moduleId, lessonId);
+        const correct = [...this.quizzes.keys()].filter(id => results[id] && results[id].correct).length;
+        return { correct, total: this.quizzes.size };
+    }
+
+    // Helper function to escape HTML
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Initialize lesson quizzes when the DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.lessonQuizzes = new LessonQuizzes();
+});
@@ -0,0 +1,151 @@
+// Lesson TOC - A sticky table of contents for the open lesson, with scroll-spy and read tracking
+
+class LessonToc {
+    constructor() {
+        this.contentArea = document.getElementById('content-area');
+        this.panel = null;
+        this.headings = [];
+        this.seen = new Set();
+        this.observer = null;
+        this.scrollFrame = null;
+        this.moduleId = null;
+        this.lessonId = null;
+        this.setupEventListeners();
+    }
+
+    // Set up event listeners
+    setupEventListeners() {
+        // Highlight the section being read, at most once per frame
+        this.contentArea.addEventListener('scroll', () => {
+            if (this.scrollFrame || !this.panel) return;
+            this.scrollFrame = requestAnimationFrame(() => {
+                this.scrollFrame = null;
+                this.updateActiveSection();
+            });
+        });
+    }
+
+    // Build the panel for a freshly rendered lesson from its ## and ### headings
+    render(moduleId, lessonId, lessonContainer) {
+        this.destroy();
+
+        this.moduleId = moduleId;
+        this.lessonId = lessonId;
+        this.headings = [...lessonContainer.querySelectorAll('h2[id], h3[id]')];
+        if (this.headings.length < 2) return;
+
+        const readSections = window.progressTracker.getReadSections(moduleId, lessonId);
+        const items = this.headings.map(heading => `
+            <li class="toc-item toc-level-${heading.tagName.charAt(1)}${readSections.includes(heading.id) ? ' read' : ''}">
+                <a href="${window.router.lessonPath(moduleId, lessonId, heading.id)}" data-heading-id="${heading.id}">
+                    <i class="fas fa-check toc-read-icon" aria-hidden="true"></i>
+                    <span>${this.escapeHtml(this.headingText(heading))}</span>
+                </a>
+            </li>
+        `).join('');
+
+        this.panel = document.createElement('aside');
+        this.panel.className = 'lesson-toc';
+        this.panel.setAttribute('aria-label', 'On this page');
+        this.panel.innerHTML = `
+            <div class="lesson-toc-header">
+                <span>On this page</span>
+                <span class="lesson-toc-progress"></span>
+            </div>
+            <nav><ol>${items}</ol></nav>
+        `;
+
+        this.panel.addEventListener('click', (e) => {
+            const link = e.target.closest('a[data-heading-id]');
+            if (!link) return;
+            e.preventDefault();
+            window.router.navigate(link.getAttribute('href'));
+        });
+
+        this.contentArea.prepend(this.panel);
+        this.updateReadCount();
+        this.observeSections(lessonContainer);
+        this.updateActiveSection();
+    }
+
+    // Remove the panel and stop watching the previous lesson
+    destroy() {
+        if (this.observer) this.observer.disconnect();
+        if (this.panel) this.panel.remove();
+        this.observer = null;
+        this.panel = null;
+        this.headings = [];
+        this.seen = new Set();
+    }
+
+    // A heading's text without its deep-link anchor
+    headingText(heading) {
+        const clone = heading.cloneNode(true);
+        clone.querySelectorAll('.heading-anchor').forEach(anchor => anchor.remove());
+        return clone.textContent.trim();
+    }
+
+    // A section counts as read once the learner has seen its heading and then scrolled far
+    // enough to see where it ends: the next heading, or the end of the lesson
+    observeSections(lessonContainer) {
+        const end = document.createElement('div');
+        end.className = 'lesson-toc-end';
+        lessonContainer.appendChild(end);
+        const markers = [...this.headings, end];
+
+        this.observer = new IntersectionObserver((entries) => {
+            entries.filter(entry => entry.isIntersecting).forEach(entry => {
+                this.seen.add(entry.target);
+
+                const index = markers.indexOf(entry.target);
+                const previous = this.headings[index - 1];
+                if (previous && this.seen.has(previous)) {
+                    this.markRead(previous.id);
+                }
+            });
+        }, { root: this.contentArea });
+
+        markers.forEach(marker => this.observer.observe(marker));
+    }
+
+    // Record a section as read and tick it off in the panel
+    markRead(headingId) {
+        if (!window.progressTracker.markSectionRead(this.moduleId, this.lessonId, headingId)) return;
+
+        const link = this.panel && this.panel.querySelector(`a[data-heading-id="${headingId}"]`);
+        if (link) link.parentElement.classList.add('read');
+        this.updateReadCount();
+    }
+
+    updateReadCount() {
+        const read = this.panel.querySelectorAll('.toc-item.read').length;
+        this.panel.querySelector('.lesson-toc-progress').textContent = `${read}/${this.headings.length} read`;
+    }
+
+    // The current section is the last heading that has scrolled past the top of the content area
+    updateActiveSection() {
+        if (!this.panel) return;
+
+        const top = this.contentArea.getBoundingClientRect().top + 100;
+        let active = this.headings[0];
+        this.headings.forEach(heading => {
+            if (heading.getBoundingClientRect().top <= top) active = heading;
+        });
+
+        this.panel.querySelectorAll('.toc-item.active').forEach(item => item.classList.remove('active'));
+        const link = this.panel.querySelector(`a[data-heading-id="${active.id}"]`);
+        if (link) link.parentElement.classList.add('active');
+    }
+
+    // Helper function to escape HTML
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Initialize the table of contents when the DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.lessonToc = new LessonToc();
+});
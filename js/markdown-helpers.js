@@ -0,0 +1,99 @@
+// Markdown Helpers - Shared helpers for working with lesson markdown and its rendered HTML
+
+// Turn heading text into a URL-friendly slug, e.g. "Branching & Merging" -> "branching-merging"
+function slugify(text) {
+    return String(text)
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9\s-]/g, '')
+        .trim()
+        .replace(/[\s-]+/g, '-');
+}
+
+// Give every heading in a rendered lesson a unique slug id; repeated headings get -1, -2, ... suffixes
+function assignHeadingIds(root) {
+    const used = new Map();
+    const headings = [...root.querySelectorAll('h1, h2, h3, h4, h5, h6')];
+
+    headings.forEach(heading => {
+        const base = slugify(heading.textContent) || 'section';
+        const count = used.get(base) || 0;
+        used.set(base, count + 1);
+        heading.id = count === 0 ? base : `${base}-${count}`;
+    });
+
+    return headings;
+}
+
+// Parse the small YAML subset used by blocks embedded in lessons: top-level "key: value" pairs,
+// "- item" lists under a key, "|" (literal) and ">" (folded) text blocks, quoted strings, [a, b]
+// lists, numbers and booleans. Anything else throws an error naming the line.
+function parseSimpleYaml(text) {
+    const lines = text.replace(/\t/g, '    ').split('\n');
+    const result = {};
+    let i = 0;
+
+    const isIndented = (line) => line.trim() === '' || /^\s/.test(line);
+
+    while (i < lines.length) {
+        const line = lines[i];
+        if (line.trim() === '' || line.trim().startsWith('#')) {
+            i++;
+            continue;
+        }
+
+        const match = line.match(/^([A-Za-z_][\w-]*)\s*:(?:\s+(.*))?$/);
+        if (!match) {
+            throw new Error(`Line ${i + 1}: expected "key: value" but found "${line.trim()}"`);
+        }
+        const key = match[1];
+        const rest = (match[2] || '').trim();
+        if (Object.prototype.hasOwnProperty.call(result, key)) {
+            throw new Error(`Line ${i + 1}: "${key}" is set more than once`);
+        }
+        i++;
+
+        if (rest === '|' || rest === '>') {
+            const block = [];
+            while (i < lines.length && isIndented(lines[i])) block.push(lines[i++]);
+            while (block.length > 0 && block[block.length - 1].trim() === '') block.pop();
+
+            const indent = Math.min(...block.filter(l => l.trim()).map(l => l.match(/^ */)[0].length));
+            const body = block.map(l => l.slice(indent));
+            result[key] = rest === '|'
+                ? body.join('\n')
+                : body.join('\n').split(/\n{2,}/).map(paragraph => paragraph.replace(/\n/g, ' ')).join('\n');
+        } else if (rest === '') {
+            const items = [];
+            while (i < lines.length && (lines[i].trim() === '' || /^\s*-(\s|$)/.test(lines[i]))) {
+                const item = lines[i].match(/^\s*-\s*(.*)$/);
+                if (item) items.push(parseYamlScalar(item[1].trim()));
+                i++;
+            }
+            if (i < lines.length && isIndented(lines[i])) {
+                throw new Error(`Line ${i + 1}: only "- item" lists can be nested under "${key}"`);
+            }
+            result[key] = items.length > 0 ? items : null;
+        } else {
+            result[key] = parseYamlScalar(rest);
+        }
+    }
+
+    return result;
+}
+
+// Convert a single YAML value to a string, number, boolean, null or flat list
+function parseYamlScalar(value) {
+    if (/^"(?:[^"\\]|\\.)*"$/.test(value)) return JSON.parse(value);
+    if (/^'(?:[^']|'')*'$/.test(value)) return value.slice(1, -1).replace(/''/g, "'");
+    if (value.startsWith('[') && value.endsWith(']')) {
+        const inner = value.slice(1, -1).trim();
+        const items = inner.match(/\s*(?:"(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^,]+)/g) || [];
+        return items.map(item => item.trim()).filter(item => item !== '').map(parseYamlScalar);
+    }
+    if (value === 'true' || value === 'false') return value === 'true';
+    if (value === 'null' || value === '~') return null;
+    if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+    return value;
+}
@@ -0,0 +1,131 @@
+// Prerequisite Map - Draws the lesson prerequisite graph as an SVG, one column per depth
+
+const MAP_NODE_WIDTH = 210;
+const MAP_NODE_HEIGHT = 48;
+const MAP_COLUMN_GAP = 70;
+const MAP_ROW_GAP = 14;
+const MAP_PADDING = 16;
+
+class PrerequisiteMap {
+    constructor() {
+        this.contentArea = document.getElementById('content-area');
+    }
+
+    // Open the map in the content area
+    show() {
+        window.contentLoader.clearLesson();
+        document.getElementById('breadcrumb').innerHTML = '<span class="breadcrumb-item">Lesson Map</span>';
+
+        const graph = window.progressTracker.graph;
+        const next = window.progressTracker.getNextLesson();
+        this.contentArea.innerHTML = `
+            <div class="prerequisite-map">
+                <h1>Lesson Map</h1>
+                <p>Each arrow points from a lesson to one that builds on it. Lessons are arranged left to right by how many prerequisites lead up to them.</p>
+                <ul class="map-legend">
+                    <li><span class="map-swatch map-node-completed"></span> Completed</li>
+                    <li><span class="map-swatch map-node-available"></span> Ready to start</li>
+                    <li><span class="map-swatch map-node-locked"></span> Prerequisites not completed</li>
+                    <li><span class="map-swatch map-node-next"></span> Up next</li>
+                </ul>
+                ${graph.problems.length > 0 ? `
+                    <div class="map-problems">
+                        <p>Some prerequisites in the curriculum couldn't be used:</p>
+                        <ul>${graph.problems.map(problem => `<li>${this.escapeHtml(problem)}</li>`).join('')}</ul>
+                    </div>
+                ` : ''}
+                <div class="map-canvas">${this.renderSvg(graph, next)}</div>
+            </div>
+        `;
+        this.contentArea.scrollTop = 0;
+    }
+
+    // Lay the lessons out in columns by depth, keeping curriculum order within each column
+    layout(graph) {
+        const depths = graph.getDepths();
+        const columns = [];
+        const positions = new Map();
+
+        graph.nodes.forEach((node, key) => {
+            const depth = depths.get(key);
+            if (!columns[depth]) columns[depth] = [];
+            columns[depth].push(key);
+        });
+
+        columns.forEach((column, depth) => {
+            column.forEach((key, row) => {
+                positions.set(key, {
+                    x: MAP_PADDING + depth * (MAP_NODE_WIDTH + MAP_COLUMN_GAP),
+                    y: MAP_PADDING + row * (MAP_NODE_HEIGHT + MAP_ROW_GAP)
+                });
+            });
+        });
+
+        const rows = Math.max(...columns.map(column => column.length));
+        return {
+            positions,
+            width: MAP_PADDING * 2 + columns.length * MAP_NODE_WIDTH + (columns.length - 1) * MAP_COLUMN_GAP,
+            height: MAP_PADDING * 2 + rows * MAP_NODE_HEIGHT + (rows - 1) * MAP_ROW_GAP
+        };
+    }
+
+    renderSvg(graph, next) {
+        const { positions, width, height } = this.layout(graph);
+        const nextKey = next ? CurriculumGraph.key(next.moduleId, next.lessonId) : null;
+
+        const edges = [];
+        graph.nodes.forEach((node, key) => {
+            const to = positions.get(key);
+            node.prerequisites.forEach(prerequisite => {
+                const from = positions.get(prerequisite);
+                const x1 = from.x + MAP_NODE_WIDTH;
+                const y1 = from.y + MAP_NODE_HEIGHT / 2;
+                const x2 = to.x;
+                const y2 = to.y + MAP_NODE_HEIGHT / 2;
+                const bend = Math.max((x2 - x1) / 2, 30);
+                edges.push(`<path class="map-edge" d="M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}" marker-end="url(#map-arrow)"></path>`);
+            });
+        });
+
+        const nodes = [...graph.nodes].map(([key, { module, lesson }]) => {
+            const { x, y } = positions.get(key);
+            const state = window.progressTracker.getLessonAvailability(module.id, lesson.id);
+            const missing = window.progressTracker.getMissingPrerequisites(module.id, lesson.id);
+            const tooltip = missing.length > 0
+                ? `${lesson.title} — recommended after: ${missing.map(m => m.lesson.title).join(', ')}`
+                : lesson.title;
+            return `
+                <a href="${window.router.lessonPath(module.id, lesson.id)}" class="map-node map-node-${state} ${key === nextKey ? 'map-node-next' : ''}">
+                    <title>${this.escapeHtml(tooltip)}</title>
+                    <rect x="${x}" y="${y}" width="${MAP_NODE_WIDTH}" height="${MAP_NODE_HEIGHT}" rx="6"></rect>
+                    <text class="map-node-module" x="${x + 10}" y="${y + 17}">${this.escapeHtml(module.title)}</text>
+                    <text class="map-node-title" x="${x + 10}" y="${y + 36}">${this.escapeHtml(lesson.title)}</text>
+                </a>
+            `;
+        }).join('');
+
+        return `
+            <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="Lesson prerequisite graph">
+                <defs>
+                    <marker id="map-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+                        <path d="M 0 0 L 10 5 L 0 10 z"></path>
+                    </marker>
+                </defs>
+                ${edges.join('')}
+                ${nodes}
+            </svg>
+        `;
+    }
+
+    // Helper function to escape HTML
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Initialize the prerequisite map when the DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.prerequisiteMap = new PrerequisiteMap();
+});
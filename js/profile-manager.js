@@ -0,0 +1,366 @@
+// Profile Manager - Named learner profiles, each with its own progress, notes and exercise drafts
+//
+// Every profile keeps its data under its own localStorage keys (see storageKey); its progress
+// goes wherever the progress storage setting says. Switching profiles fires a "profilechange"
+// event on window; whatever holds profile data reloads it then.
+
+// The list of profiles and which one is active
+const PROFILES_STORAGE_KEY = 'learningProfiles';
+
+// The keys every profile keeps its own copy of. Before profiles they were stored as they are.
+const PROFILE_DATA_KEYS = ['learningProgress', 'learningProgressRejected', 'progressSync', 'exerciseDrafts'];
+
+const PROFILE_NAME_MAX_LENGTH = 40;
+
+class ProfileManager {
+    constructor() {
+        this.select = document.getElementById('profile-select');
+        this.modal = document.getElementById('profiles-modal');
+        this.list = document.getElementById('profile-list');
+        this.newForm = document.getElementById('new-profile-form');
+        this.storageForm = document.getElementById('storage-settings-form');
+        this.registry = this.load();
+        this.setupEventListeners();
+        this.renderSwitcher();
+    }
+
+    // Read the list of profiles, starting one for whoever was using the portal before profiles
+    // existed and moving their data into it
+    load() {
+        let registry = null;
+        try {
+            registry = JSON.parse(localStorage.getItem(PROFILES_STORAGE_KEY));
+        } catch (error) {
+            console.error('Could not read the learner profiles:', error);
+        }
+
+        const profiles = registry && Array.isArray(registry.profiles)
+            ? registry.profiles.filter(profile => profile && typeof profile.id === 'string' && typeof profile.name === 'string')
+            : [];
+        if (profiles.length === 0) {
+            const profile = this.createEntry('Default');
+            PROFILE_DATA_KEYS.forEach(key => {
+                const value = localStorage.getItem(key);
+                if (value === null) return;
+                localStorage.setItem(this.keyFor(profile.id, key), value);
+                localStorage.removeItem(key);
+            });
+            profiles.push(profile);
+        }
+
+        const activeId = profiles.some(profile => profile.id === registry?.activeId) ? registry.activeId : profiles[0].id;
+        this.registry = { activeId, profiles };
+        this.save();
+        return this.registry;
+    }
+
+    save() {
+        localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(this.registry));
+    }
+
+    // Take in profiles another tab added, renamed or deleted. This tab stays on its own profile
+    // unless that was deleted; it doesn't save, so tabs don't keep answering each other.
+    syncRegistry() {
+        let registry = null;
+        try {
+            registry = JSON.parse(localStorage.getItem(PROFILES_STORAGE_KEY));
+        } catch (error) {
+            return;
+        }
+        const profiles = registry && Array.isArray(registry.profiles)
+            ? registry.profiles.filter(profile => profile && typeof profile.id === 'string' && typeof profile.name === 'string')
+            : [];
+        if (profiles.length === 0) return;
+
+        this.registry.profiles = profiles;
+        this.renderSwitcher();
+        const activeId = this.registry.activeId;
+        if (!profiles.some(profile => profile.id === activeId)) {
+            // Switching saves what was open to the deleted profile one last time
+            this.switchProfile(profiles.some(profile => profile.id === registry.activeId) ? registry.activeId : profiles[0].id);
+            this.removeData(activeId);
+        }
+    }
+
+    // Set up event listeners
+    setupEventListeners() {
+        this.select.addEventListener('change', () => {
+            if (this.select.value === 'new') {
+                this.select.value = this.registry.activeId;
+                this.open(true);
+            } else {
+                this.switchProfile(this.select.value);
+            }
+        });
+        document.getElementById('manage-profiles').addEventListener('click', () => this.open());
+        window.addEventListener('storage', (e) => {
+            if (e.key === PROFILES_STORAGE_KEY) this.syncRegistry();
+        });
+        document.getElementById('close-profiles-modal').addEventListener('click', () => this.close());
+        this.modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.close();
+        });
+
+        this.newForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const input = this.newForm.querySelector('input');
+            const name = this.cleanName(input.value);
+            if (!name) return;
+            input.value = '';
+            this.createProfile(name);
+            this.close();
+        });
+
+        this.storageForm.elements.type.addEventListener('change', (e) => this.renderStorageSettings(e.target.value));
+        this.storageForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const type = this.storageForm.elements.type.value;
+            this.changeStorage({ type, url: type === 'http' ? this.storageForm.elements.url.value.trim() : '' });
+        });
+
+        this.list.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const name = this.cleanName(e.target.querySelector('input').value);
+            if (name) this.renameProfile(e.target.closest('[data-profile-id]').dataset.profileId, name);
+            this.renderList();
+        });
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            this.handleAction(button, button.closest('[data-profile-id]').dataset.profileId);
+        });
+    }
+
+    // The localStorage key the active profile keeps one of PROFILE_DATA_KEYS under
+    storageKey(key) {
+        return this.keyFor(this.registry.activeId, key);
+    }
+
+    keyFor(profileId, key) {
+        return `profile:${profileId}:${key}`;
+    }
+
+    getProfiles() {
+        return this.registry.profiles;
+    }
+
+    getActiveProfile() {
+        return this.registry.profiles.find(profile => profile.id === this.registry.activeId);
+    }
+
+    getActiveProfileId() {
+        return this.registry.activeId;
+    }
+
+    createEntry(name) {
+        return { id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`, name, createdAt: new Date().toISOString() };
+    }
+
+    // Add a profile and switch to it; it starts with no progress
+    createProfile(name) {
+        const profile = this.createEntry(name);
+        this.registry.profiles.push(profile);
+        this.save();
+        this.switchProfile(profile.id);
+        showToast(`Created profile "${name}"`);
+        return profile;
+    }
+
+    renameProfile(profileId, name) {
+        const profile = this.registry.profiles.find(p => p.id === profileId);
+        if (!profile || profile.name === name) return;
+        profile.name = name;
+        this.save();
+        this.renderSwitcher();
+    }
+
+    // Delete a profile and everything it saved. The last profile can't be deleted; deleting the
+    // active one switches to another first.
+    deleteProfile(profileId) {
+        const profile = this.registry.profiles.find(p => p.id === profileId);
+        if (!profile || this.registry.profiles.length === 1) return false;
+
+        if (profileId === this.registry.activeId) {
+            this.switchProfile(this.registry.profiles.find(p => p.id !== profileId).id);
+        }
+        this.removeData(profileId);
+        this.registry.profiles = this.registry.profiles.filter(p => p.id !== profileId);
+        this.save();
+        this.renderSwitcher();
+        showToast(`Deleted profile "${profile.name}"`);
+        return true;
+    }
+
+    removeData(profileId) {
+        createProgressStorage(profileId).remove().catch(error => console.error('Could not delete saved progress:', error));
+        PROFILE_DATA_KEYS.forEach(key => localStorage.removeItem(this.keyFor(profileId, key)));
+    }
+
+    // Make another profile the active one. Whatever is open is closed first, so notes, reading
+    // positions, drafts and study time still being saved go to the profile they belong to.
+    switchProfile(profileId) {
+        if (profileId === this.registry.activeId || !this.registry.profiles.some(p => p.id === profileId)) return;
+
+        window.router.navigate('#/');
+        window.studyTimer.pause();
+
+        this.registry.activeId = profileId;
+        this.save();
+        this.renderSwitcher();
+        window.dispatchEvent(new CustomEvent('profilechange', { detail: { profile: this.getActiveProfile() } }));
+        showWelcomeScreen();
+    }
+
+    // Download a profile's progress, in the same format as Export, so it can be imported anywhere
+    async exportProfile(profileId) {
+        const profile = this.registry.profiles.find(p => p.id === profileId);
+        if (profileId === this.registry.activeId) {
+            window.progressTracker.exportProgress(profile.name);
+            return;
+        }
+
+        const saved = await this.loadProgress(profileId);
+        if (!saved) {
+            showToast(`"${profile.name}" has no progress to export yet`);
+            return;
+        }
+        window.progressTracker.downloadProgress(JSON.parse(saved), profile.name);
+    }
+
+    // A profile's saved progress as JSON, or null when it has none or it can't be read
+    async loadProgress(profileId) {
+        const storage = createProgressStorage(profileId);
+        try {
+            return await storage.load();
+        } catch (error) {
+            console.error(`Could not read the progress of profile ${profileId}:`, error);
+            return null;
+        } finally {
+            storage.close();
+        }
+    }
+
+    // Keep progress somewhere else from now on. Every profile's progress moves along with it,
+    // read from the old storage before the setting changes.
+    async changeStorage(settings) {
+        const current = getProgressStorageSettings();
+        if (current.type === settings.type && (settings.type !== 'http' || current.url === settings.url)) return;
+
+        await window.progressTracker.ready;
+        const others = this.registry.profiles.filter(profile => profile.id !== this.registry.activeId);
+        const saved = await Promise.all(others.map(profile => this.loadProgress(profile.id)));
+
+        saveProgressStorageSettings(settings);
+        await Promise.all(others.map((profile, index) => {
+            if (saved[index] === null) return null;
+            const storage = createProgressStorage(profile.id);
+            return storage.save(saved[index]).finally(() => storage.close());
+        }));
+        await window.progressTracker.changeStorage();
+        this.renderStorageSettings();
+        showToast(settings.type === 'http' ? `Progress now syncs with ${settings.url}` : 'Progress storage changed');
+    }
+
+    // Trim a name the learner typed; empty when nothing is left
+    cleanName(name) {
+        return name.replace(/\s+/g, ' ').trim().slice(0, PROFILE_NAME_MAX_LENGTH);
+    }
+
+    // The profiles in the sidebar header's switcher
+    renderSwitcher() {
+        this.select.innerHTML = `
+            ${this.registry.profiles.map(profile => `<option value="${profile.id}">${this.escapeHtml(profile.name)}</option>`).join('')}
+            <option value="new">New profile…</option>
+        `;
+        this.select.value = this.registry.activeId;
+        if (this.modal.classList.contains('open')) this.renderList();
+    }
+
+    // Open the profiles dialog, optionally ready to name a new profile
+    open(focusNew = false) {
+        this.renderList();
+        this.renderStorageSettings();
+        this.modal.classList.add('open');
+        (focusNew ? this.newForm.querySelector('input') : document.getElementById('close-profiles-modal')).focus();
+    }
+
+    close() {
+        this.modal.classList.remove('open');
+    }
+
+    // A row per profile with its actions; rename opens a name field in place
+    renderList(renaming = null) {
+        const only = this.registry.profiles.length === 1;
+        this.list.innerHTML = this.registry.profiles.map(profile => {
+            const active = profile.id === this.registry.activeId;
+            const name = renaming === profile.id
+                ? `<form class="profile-rename"><input type="text" maxlength="${PROFILE_NAME_MAX_LENGTH}" value="${this.escapeHtml(profile.name)}" aria-label="Profile name" required><button type="submit" class="exercise-button">Save</button></form>`
+                : `<span class="profile-name">${this.escapeHtml(profile.name)}</span>${active ? '<span class="profile-active">Active</span>' : ''}`;
+            return `
+                <li class="profile-item${active ? ' active' : ''}" data-profile-id="${profile.id}">
+                    <i class="fas fa-user"></i>
+                    ${name}
+                    <span class="profile-actions">
+                        ${active ? '' : '<button data-action="switch" title="Switch to this profile"><i class="fas fa-sign-in-alt"></i></button>'}
+                        <button data-action="rename" title="Rename"><i class="fas fa-pen"></i></button>
+                        <button data-action="export" title="Export progress"><i class="fas fa-download"></i></button>
+                        ${only ? '' : '<button data-action="delete" title="Delete"><i class="fas fa-trash"></i></button>'}
+                    </span>
+                </li>
+            `;
+        }).join('');
+
+        const input = this.list.querySelector('.profile-rename input');
+        if (input) {
+            input.focus();
+            input.select();
+        }
+    }
+
+    // The progress storage setting, with the server address showing when syncing is picked
+    renderStorageSettings(type = null) {
+        const settings = getProgressStorageSettings();
+        const { elements } = this.storageForm;
+        elements.type.value = type || settings.type;
+        elements.url.hidden = elements.type.value !== 'http';
+        elements.url.required = elements.type.value === 'http';
+        if (!type) elements.url.value = settings.url || '';
+    }
+
+    // Deleting takes a second click on the same button, which changes to say so
+    handleAction(button, profileId) {
+        switch (button.dataset.action) {
+            case 'switch':
+                this.switchProfile(profileId);
+                this.close();
+                break;
+            case 'rename':
+                this.renderList(profileId);
+                break;
+            case 'export':
+                this.exportProfile(profileId);
+                break;
+            case 'delete':
+                if (button.classList.contains('confirm')) {
+                    this.deleteProfile(profileId);
+                    this.renderList();
+                } else {
+                    button.classList.add('confirm');
+                    button.innerHTML = '<i class="fas fa-trash"></i> Delete with all its progress?';
+                }
+                break;
+        }
+    }
+
+    // Helper function to escape HTML
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Initialize profiles when the DOM is loaded, before anything reads profile data
+document.addEventListener('DOMContentLoaded', () => {
+    window.profileManager = new ProfileManager();
+});
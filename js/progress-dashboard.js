@@ -0,0 +1,284 @@
+// Progress Dashboard - Completion by module, exercise type and difficulty, completions over time,
+// and the exercises that were started but never finished
+
+// How many weeks the completions chart goes back, counting this one
+const DASHBOARD_WEEKS = 12;
+
+const DASHBOARD_BAR_WIDTH = 30;
+const DASHBOARD_BAR_GAP = 14;
+const DASHBOARD_CHART_HEIGHT = 120;
+
+// Difficulties in the order they're shown; any others follow
+const DASHBOARD_DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+
+class ProgressDashboard {
+    constructor(curriculum) {
+        this.curriculum = curriculum;
+        this.contentArea = document.getElementById('content-area');
+    }
+
+    // Open the dashboard in the content area
+    show() {
+        window.contentLoader.clearLesson();
+        document.getElementById('breadcrumb').innerHTML = '<span class="breadcrumb-item">Dashboard</span>';
+
+        const exercises = this.collectExercises();
+        this.contentArea.innerHTML = `
+            <div class="progress-dashboard">
+                <h1>Dashboard</h1>
+                ${this.renderSummary(exercises)}
+                <section class="dashboard-section">
+                    <h2>Modules</h2>
+                    ${this.renderModules()}
+                </section>
+                <section class="dashboard-section">
+                    <h2>Lessons completed per week</h2>
+                    ${this.renderCompletionChart()}
+                </section>
+                <div class="dashboard-columns">
+                    <section class="dashboard-section">
+                        <h2>Exercises by type</h2>
+                        ${this.renderBreakdown(exercises, exercise => exercise.type)}
+                    </section>
+                    <section class="dashboard-section">
+                        <h2>Exercises by difficulty</h2>
+                        ${this.renderBreakdown(exercises, exercise => exercise.difficulty, DASHBOARD_DIFFICULTIES)}
+                    </section>
+                </div>
+                <section class="dashboard-section">
+                    <h2>Started but not finished</h2>
+                    ${this.renderStalled(exercises)}
+                </section>
+            </div>
+        `;
+        this.contentArea.scrollTop = 0;
+    }
+
+    // Every exercise in the curriculum with its progress
+    collectExercises() {
+        return this.curriculum.modules.flatMap(module => module.lessons.flatMap(lesson =>
+            (lesson.exercises || []).map(exercise => ({
+                module,
+                lesson,
+                exercise,
+                type: exercise.type || 'other',
+                difficulty: exercise.difficulty || 'unrated',
+                status: window.progressTracker.getExerciseStatus(module.id, lesson.id, exercise.id),
+                progress: window.progressTracker.progressData.modules[module.id]?.lessons[lesson.id]?.exercises[exercise.id]
+            }))
+        ));
+    }
+
+    renderSummary(exercises) {
+        const lessons = this.curriculum.modules.flatMap(module => module.lessons.map(lesson => ({ module, lesson })));
+        const completedLessons = lessons.filter(({ module, lesson }) => window.progressTracker.isLessonCompleted(module.id, lesson.id)).length;
+        const completedExercises = exercises.filter(entry => entry.status === 'completed').length;
+        const studied = Object.values(window.progressTracker.getStudyDays()).reduce((total, seconds) => total + seconds, 0);
+        const streak = window.studyTimer.getStreak();
+
+        const cards = [
+            { label: 'Lessons completed', value: `${completedLessons}/${lessons.length}` },
+            { label: 'Exercises completed', value: `${completedExercises}/${exercises.length}` },
+            { label: 'Time studied', value: window.studyTimer.formatDuration(studied) },
+            { label: 'Current streak', value: `${streak} day${streak === 1 ? '' : 's'}` }
+        ];
+        return `
+            <div class="dashboard-summary">
+                ${cards.map(card => `
+                    <div class="dashboard-card">
+                        <span class="dashboard-card-value">${card.value}</span>
+                        <span class="dashboard-card-label">${card.label}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // One row per module: lessons completed and in progress, exercises completed, and time spent
+    renderModules() {
+        const rows = this.curriculum.modules.map(module => {
+            const statuses = module.lessons.map(lesson => window.progressTracker.getLessonStatus(module.id, lesson.id));
+            const completed = statuses.filter(status => status === 'completed').length;
+            const started = statuses.filter(status => status === 'in-progress').length;
+            const exercises = module.lessons.flatMap(lesson => (lesson.exercises || []).map(exercise =>
+                window.progressTracker.getExerciseStatus(module.id, lesson.id, exercise.id)
+            ));
+            const seconds = window.progressTracker.getModuleTime(module.id);
+
+            return `
+                <tr>
+                    <th scope="row">${this.escapeHtml(module.title)}</th>
+                    <td>${this.renderBar(completed, started, module.lessons.length)}</td>
+                    <td>${completed}/${module.lessons.length}${started > 0 ? ` <span class="dashboard-muted">(${started} in progress)</span>` : ''}</td>
+                    <td>${exercises.filter(status => status === 'completed').length}/${exercises.length}</td>
+                    <td>${seconds > 0 ? window.studyTimer.formatDuration(seconds) : '<span class="dashboard-muted">—</span>'}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <table class="dashboard-table">
+                <thead>
+                    <tr><th scope="col">Module</th><th scope="col"></th><th scope="col">Lessons</th><th scope="col">Exercises</th><th scope="col">Time</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            ${this.renderLegend()}
+        `;
+    }
+
+    // Exercises completed, started and not started, grouped by a property of the exercise
+    renderBreakdown(exercises, groupOf, order = []) {
+        const groups = new Map(order.map(name => [name, []]));
+        exercises.forEach(entry => {
+            const name = groupOf(entry);
+            if (!groups.has(name)) groups.set(name, []);
+            groups.get(name).push(entry);
+        });
+
+        const rows = [...groups].filter(([, entries]) => entries.length > 0).map(([name, entries]) => {
+            const completed = entries.filter(entry => entry.status === 'completed').length;
+            const started = entries.filter(entry => entry.status === 'in-progress').length;
+            return `
+                <tr>
+                    <th scope="row">${this.escapeHtml(name.charAt(0).toUpperCase() + name.slice(1))}</th>
+                    <td>${this.renderBar(completed, started, entries.length)}</td>
+                    <td>${completed}/${entries.length}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `<table class="dashboard-table">${rows}</table>`;
+    }
+
+    // A bar split into completed, in progress and not started
+    renderBar(completed, started, total) {
+        const percent = (count) => total > 0 ? (count / total) * 100 : 0;
+        return `
+            <div class="dashboard-bar" title="${completed} completed, ${started} in progress, ${total - completed - started} not started">
+                <span class="dashboard-bar-completed" style="width: ${percent(completed)}%"></span>
+                <span class="dashboard-bar-started" style="width: ${percent(started)}%"></span>
+            </div>
+        `;
+    }
+
+    renderLegend() {
+        return `
+            <ul class="dashboard-legend">
+                <li><span class="dashboard-swatch dashboard-bar-completed"></span> Completed</li>
+                <li><span class="dashboard-swatch dashboard-bar-started"></span> In progress</li>
+                <li><span class="dashboard-swatch"></span> Not started</li>
+            </ul>
+        `;
+    }
+
+    // When each lesson that's completed now was completed, or null when that's not recorded
+    completionDates() {
+        return this.curriculum.modules.flatMap(module => module.lessons
+            .map(lesson => window.progressTracker.progressData.modules[module.id]?.lessons[lesson.id])
+            .filter(lessonProgress => lessonProgress && lessonProgress.completed)
+            .map(lessonProgress => lessonProgress.completedAt));
+    }
+
+    // A bar per week, Monday to Sunday, of the lessons completed in it
+    renderCompletionChart() {
+        const dates = this.completionDates();
+        const thisWeek = this.startOfWeek(new Date());
+        const weeks = Array.from({ length: DASHBOARD_WEEKS }, (_, i) => {
+            const start = new Date(thisWeek.getFullYear(), thisWeek.getMonth(), thisWeek.getDate() - (DASHBOARD_WEEKS - 1 - i) * 7);
+            return { start, count: 0 };
+        });
+
+        let earlier = 0;
+        dates.filter(Boolean).forEach(date => {
+            const week = this.startOfWeek(new Date(date));
+            const bucket = weeks.find(w => w.start.getTime() === week.getTime());
+            if (bucket) {
+                bucket.count++;
+            } else if (week < weeks[0].start) {
+                earlier++;
+            }
+        });
+        const undated = dates.filter(date => !date).length;
+
+        const most = Math.max(1, ...weeks.map(week => week.count));
+        const width = DASHBOARD_WEEKS * (DASHBOARD_BAR_WIDTH + DASHBOARD_BAR_GAP);
+        const bars = weeks.map((week, i) => {
+            const x = i * (DASHBOARD_BAR_WIDTH + DASHBOARD_BAR_GAP) + DASHBOARD_BAR_GAP / 2;
+            const height = Math.round((week.count / most) * (DASHBOARD_CHART_HEIGHT - 20));
+            const y = DASHBOARD_CHART_HEIGHT - height;
+            const label = week.start.toLocaleDateString([], { month: 'short', day: 'numeric' });
+            return `
+                <g class="dashboard-week">
+                    <title>Week of ${label}: ${week.count} lesson${week.count === 1 ? '' : 's'}</title>
+                    <rect x="${x}" y="${y}" width="${DASHBOARD_BAR_WIDTH}" height="${height}" rx="3"></rect>
+                    ${week.count > 0 ? `<text class="dashboard-week-count" x="${x + DASHBOARD_BAR_WIDTH / 2}" y="${y - 4}">${week.count}</text>` : ''}
+                    <text class="dashboard-week-label" x="${x + DASHBOARD_BAR_WIDTH / 2}" y="${DASHBOARD_CHART_HEIGHT + 16}">${label}</text>
+                </g>
+            `;
+        }).join('');
+
+        const notes = [];
+        if (earlier > 0) notes.push(`${earlier} completed before ${weeks[0].start.toLocaleDateString()}`);
+        if (undated > 0) notes.push(`${undated} completed before the portal started recording dates`);
+
+        return `
+            <svg class="dashboard-chart" width="${width}" height="${DASHBOARD_CHART_HEIGHT + 24}" viewBox="0 0 ${width} ${DASHBOARD_CHART_HEIGHT + 24}" role="img" aria-label="Lessons completed per week">
+                <line class="dashboard-axis" x1="0" y1="${DASHBOARD_CHART_HEIGHT}" x2="${width}" y2="${DASHBOARD_CHART_HEIGHT}"></line>
+                ${bars}
+            </svg>
+            ${notes.length > 0 ? `<p class="dashboard-muted">Not shown: ${notes.join('; ')}.</p>` : ''}
+        `;
+    }
+
+    // Exercises that were started and not completed, longest untouched first
+    renderStalled(exercises) {
+        const lastTouched = (entry) => entry.progress.lastAttempt || entry.progress.startedAt || '';
+        const stalled = exercises
+            .filter(entry => entry.status === 'in-progress')
+            .sort((a, b) => lastTouched(a).localeCompare(lastTouched(b)));
+        if (stalled.length === 0) {
+            return '<p class="dashboard-muted">No exercises left half-done.</p>';
+        }
+
+        const rows = stalled.map(entry => {
+            const touched = lastTouched(entry);
+            const seconds = entry.progress.timeSpent;
+            return `
+                <tr>
+                    <td>
+                        <a href="${window.router.exercisePath(entry.exercise.id)}">${this.escapeHtml(entry.exercise.title)}</a>
+                        <span class="dashboard-muted">${this.escapeHtml(`${entry.module.title} › ${entry.lesson.title}`)}</span>
+                    </td>
+                    <td><span class="difficulty-badge difficulty-${entry.difficulty}">${this.escapeHtml(entry.difficulty)}</span></td>
+                    <td>${entry.progress.lastAttempt ? `Last run ${this.formatDay(touched)}` : touched ? `Opened ${this.formatDay(touched)}, never run` : 'Never run'}</td>
+                    <td>${seconds > 0 ? window.studyTimer.formatDuration(seconds) : '<span class="dashboard-muted">—</span>'}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `<table class="dashboard-table dashboard-stalled">${rows}</table>`;
+    }
+
+    // Midnight on the Monday of a date's week, in local time
+    startOfWeek(date) {
+        const daysSinceMonday = (date.getDay() + 6) % 7;
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() - daysSinceMonday);
+    }
+
+    formatDay(isoDate) {
+        return new Date(isoDate).toLocaleDateString([], { year: 'numeric', month: 'short', day: 'numeric' });
+    }
+
+    // Helper function to escape HTML
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Initialize the dashboard when the DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.progressDashboard = new ProgressDashboard(curriculum);
+});
@@ -0,0 +1,302 @@
+// Progress Log - The append-only record of progress changes that lesson and exercise statuses are replayed from
+//
+// The log is a base, the statuses when it began, and the events since. Replaying them gives each
+// lesson's completed, started and last visited state and each exercise's completed and started
+// state; everything else in the progress data (notes, quizzes, study time, ...) is saved directly.
+// Undo and redo are events too, naming the event they take back or bring back, so nothing is
+// ever removed from the log except by folding the oldest events into the base, or dropping
+// visits that a later visit to the same lesson makes redundant.
+
+// Event types, and whether undo can take them back. Visits and exercise starts only note what
+// was looked at, so undo passes over them.
+const PROGRESS_EVENT_TYPES = {
+    'visit': false,
+    'complete': true,
+    'uncomplete': true,
+    'exercise-start': false,
+    'exercise-complete': true,
+    'import': true,
+    'undo': false,
+    'redo': false
+};
+
+// Past this many events, not counting visits, the oldest are folded into the base and can no
+// longer be undone
+const MAX_PROGRESS_EVENTS = 1000;
+// Past this many visits the oldest repeat visits to a lesson are dropped
+const MAX_PROGRESS_VISITS = 1000;
+
+class ProgressLog {
+    constructor(curriculum) {
+        this.curriculum = curriculum;
+    }
+
+    // The statuses the log tracks, read from progress data: { lastVisited, lessons } with lessons
+    // keyed by "module/lesson" in curriculum order. Lessons never started are left out.
+    snapshot(data) {
+        const state = { lastVisited: data.lastVisited ? { ...data.lastVisited } : null, lessons: {} };
+        this.curriculum.modules.forEach(module => {
+            module.lessons.forEach(curriculumLesson => {
+                const lesson = data.modules[module.id]?.lessons[curriculumLesson.id];
+                if (!lesson) return;
+
+                const exercises = {};
+                (curriculumLesson.exercises || []).forEach(({ id }) => {
+                    const exercise = lesson.exercises[id];
+                    if (exercise && (exercise.started || exercise.completed)) {
+                        exercises[id] = { completed: exercise.completed, started: exercise.started, startedAt: exercise.startedAt };
+                    }
+                });
+                if (lesson.started || lesson.completed || lesson.lastVisited || Object.keys(exercises).length > 0) {
+                    state.lessons[CurriculumGraph.key(module.id, curriculumLesson.id)] = {
+                        completed: lesson.completed,
+                        started: lesson.started,
+                        lastVisited: lesson.lastVisited,
+                        completedAt: lesson.completedAt,
+                        exercises
+                    };
+                }
+            });
+        });
+        return state;
+    }
+
+    // Rebuild the tracked statuses in progress data from its log, along with the counters and
+    // module flags that follow from them
+    replay(data) {
+        const state = this.replayState(data.log);
+
+        data.lastVisited = state.lastVisited;
+        Object.entries(data.modules).forEach(([moduleId, moduleProgress]) => {
+            Object.entries(moduleProgress.lessons).forEach(([lessonId, lesson]) => {
+                const saved = state.lessons[CurriculumGraph.key(moduleId, lessonId)] || { exercises: {} };
+                lesson.completed = !!saved.completed;
+                lesson.started = !!saved.started;
+                lesson.lastVisited = saved.lastVisited || null;
+                lesson.completedAt = saved.completedAt || null;
+                Object.entries(lesson.exercises).forEach(([exerciseId, exercise]) => {
+                    const savedExercise = saved.exercises[exerciseId] || {};
+                    exercise.completed = !!savedExercise.completed;
+                    exercise.started = !!savedExercise.started;
+                    exercise.startedAt = savedExercise.startedAt || null;
+                });
+                lesson.completedExercises = Object.values(lesson.exercises).filter(exercise => exercise.completed).length;
+            });
+
+            const lessons = Object.values(moduleProgress.lessons);
+            moduleProgress.completedLessons = lessons.filter(lesson => lesson.completed).length;
+            moduleProgress.completed = moduleProgress.totalLessons > 0 && moduleProgress.completedLessons === moduleProgress.totalLessons;
+            moduleProgress.started = lessons.some(lesson => lesson.started);
+        });
+        return data;
+    }
+
+    // The statuses the base and the events that haven't been undone add up to
+    replayState(log) {
+        const state = JSON.parse(JSON.stringify(log.base));
+        const undone = this.undoneIds(log.events);
+        log.events.forEach(event => {
+            if (!undone.has(event.id)) this.apply(state, event);
+        });
+        return state;
+    }
+
+    // Apply one event to a status state
+    apply(state, event) {
+        if (event.type === 'import') {
+            Object.entries(event.lessons).forEach(([key, lesson]) => {
+                state.lessons[key] = JSON.parse(JSON.stringify(lesson));
+            });
+            if (event.lastVisited !== undefined) state.lastVisited = event.lastVisited && { ...event.lastVisited };
+            return;
+        }
+        if (!event.lessonId) return;
+
+        const lesson = this.lessonState(state, event.moduleId, event.lessonId);
+        const exercise = event.exerciseId ? this.exerciseState(lesson, event.exerciseId) : null;
+        switch (event.type) {
+            case 'visit':
+                lesson.started = true;
+                lesson.lastVisited = event.at;
+                state.lastVisited = { moduleId: event.moduleId, lessonId: event.lessonId };
+                break;
+            case 'complete':
+                lesson.started = true;
+                if (!lesson.completed) lesson.completedAt = event.at;
+                lesson.completed = true;
+                break;
+            case 'uncomplete':
+                lesson.completed = false;
+                lesson.completedAt = null;
+                break;
+            case 'exercise-start':
+                lesson.started = true;
+                exercise.started = true;
+                exercise.startedAt = exercise.startedAt || event.at;
+                break;
+            case 'exercise-complete': {
+                lesson.started = true;
+                exercise.started = true;
+                exercise.startedAt = exercise.startedAt || event.at;
+                exercise.completed = true;
+
+                // Completing the last exercise completes the lesson, as part of the same event, unless
+                // the lesson requires a quiz pass and its quizzes weren't passed when it was recorded
+                const curriculumLesson = this.findLesson(event.moduleId, event.lessonId) || {};
+                const exercises = curriculumLesson.exercises || [];
+                const locked = curriculumLesson.requireQuizPass && !event.quizPassed;
+                if (!lesson.completed && !locked && exercises.every(e => lesson.exercises[e.id] && lesson.exercises[e.id].completed)) {
+                    lesson.completed = true;
+                    lesson.completedAt = event.at;
+                }
+                break;
+            }
+        }
+    }
+
+    lessonState(state, moduleId, lessonId) {
+        const key = CurriculumGraph.key(moduleId, lessonId);
+        if (!state.lessons[key]) {
+            state.lessons[key] = { completed: false, started: false, lastVisited: null, completedAt: null, exercises: {} };
+        }
+        return state.lessons[key];
+    }
+
+    exerciseState(lesson, exerciseId) {
+        if (!lesson.exercises[exerciseId]) {
+            lesson.exercises[exerciseId] = { completed: false, started: false, startedAt: null };
+        }
+        return lesson.exercises[exerciseId];
+    }
+
+    // The ids of the events currently undone: undone by an undo and not brought back by a later redo
+    undoneIds(events) {
+        const undone = new Set();
+        events.forEach(event => {
+            if (event.type === 'undo') undone.add(event.target);
+            if (event.type === 'redo') undone.delete(event.target);
+        });
+        return undone;
+    }
+
+    // The event the next undo takes back: the latest undoable one still in effect, or null
+    undoTarget(events) {
+        const undone = this.undoneIds(events);
+        for (let i = events.length - 1; i >= 0; i--) {
+            if (PROGRESS_EVENT_TYPES[events[i].type] && !undone.has(events[i].id)) return events[i];
+        }
+        return null;
+    }
+
+    // The event the next redo brings back: the one undone most recently, as long as no new
+    // undoable change has been made since. Null when there's nothing to redo.
+    redoTarget(events) {
+        const stack = [];
+        events.forEach(event => {
+            if (event.type === 'undo') {
+                stack.push(event.target);
+            } else if (event.type === 'redo') {
+                stack.pop();
+            } else if (PROGRESS_EVENT_TYPES[event.type]) {
+                stack.length = 0;
+            }
+        });
+        const target = stack[stack.length - 1];
+        return target ? events.find(event => event.id === target) : null;
+    }
+
+    // A new event, dated now
+    createEvent(type, fields = {}) {
+        return { id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`, type, at: new Date().toISOString(), ...fields };
+    }
+
+    // The lessons whose statuses differ between two states, with their statuses in the second, as
+    // the fields of an import event. Null when nothing differs.
+    diff(before, after) {
+        const lessons = {};
+        new Set([...Object.keys(before.lessons), ...Object.keys(after.lessons)]).forEach(key => {
+            const lesson = after.lessons[key] || { completed: false, started: false, lastVisited: null, completedAt: null, exercises: {} };
+            if (JSON.stringify(before.lessons[key]) !== JSON.stringify(after.lessons[key])) lessons[key] = lesson;
+        });
+
+        const fields = { lessons };
+        if (JSON.stringify(before.lastVisited) !== JSON.stringify(after.lastVisited)) fields.lastVisited = after.lastVisited;
+        return Object.keys(lessons).length > 0 || fields.lastVisited !== undefined ? fields : null;
+    }
+
+    // Fold the oldest events into the base once there are too many. Folded events are applied
+    // as they stand now, undone or not; undos and redos of them are dropped along with them.
+    // Visits don't count, so browsing lessons never pushes a completion out of reach of undo.
+    compact(log) {
+        this.dropRepeatVisits(log);
+
+        let excess = log.events.filter(event => event.type !== 'visit').length - MAX_PROGRESS_EVENTS;
+        if (excess <= 0) return;
+
+        // Up to and including the oldest events that are over the limit, with the visits among them
+        let count = 0;
+        while (excess > 0) {
+            if (log.events[count].type !== 'visit') excess--;
+            count++;
+        }
+
+        const undone = this.undoneIds(log.events);
+        const folded = log.events.slice(0, count);
+        const foldedIds = new Set(folded.map(event => event.id));
+        folded.forEach(event => {
+            if (!undone.has(event.id)) this.apply(log.base, event);
+        });
+        log.events = log.events.slice(count).filter(event => !foldedIds.has(event.target));
+    }
+
+    // Drop the oldest visits once there are too many, but only those to a lesson visited again
+    // later: that visit sets the same statuses again, so replaying the log gives the same result.
+    // Each lesson's latest visit stays for the history.
+    dropRepeatVisits(log) {
+        const visits = log.events.filter(event => event.type === 'visit');
+        const excess = visits.length - MAX_PROGRESS_VISITS;
+        if (excess <= 0) return;
+
+        const visited = new Set();
+        const repeats = [];
+        for (let i = visits.length - 1; i >= 0; i--) {
+            const key = CurriculumGraph.key(visits[i].moduleId, visits[i].lessonId);
+            if (visited.has(key)) repeats.unshift(visits[i].id);
+            visited.add(key);
+        }
+        const dropped = new Set(repeats.slice(0, excess));
+        log.events = log.events.filter(event => !dropped.has(event.id));
+    }
+
+    // Combine two copies of a log that grew apart, e.g. in two tabs: every event either copy has,
+    // in the order they happened. When one copy has folded more of the oldest events into its
+    // base, that base is kept and the events it folded are dropped from the other copy.
+    merge(ours, theirs) {
+        const ourIds = new Set(ours.events.map(event => event.id));
+        const theirIds = new Set(theirs.events.map(event => event.id));
+        const ourFirstShared = ours.events.findIndex(event => theirIds.has(event.id));
+        const theirFirstShared = theirs.events.findIndex(event => ourIds.has(event.id));
+
+        let base = ours.base;
+        let ourEvents = ours.events;
+        let theirEvents = theirs.events;
+        if (ourFirstShared > 0 && theirFirstShared === 0) {
+            base = theirs.base;
+            ourEvents = ours.events.slice(ourFirstShared);
+        } else if (theirFirstShared > 0 && ourFirstShared === 0) {
+            theirEvents = theirs.events.slice(theirFirstShared);
+        }
+
+        // Ties are broken by id so both copies end up in the same order
+        const events = [...ourEvents, ...theirEvents.filter(event => !ourIds.has(event.id))]
+            .sort((a, b) => a.at.localeCompare(b.at) || a.id.localeCompare(b.id));
+        const log = JSON.parse(JSON.stringify({ base, events }));
+        this.compact(log);
+        return log;
+    }
+
+    findLesson(moduleId, lessonId) {
+        const module = this.curriculum.modules.find(m => m.id === moduleId);
+        return module ? module.lessons.find(l => l.id === lessonId) || null : null;
+    }
+}
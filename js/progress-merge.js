@@ -0,0 +1,243 @@
+// Progress Merge - Combines progress from two devices, flagging completions they disagree on
+
+class ProgressMerge {
+    constructor(curriculum) {
+        this.curriculum = curriculum;
+    }
+
+    // Merge two validated progress documents. Completions are unioned and timestamps take the
+    // latest value, except for lessons completed on one side but started and left incomplete on
+    // the other: those may have been un-completed, so they're returned as conflicts to resolve.
+    merge(local, incoming) {
+        const merged = JSON.parse(JSON.stringify(local));
+        const changes = [];
+        const conflicts = [];
+
+        this.curriculum.modules.forEach(module => {
+            const localModule = merged.modules[module.id];
+            const incomingModule = incoming.modules[module.id];
+            if (!incomingModule) return;
+            if (!localModule) {
+                merged.modules[module.id] = { ...incomingModule, lessons: {} };
+            }
+            const moduleProgress = merged.modules[module.id];
+            moduleProgress.started = moduleProgress.started || incomingModule.started;
+
+            module.lessons.forEach(lesson => {
+                const theirs = incomingModule.lessons[lesson.id];
+                if (!theirs) return;
+                const ours = moduleProgress.lessons[lesson.id];
+                if (!ours) {
+                    moduleProgress.lessons[lesson.id] = JSON.parse(JSON.stringify(theirs));
+                    if (theirs.completed) changes.push({ type: 'lesson', module, lesson });
+                    if (theirs.highlights.length > 0) changes.push({ type: 'highlights', module, lesson, count: theirs.highlights.length });
+                    if (theirs.notes.text.trim()) changes.push({ type: 'notes', module, lesson, replaced: false });
+                    if (theirs.bookmarks.length > 0) changes.push({ type: 'bookmarks', module, lesson, count: theirs.bookmarks.length });
+                    return;
+                }
+                this.mergeLesson(module, lesson, ours, theirs, changes, conflicts);
+            });
+        });
+
+        // Each flashcard keeps whichever schedule was reviewed most recently
+        Object.entries(incoming.reviews).forEach(([key, theirs]) => {
+            const ours = merged.reviews[key];
+            if (ours && !this.isLater(theirs.lastReviewed, ours.lastReviewed)) return;
+
+            merged.reviews[key] = { ...theirs };
+            const [moduleId, lessonId, ...card] = key.split('/');
+            const module = this.curriculum.modules.find(m => m.id === moduleId);
+            const lesson = module.lessons.find(l => l.id === lessonId);
+            changes.push({ type: 'review', module, lesson, cardId: card.join('/') });
+        });
+
+        this.mergeStudy(merged.study, incoming.study, changes);
+
+        merged.lastVisited = this.latestVisit(local, incoming);
+        return { merged, changes, conflicts };
+    }
+
+    // Combine the progress of two tabs on the same profile. The newer save is the base and the
+    // older one's changes are merged in as for an import, except that highlights and bookmarks
+    // are kept only if the newer save still has them, so deleting one in a tab sticks. Completion
+    // statuses are replayed from the progress log afterwards, so there are no conflicts to resolve.
+    mergeTabs(newer, older) {
+        const { merged } = this.merge(newer, older);
+        this.curriculum.modules.forEach(module => {
+            module.lessons.forEach(lesson => {
+                const lessonProgress = merged.modules[module.id]?.lessons[lesson.id];
+                if (!lessonProgress) return;
+                const kept = newer.modules[module.id]?.lessons[lesson.id] || { highlights: [], bookmarks: [] };
+                lessonProgress.highlights = lessonProgress.highlights.filter(h => kept.highlights.some(k => k.id === h.id));
+                lessonProgress.bookmarks = lessonProgress.bookmarks.filter(b => kept.bookmarks.some(k => k.headingId === b.headingId));
+            });
+        });
+        return merged;
+    }
+
+    mergeLesson(module, lesson, ours, theirs, changes, conflicts) {
+        if (ours.completed !== theirs.completed) {
+            const incomplete = ours.completed ? theirs : ours;
+            if (incomplete.started) {
+                conflicts.push({
+                    module,
+                    lesson,
+                    local: { completed: ours.completed, lastVisited: ours.lastVisited, completedAt: ours.completedAt },
+                    incoming: { completed: theirs.completed, lastVisited: theirs.lastVisited, completedAt: theirs.completedAt },
+                    // Suggest whichever side looked at the lesson most recently
+                    resolution: this.isLater(theirs.lastVisited, ours.lastVisited) ? theirs.completed : ours.completed
+                });
+            } else if (theirs.completed) {
+                ours.completed = true;
+                ours.completedAt = theirs.completedAt;
+                changes.push({ type: 'lesson', module, lesson });
+            }
+        }
+
+        ours.started = ours.started || theirs.started;
+        ours.lastVisited = this.latest(ours.lastVisited, theirs.lastVisited);
+
+        const readSections = new Set([...ours.readSections, ...theirs.readSections]);
+        if (readSections.size > ours.readSections.length) {
+            changes.push({ type: 'sections', module, lesson, count: readSections.size - ours.readSections.length });
+            ours.readSections = [...readSections];
+        }
+
+        // The most recent answer to each quiz wins, keeping the larger attempt count
+        Object.entries(theirs.quizzes).forEach(([quizId, theirQuiz]) => {
+            const ourQuiz = ours.quizzes[quizId];
+            if (!ourQuiz || this.isLater(theirQuiz.answeredAt, ourQuiz.answeredAt)) {
+                if (theirQuiz.correct && !(ourQuiz && ourQuiz.correct)) {
+                    changes.push({ type: 'quiz', module, lesson, quizId });
+                }
+                ours.quizzes[quizId] = { ...theirQuiz, attempts: Math.max(theirQuiz.attempts, ourQuiz ? ourQuiz.attempts : 0) };
+            } else {
+                ourQuiz.attempts = Math.max(ourQuiz.attempts, theirQuiz.attempts);
+            }
+        });
+
+        // Highlights are matched by id, keeping the most recently edited copy of each
+        let added = 0;
+        theirs.highlights.forEach(theirHighlight => {
+            const index = ours.highlights.findIndex(h => h.id === theirHighlight.id);
+            if (index < 0) {
+                ours.highlights.push({ ...theirHighlight });
+                added++;
+            } else if (this.isLater(theirHighlight.updatedAt, ours.highlights[index].updatedAt)) {
+                ours.highlights[index] = { ...theirHighlight };
+            }
+        });
+        if (added > 0) changes.push({ type: 'highlights', module, lesson, count: added });
+
+        // Free-form notes can't be combined line by line, so the most recently edited version wins
+        if (theirs.notes.text !== ours.notes.text && this.isLater(theirs.notes.updatedAt, ours.notes.updatedAt)) {
+            changes.push({ type: 'notes', module, lesson, replaced: ours.notes.text.trim() !== '' });
+            ours.notes = { ...theirs.notes };
+        }
+
+        ours.timeSpent = Math.max(ours.timeSpent, theirs.timeSpent);
+
+        // Bookmarks are matched by heading, keeping the most recent name
+        let bookmarked = 0;
+        theirs.bookmarks.forEach(theirBookmark => {
+            const index = ours.bookmarks.findIndex(b => b.headingId === theirBookmark.headingId);
+            if (index < 0) {
+                ours.bookmarks.push({ ...theirBookmark });
+                bookmarked++;
+            } else if (this.isLater(theirBookmark.updatedAt, ours.bookmarks[index].updatedAt)) {
+                ours.bookmarks[index] = { ...theirBookmark };
+            }
+        });
+        if (bookmarked > 0) changes.push({ type: 'bookmarks', module, lesson, count: bookmarked });
+
+        // The reading position follows whichever device read the lesson last
+        if (theirs.position && (!ours.position || this.isLater(theirs.position.savedAt, ours.position.savedAt))) {
+            ours.position = { ...theirs.position };
+        }
+
+        Object.entries(theirs.exercises).forEach(([exerciseId, theirExercise]) => {
+            const ourExercise = ours.exercises[exerciseId];
+            if (!ourExercise) {
+                ours.exercises[exerciseId] = { ...theirExercise };
+                if (theirExercise.completed) changes.push({ type: 'exercise', module, lesson, exerciseId });
+                return;
+            }
+            if (theirExercise.completed && !ourExercise.completed) {
+                ourExercise.completed = true;
+                changes.push({ type: 'exercise', module, lesson, exerciseId });
+            }
+            ourExercise.started = ourExercise.started || theirExercise.started;
+            ourExercise.startedAt = this.earliest(ourExercise.startedAt, theirExercise.startedAt);
+            ourExercise.lastAttempt = this.latest(ourExercise.lastAttempt, theirExercise.lastAttempt);
+            ourExercise.timeSpent = Math.max(ourExercise.timeSpent, theirExercise.timeSpent);
+        });
+    }
+
+    // Time studied on another device can't be told apart from time already counted here, so each
+    // day keeps the larger total and sessions are matched by their start. Importing the same file
+    // twice then changes nothing.
+    mergeStudy(ours, theirs, changes) {
+        let days = 0;
+        Object.entries(theirs.days).forEach(([day, seconds]) => {
+            if (seconds > (ours.days[day] || 0)) {
+                ours.days[day] = seconds;
+                days++;
+            }
+        });
+        if (days > 0) changes.push({ type: 'study', days });
+
+        theirs.sessions.forEach(session => {
+            const index = ours.sessions.findIndex(s => s.start === session.start);
+            if (index < 0) {
+                ours.sessions.push({ ...session });
+            } else if (session.seconds > ours.sessions[index].seconds) {
+                ours.sessions[index] = { ...session };
+            }
+        });
+        ours.sessions.sort((a, b) => a.start.localeCompare(b.start));
+        ours.sessions.splice(0, Math.max(ours.sessions.length - MAX_STUDY_SESSIONS, 0));
+    }
+
+    // Apply the chosen completion state for each conflict, dated as on the side it came from
+    resolve(merged, conflicts) {
+        conflicts.forEach(conflict => {
+            const lessonProgress = merged.modules[conflict.module.id].lessons[conflict.lesson.id];
+            lessonProgress.completed = conflict.resolution;
+            if (!conflict.resolution) {
+                lessonProgress.completedAt = null;
+            } else if (!lessonProgress.completedAt) {
+                lessonProgress.completedAt = conflict.incoming.completedAt;
+            }
+        });
+        return merged;
+    }
+
+    // The last visited lesson of whichever side visited it more recently
+    latestVisit(local, incoming) {
+        const visitedAt = (data) => {
+            const pointer = data.lastVisited;
+            return pointer ? data.modules[pointer.moduleId]?.lessons[pointer.lessonId]?.lastVisited : null;
+        };
+        if (!incoming.lastVisited) return local.lastVisited;
+        if (!local.lastVisited) return incoming.lastVisited;
+        return this.isLater(visitedAt(incoming), visitedAt(local)) ? incoming.lastVisited : local.lastVisited;
+    }
+
+    latest(a, b) {
+        return this.isLater(b, a) ? b : a;
+    }
+
+    // The earlier of two timestamps; a missing one counts as unknown rather than early
+    earliest(a, b) {
+        if (!a) return b;
+        if (!b) return a;
+        return this.isLater(b, a) ? a : b;
+    }
+
+    // Whether timestamp a is after b; a missing timestamp is never later
+    isLater(a, b) {
+        if (!a) return false;
+        if (!b) return true;
+        return Date.parse(a) > Date.parse(b);
+    }
+}
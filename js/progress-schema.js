@@ -0,0 +1,621 @@
+// Progress Schema - Versions, migrates, validates and repairs stored progress data
+
+// Bump this and add a migration whenever the shape of the progress data changes
+const PROGRESS_SCHEMA_VERSION = 9;
+
+// Each migration upgrades data from the version it's keyed by to the next one
+const PROGRESS_MIGRATIONS = {
+    // Version 1 is the original, unversioned shape; version 2 tracks which lesson sections were read
+    1: (data) => {
+        Object.values(data.modules || {}).forEach(module => {
+            Object.values((module && module.lessons) || {}).forEach(lesson => {
+                if (lesson && !Array.isArray(lesson.readSections)) lesson.readSections = [];
+            });
+        });
+        return data;
+    },
+
+    // Version 3 keeps the answers to each lesson's quizzes
+    2: (data) => {
+        Object.values(data.modules || {}).forEach(module => {
+            Object.values((module && module.lessons) || {}).forEach(lesson => {
+                if (lesson && lesson.quizzes === undefined) lesson.quizzes = {};
+            });
+        });
+        return data;
+    },
+
+    // Version 4 schedules flashcard reviews, keyed by "module/lesson/card"
+    3: (data) => {
+        if (data.reviews === undefined) data.reviews = {};
+        return data;
+    },
+
+    // Version 5 keeps each lesson's highlights and free-form notes
+    4: (data) => {
+        Object.values(data.modules || {}).forEach(module => {
+            Object.values((module && module.lessons) || {}).forEach(lesson => {
+                if (!lesson) return;
+                if (lesson.highlights === undefined) lesson.highlights = [];
+                if (lesson.notes === undefined) lesson.notes = { text: '', updatedAt: null };
+            });
+        });
+        return data;
+    },
+
+    // Version 6 remembers where each lesson was left off and its bookmarked headings
+    5: (data) => {
+        Object.values(data.modules || {}).forEach(module => {
+            Object.values((module && module.lessons) || {}).forEach(lesson => {
+                if (!lesson) return;
+                if (lesson.position === undefined) lesson.position = null;
+                if (lesson.bookmarks === undefined) lesson.bookmarks = [];
+            });
+        });
+        return data;
+    },
+
+    // Version 7 tracks active study time: per lesson and exercise, per day, and as sessions
+    6: (data) => {
+        Object.values(data.modules || {}).forEach(module => {
+            Object.values((module && module.lessons) || {}).forEach(lesson => {
+                if (!lesson) return;
+                if (lesson.timeSpent === undefined) lesson.timeSpent = 0;
+                Object.values(lesson.exercises || {}).forEach(exercise => {
+                    if (exercise && exercise.timeSpent === undefined) exercise.timeSpent = 0;
+                });
+            });
+        });
+        if (data.study === undefined) data.study = { days: {}, sessions: [] };
+        return data;
+    },
+
+    // Version 8 keeps a dated history of lessons and exercises being started and completed.
+    // Nothing earlier was dated, so the history starts empty.
+    7: (data) => {
+        if (data.history === undefined) data.history = [];
+        return data;
+    },
+
+    // Version 9 replays statuses from a log of events (see progress-log.js). The history's dates
+    // move onto the lessons and exercises they're about, and the statuses saved so far become
+    // the base the log starts from once they've been validated.
+    8: (data) => {
+        const history = Array.isArray(data.history) ? data.history : [];
+        const lastEntry = (type, moduleId, lessonId, exerciseId) => history
+            .filter(entry => entry && entry.type === type && entry.moduleId === moduleId && entry.lessonId === lessonId &&
+                (exerciseId === undefined || entry.exerciseId === exerciseId))
+            .map(entry => entry.at)
+            .sort()
+            .pop();
+
+        Object.entries(data.modules || {}).forEach(([moduleId, module]) => {
+            Object.entries((module && module.lessons) || {}).forEach(([lessonId, lesson]) => {
+                if (!lesson || typeof lesson !== 'object') return;
+                if (lesson.completedAt === undefined) {
+                    lesson.completedAt = lesson.completed ? lastEntry('lesson-completed', moduleId, lessonId) || null : null;
+                }
+                Object.entries(lesson.exercises || {}).forEach(([exerciseId, exercise]) => {
+                    if (exercise && exercise.startedAt === undefined) {
+                        exercise.startedAt = exercise.started ? lastEntry('exercise-started', moduleId, lessonId, exerciseId) || null : null;
+                    }
+                });
+            });
+        });
+        delete data.history;
+        if (data.log === undefined) data.log = { base: null, events: [] };
+        return data;
+    }
+};
+
+class ProgressSchema {
+    constructor(curriculum) {
+        this.curriculum = curriculum;
+        this.log = new ProgressLog(curriculum);
+    }
+
+    // Migrate, validate and repair progress data. Returns the cleaned data and a report;
+    // data is null when the input can't be used at all.
+    process(input) {
+        const report = { valid: true, fromVersion: null, toVersion: PROGRESS_SCHEMA_VERSION, errors: [], repairs: [] };
+
+        if (!this.isObject(input) || !this.isObject(input.modules)) {
+            report.errors.push('This is not a progress file: it has no "modules" object.');
+            report.valid = false;
+            return { data: null, report };
+        }
+
+        let data;
+        try {
+            data = this.migrate(JSON.parse(JSON.stringify(input)), report);
+        } catch (error) {
+            report.errors.push(error.message);
+            report.valid = false;
+            return { data: null, report };
+        }
+
+        data = this.validate(data, report);
+        this.recompute(data, report);
+
+        // A log without a base starts from the statuses saved beside it
+        if (!data.log.base) data.log.base = this.log.snapshot(data);
+        this.log.replay(data);
+        return { data, report };
+    }
+
+    // The shape of progress nobody has made yet
+    createEmpty() {
+        return { schemaVersion: PROGRESS_SCHEMA_VERSION, modules: {}, lastVisited: null, reviews: {}, study: { days: {}, sessions: [] }, log: { base: null, events: [] } };
+    }
+
+    // Upgrade older data one version at a time
+    migrate(data, report) {
+        const version = data.schemaVersion === undefined ? 1 : data.schemaVersion;
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error(`Unknown schema version "${data.schemaVersion}".`);
+        }
+        if (version > PROGRESS_SCHEMA_VERSION) {
+            throw new Error(`This progress was saved by a newer version of the portal (schema ${version}, this portal reads up to ${PROGRESS_SCHEMA_VERSION}).`);
+        }
+
+        report.fromVersion = version;
+        for (let current = version; current < PROGRESS_SCHEMA_VERSION; current++) {
+            data = PROGRESS_MIGRATIONS[current](data);
+        }
+        data.schemaVersion = PROGRESS_SCHEMA_VERSION;
+        return data;
+    }
+
+    // Rebuild the data field by field against the curriculum, repairing what can be repaired.
+    // Entries for modules, lessons or exercises that aren't in the curriculum are dropped.
+    validate(data, report) {
+        const result = this.createEmpty();
+
+        Object.keys(data.modules).forEach(moduleId => {
+            if (!this.curriculum.modules.some(module => module.id === moduleId)) {
+                report.repairs.push(`Dropped progress for unknown module "${moduleId}".`);
+            }
+        });
+
+        this.curriculum.modules.forEach(module => {
+            const source = data.modules[module.id];
+            if (source === undefined) return;
+            if (!this.isObject(source)) {
+                report.repairs.push(`Reset module "${module.id}", which was not an object.`);
+                return;
+            }
+
+            const moduleProgress = {
+                completed: this.readFlag(source.completed, `${module.id}.completed`, report),
+                started: this.readFlag(source.started, `${module.id}.started`, report),
+                completedLessons: 0,
+                totalLessons: module.lessons.length,
+                lessons: {}
+            };
+
+            const lessons = this.isObject(source.lessons) ? source.lessons : {};
+            if (source.lessons !== undefined && !this.isObject(source.lessons)) {
+                report.repairs.push(`Reset the lessons of module "${module.id}", which were not an object.`);
+            }
+            Object.keys(lessons).forEach(lessonId => {
+                if (!module.lessons.some(lesson => lesson.id === lessonId)) {
+                    report.repairs.push(`Dropped progress for unknown lesson "${module.id}/${lessonId}".`);
+                }
+            });
+
+            module.lessons.forEach(lesson => {
+                const lessonSource = lessons[lesson.id];
+                if (lessonSource === undefined) return;
+                const path = `${module.id}/${lesson.id}`;
+                if (!this.isObject(lessonSource)) {
+                    report.repairs.push(`Reset lesson "${path}", which was not an object.`);
+                    return;
+                }
+                moduleProgress.lessons[lesson.id] = this.validateLesson(lesson, lessonSource, path, report);
+            });
+
+            result.modules[module.id] = moduleProgress;
+        });
+
+        // lastVisited has to point at a lesson that exists
+        const lastVisited = data.lastVisited;
+        if (lastVisited !== null && lastVisited !== undefined) {
+            if (this.isObject(lastVisited) && this.findLesson(lastVisited.moduleId, lastVisited.lessonId)) {
+                result.lastVisited = { moduleId: lastVisited.moduleId, lessonId: lastVisited.lessonId };
+            } else {
+                report.repairs.push('Cleared the last visited lesson, which is not in the curriculum.');
+            }
+        }
+
+        this.validateReviews(data.reviews, result, report);
+        this.validateStudy(data.study, result, report);
+        this.validateLog(data.log, result, report);
+        return result;
+    }
+
+    // Flashcard schedules; cards of lessons no longer in the curriculum are dropped
+    validateReviews(reviews, result, report) {
+        if (reviews === undefined) return;
+        if (!this.isObject(reviews)) {
+            report.repairs.push('Reset the flashcard review schedule, which was not an object.');
+            return;
+        }
+
+        Object.entries(reviews).forEach(([key, review]) => {
+            const [moduleId, lessonId, ...card] = key.split('/');
+            if (!this.findLesson(moduleId, lessonId) || card.length === 0) {
+                report.repairs.push(`Dropped the review schedule of unknown flashcard "${key}".`);
+                return;
+            }
+            const valid = this.isObject(review) &&
+                typeof review.ease === 'number' && review.ease >= 1.3 &&
+                Number.isInteger(review.interval) && review.interval >= 0 &&
+                Number.isInteger(review.repetitions) && review.repetitions >= 0 &&
+                typeof review.due === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(review.due);
+            if (!valid) {
+                report.repairs.push(`Dropped the review schedule of flashcard "${key}", which was not readable; it will start again as a new card.`);
+                return;
+            }
+            result.reviews[key] = {
+                ease: review.ease,
+                interval: review.interval,
+                repetitions: review.repetitions,
+                lapses: Number.isInteger(review.lapses) && review.lapses >= 0 ? review.lapses : 0,
+                due: review.due,
+                lastReviewed: this.readDate(review.lastReviewed, `review ${key}.lastReviewed`, report)
+            };
+        });
+    }
+
+    validateLesson(lesson, source, path, report) {
+        const lessonProgress = {
+            completed: this.readFlag(source.completed, `${path}.completed`, report),
+            started: this.readFlag(source.started, `${path}.started`, report),
+            completedExercises: 0,
+            totalExercises: lesson.exercises ? lesson.exercises.length : 0,
+            lastVisited: this.readDate(source.lastVisited, `${path}.lastVisited`, report),
+            completedAt: this.readDate(source.completedAt, `${path}.completedAt`, report),
+            readSections: [],
+            quizzes: {},
+            highlights: [],
+            notes: { text: '', updatedAt: null },
+            position: null,
+            bookmarks: [],
+            timeSpent: this.readSeconds(source.timeSpent, `${path}.timeSpent`, report),
+            exercises: {}
+        };
+
+        if (Array.isArray(source.readSections)) {
+            lessonProgress.readSections = [...new Set(source.readSections.filter(section => typeof section === 'string'))];
+            if (lessonProgress.readSections.length !== source.readSections.length) {
+                report.repairs.push(`Removed invalid or repeated entries from ${path}.readSections.`);
+            }
+        } else if (source.readSections !== undefined) {
+            report.repairs.push(`Reset ${path}.readSections, which was not a list.`);
+        }
+
+        // Quizzes live in the lesson markdown, so their ids can't be checked against the curriculum
+        if (this.isObject(source.quizzes)) {
+            Object.entries(source.quizzes).forEach(([quizId, quiz]) => {
+                const answer = this.isObject(quiz) ? quiz.answer : undefined;
+                const validAnswer = typeof answer === 'string' ||
+                    (Array.isArray(answer) && answer.every(item => typeof item === 'string'));
+                if (!validAnswer) {
+                    report.repairs.push(`Dropped the answer to quiz "${quizId}" in "${path}", which was not readable.`);
+                    return;
+                }
+                lessonProgress.quizzes[quizId] = {
+                    answer,
+                    correct: this.readFlag(quiz.correct, `${path} quiz ${quizId}.correct`, report),
+                    attempts: Number.isInteger(quiz.attempts) && quiz.attempts > 0 ? quiz.attempts : 1,
+                    answeredAt: this.readDate(quiz.answeredAt, `${path} quiz ${quizId}.answeredAt`, report)
+                };
+            });
+        } else if (source.quizzes !== undefined) {
+            report.repairs.push(`Reset the quiz answers of lesson "${path}", which were not an object.`);
+        }
+
+        this.validateHighlights(source.highlights, lessonProgress, path, report);
+        if (this.isObject(source.notes) && typeof source.notes.text === 'string') {
+            lessonProgress.notes = {
+                text: source.notes.text,
+                updatedAt: this.readDate(source.notes.updatedAt, `${path}.notes.updatedAt`, report)
+            };
+        } else if (source.notes !== undefined) {
+            report.repairs.push(`Cleared the notes of lesson "${path}", which were not readable.`);
+        }
+
+        this.validatePosition(source.position, lessonProgress, path, report);
+        this.validateBookmarks(source.bookmarks, lessonProgress, path, report);
+
+        const exercises = this.isObject(source.exercises) ? source.exercises : {};
+        if (source.exercises !== undefined && !this.isObject(source.exercises)) {
+            report.repairs.push(`Reset the exercises of lesson "${path}", which were not an object.`);
+        }
+        Object.keys(exercises).forEach(exerciseId => {
+            const exercise = (lesson.exercises || []).find(e => e.id === exerciseId);
+            const exerciseSource = exercises[exerciseId];
+            if (!exercise) {
+                report.repairs.push(`Dropped progress for unknown exercise "${exerciseId}" in "${path}".`);
+            } else if (!this.isObject(exerciseSource)) {
+                report.repairs.push(`Reset exercise "${exerciseId}", which was not an object.`);
+            } else {
+                lessonProgress.exercises[exerciseId] = {
+                    completed: this.readFlag(exerciseSource.completed, `${exerciseId}.completed`, report),
+                    started: this.readFlag(exerciseSource.started, `${exerciseId}.started`, report),
+                    lastAttempt: this.readDate(exerciseSource.lastAttempt, `${exerciseId}.lastAttempt`, report),
+                    startedAt: this.readDate(exerciseSource.startedAt, `${exerciseId}.startedAt`, report),
+                    timeSpent: this.readSeconds(exerciseSource.timeSpent, `${exerciseId}.timeSpent`, report)
+                };
+            }
+        });
+
+        return lessonProgress;
+    }
+
+    // Highlights are anchored by the text they cover, so that text (the quote) is required;
+    // the surrounding text, colour and note are optional
+    validateHighlights(highlights, lessonProgress, path, report) {
+        if (highlights === undefined) return;
+        if (!Array.isArray(highlights)) {
+            report.repairs.push(`Reset the highlights of lesson "${path}", which were not a list.`);
+            return;
+        }
+
+        const ids = new Set();
+        highlights.forEach((highlight, index) => {
+            const readable = this.isObject(highlight) &&
+                typeof highlight.id === 'string' && highlight.id && !ids.has(highlight.id) &&
+                typeof highlight.quote === 'string' && highlight.quote.trim();
+            if (!readable) {
+                report.repairs.push(`Dropped highlight ${index + 1} of lesson "${path}", which was not readable or repeated another.`);
+                return;
+            }
+            ids.add(highlight.id);
+            lessonProgress.highlights.push({
+                id: highlight.id,
+                quote: highlight.quote,
+                prefix: typeof highlight.prefix === 'string' ? highlight.prefix : '',
+                suffix: typeof highlight.suffix === 'string' ? highlight.suffix : '',
+                color: typeof highlight.color === 'string' ? highlight.color : 'yellow',
+                note: typeof highlight.note === 'string' ? highlight.note : '',
+                createdAt: this.readDate(highlight.createdAt, `${path} highlight ${highlight.id}.createdAt`, report),
+                updatedAt: this.readDate(highlight.updatedAt, `${path} highlight ${highlight.id}.updatedAt`, report)
+            });
+        });
+    }
+
+    // A reading position is a heading and how far through its section the learner had scrolled
+    validatePosition(position, lessonProgress, path, report) {
+        if (position === undefined || position === null) return;
+
+        const readable = this.isObject(position) &&
+            typeof position.headingId === 'string' && position.headingId &&
+            typeof position.offset === 'number' && position.offset >= 0 && position.offset <= 1;
+        if (!readable) {
+            report.repairs.push(`Forgot the reading position of lesson "${path}", which was not readable.`);
+            return;
+        }
+        lessonProgress.position = {
+            headingId: position.headingId,
+            offset: position.offset,
+            savedAt: this.readDate(position.savedAt, `${path}.position.savedAt`, report)
+        };
+    }
+
+    // Bookmarks name a heading each; a heading has at most one
+    validateBookmarks(bookmarks, lessonProgress, path, report) {
+        if (bookmarks === undefined) return;
+        if (!Array.isArray(bookmarks)) {
+            report.repairs.push(`Reset the bookmarks of lesson "${path}", which were not a list.`);
+            return;
+        }
+
+        bookmarks.forEach((bookmark, index) => {
+            const readable = this.isObject(bookmark) &&
+                typeof bookmark.headingId === 'string' && bookmark.headingId &&
+                !lessonProgress.bookmarks.some(b => b.headingId === bookmark.headingId) &&
+                typeof bookmark.name === 'string' && bookmark.name.trim();
+            if (!readable) {
+                report.repairs.push(`Dropped bookmark ${index + 1} of lesson "${path}", which was not readable or repeated another.`);
+                return;
+            }
+            lessonProgress.bookmarks.push({
+                headingId: bookmark.headingId,
+                name: bookmark.name,
+                updatedAt: this.readDate(bookmark.updatedAt, `${path} bookmark ${bookmark.headingId}.updatedAt`, report)
+            });
+        });
+    }
+
+    // Study time per day and the sessions it was spent in
+    validateStudy(study, result, report) {
+        if (study === undefined) return;
+        if (!this.isObject(study)) {
+            report.repairs.push('Reset the study time, which was not an object.');
+            return;
+        }
+
+        Object.entries(this.isObject(study.days) ? study.days : {}).forEach(([day, seconds]) => {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+                report.repairs.push(`Dropped the study time of "${day}", which is not a date.`);
+                return;
+            }
+            result.study.days[day] = this.readSeconds(seconds, `study time on ${day}`, report);
+        });
+
+        (Array.isArray(study.sessions) ? study.sessions : []).forEach((session, index) => {
+            const readable = this.isObject(session) &&
+                typeof session.start === 'string' && !isNaN(Date.parse(session.start)) &&
+                typeof session.end === 'string' && !isNaN(Date.parse(session.end));
+            if (!readable) {
+                report.repairs.push(`Dropped study session ${index + 1}, which was not readable.`);
+                return;
+            }
+            result.study.sessions.push({
+                start: session.start,
+                end: session.end,
+                seconds: this.readSeconds(session.seconds, `study session ${index + 1}`, report)
+            });
+        });
+    }
+
+    // The progress log: a base of statuses and the events since. Anything naming a lesson or
+    // exercise that isn't in the curriculum is dropped, as are events that can't be read.
+    validateLog(log, result, report) {
+        if (log === undefined) return;
+        if (!this.isObject(log)) {
+            report.repairs.push('Restarted the progress log from the saved statuses, as it was not readable; earlier changes can no longer be undone.');
+            return;
+        }
+
+        if (log.base !== null && log.base !== undefined) {
+            if (this.isObject(log.base)) {
+                result.log.base = this.validateStatuses(log.base, 'the progress log', report);
+            } else {
+                report.repairs.push('Restarted the progress log from the saved statuses, as its starting point was not readable.');
+                return;
+            }
+        }
+
+        const ids = new Set();
+        let dropped = 0;
+        (Array.isArray(log.events) ? log.events : []).forEach(event => {
+            const valid = this.isObject(event) && PROGRESS_EVENT_TYPES[event.type] !== undefined &&
+                typeof event.id === 'string' && event.id && !ids.has(event.id) &&
+                typeof event.at === 'string' && !isNaN(Date.parse(event.at));
+            const cleaned = valid ? this.validateEvent(event, ids, report) : null;
+            if (!cleaned) {
+                dropped++;
+                return;
+            }
+            ids.add(cleaned.id);
+            result.log.events.push(cleaned);
+        });
+        if (dropped > 0) {
+            report.repairs.push(`Dropped ${dropped} event${dropped === 1 ? '' : 's'} from the progress log that named unknown lessons or exercises or were not readable.`);
+        }
+    }
+
+    // The fields of one event, or null when it's about something no longer in the curriculum
+    validateEvent(event, ids, report) {
+        const { id, type, at } = event;
+        if (type === 'undo' || type === 'redo') {
+            return ids.has(event.target) ? { id, type, at, target: event.target } : null;
+        }
+        if (type === 'import') {
+            if (!this.isObject(event.lessons)) return null;
+            const cleaned = { id, type, at, lessons: this.validateStatuses({ lessons: event.lessons }, `import ${id}`, report).lessons };
+            if (event.lastVisited !== undefined) {
+                cleaned.lastVisited = this.isObject(event.lastVisited) && this.findLesson(event.lastVisited.moduleId, event.lastVisited.lessonId)
+                    ? { moduleId: event.lastVisited.moduleId, lessonId: event.lastVisited.lessonId }
+                    : null;
+            }
+            return cleaned;
+        }
+
+        const lesson = this.findLesson(event.moduleId, event.lessonId);
+        if (!lesson) return null;
+        if (type === 'exercise-start' || type === 'exercise-complete') {
+            if (!(lesson.exercises || []).some(exercise => exercise.id === event.exerciseId)) return null;
+            return { id, type, at, moduleId: event.moduleId, lessonId: event.lessonId, exerciseId: event.exerciseId };
+        }
+        return { id, type, at, moduleId: event.moduleId, lessonId: event.lessonId };
+    }
+
+    // Statuses as the progress log keeps them: { lastVisited, lessons } keyed by "module/lesson"
+    validateStatuses(source, where, report) {
+        const statuses = { lastVisited: null, lessons: {} };
+        if (this.isObject(source.lastVisited) && this.findLesson(source.lastVisited.moduleId, source.lastVisited.lessonId)) {
+            statuses.lastVisited = { moduleId: source.lastVisited.moduleId, lessonId: source.lastVisited.lessonId };
+        }
+
+        Object.entries(this.isObject(source.lessons) ? source.lessons : {}).forEach(([key, lesson]) => {
+            const [moduleId, lessonId] = key.split('/');
+            const curriculumLesson = this.findLesson(moduleId, lessonId);
+            if (!curriculumLesson || !this.isObject(lesson)) {
+                report.repairs.push(`Dropped the status of unknown or unreadable lesson "${key}" from ${where}.`);
+                return;
+            }
+
+            const exercises = {};
+            Object.entries(this.isObject(lesson.exercises) ? lesson.exercises : {}).forEach(([exerciseId, exercise]) => {
+                if (!(curriculumLesson.exercises || []).some(e => e.id === exerciseId) || !this.isObject(exercise)) return;
+                exercises[exerciseId] = {
+                    completed: this.readFlag(exercise.completed, `${key} ${exerciseId}.completed`, report),
+                    started: this.readFlag(exercise.started, `${key} ${exerciseId}.started`, report),
+                    startedAt: this.readDate(exercise.startedAt, `${key} ${exerciseId}.startedAt`, report)
+                };
+            });
+            statuses.lessons[key] = {
+                completed: this.readFlag(lesson.completed, `${key}.completed`, report),
+                started: this.readFlag(lesson.started, `${key}.started`, report),
+                lastVisited: this.readDate(lesson.lastVisited, `${key}.lastVisited`, report),
+                completedAt: this.readDate(lesson.completedAt, `${key}.completedAt`, report),
+                exercises
+            };
+        });
+        return statuses;
+    }
+
+    // Derive the counters and roll-up flags from the per-lesson and per-exercise flags,
+    // instead of trusting the stored values
+    recompute(data, report) {
+        Object.entries(data.modules).forEach(([moduleId, moduleProgress]) => {
+            const lessons = Object.values(moduleProgress.lessons);
+
+            lessons.forEach(lessonProgress => {
+                const exercises = Object.values(lessonProgress.exercises);
+                lessonProgress.completedExercises = exercises.filter(exercise => exercise.completed).length;
+                if (exercises.some(exercise => exercise.started || exercise.completed)) lessonProgress.started = true;
+                if (lessonProgress.completed) lessonProgress.started = true;
+                exercises.forEach(exercise => {
+                    if (exercise.completed) exercise.started = true;
+                });
+            });
+
+            const completedLessons = lessons.filter(lesson => lesson.completed).length;
+            const completed = moduleProgress.totalLessons > 0 && completedLessons === moduleProgress.totalLessons;
+            if (moduleProgress.completed !== completed) {
+                report.repairs.push(`Module "${moduleId}" was marked ${moduleProgress.completed ? 'complete' : 'incomplete'}, but ${completedLessons} of ${moduleProgress.totalLessons} lessons are done.`);
+            }
+            moduleProgress.completedLessons = completedLessons;
+            moduleProgress.completed = completed;
+            moduleProgress.started = moduleProgress.started || lessons.some(lesson => lesson.started);
+        });
+        return data;
+    }
+
+    // A boolean flag; anything else is repaired to its truthiness
+    readFlag(value, path, report) {
+        if (value === undefined) return false;
+        if (typeof value === 'boolean') return value;
+        report.repairs.push(`Treated ${path} (${JSON.stringify(value)}) as ${Boolean(value)}.`);
+        return Boolean(value);
+    }
+
+    // An ISO date string or null
+    readDate(value, path, report) {
+        if (value === undefined || value === null) return null;
+        if (typeof value === 'string' && !isNaN(Date.parse(value))) return value;
+        report.repairs.push(`Cleared ${path}, which was not a valid date.`);
+        return null;
+    }
+
+    // A whole, non-negative number of seconds; 0 when missing
+    readSeconds(value, path, report) {
+        if (value === undefined) return 0;
+        if (Number.isInteger(value) && value >= 0) return value;
+        report.repairs.push(`Reset ${path} (${JSON.stringify(value)}) to 0 seconds.`);
+        return 0;
+    }
+
+    findLesson(moduleId, lessonId) {
+        const module = this.curriculum.modules.find(m => m.id === moduleId);
+        return module ? module.lessons.find(l => l.id === lessonId) || null : null;
+    }
+
+    isObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+}
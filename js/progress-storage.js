@@ -0,0 +1,290 @@
+// Progress Storage - Where the progress tracker keeps each profile's progress
+//
+// A storage adapter loads and saves one profile's progress as a JSON string:
+//   load()      resolves to the saved JSON, or null when nothing has been saved yet
+//   save(json)  saves it; failures are logged rather than thrown, so studying carries on
+//   remove()    deletes it, when the profile is deleted
+//   close()     stops any background work, when another profile or storage takes over
+// LocalProgressStorage is the default. IndexedDbProgressStorage has room for far more progress
+// than localStorage, and HttpProgressStorage syncs it to a server speaking the API described in
+// PROGRESS_API.md. Which one is used is a setting of this browser, shared by its profiles.
+
+// The storage setting, as { type: 'localStorage' | 'indexedDB' | 'http', url }
+const PROGRESS_STORAGE_SETTING_KEY = 'progressStorage';
+
+const PROGRESS_STORAGE_TYPES = ['localStorage', 'indexedDB', 'http'];
+
+const PROGRESS_DB_NAME = 'learningPortal';
+const PROGRESS_DB_STORE = 'progress';
+
+// Saves made within this long of each other go to the server as one request; one that fails is
+// tried again after PROGRESS_SYNC_RETRY, or as soon as the browser is back online
+const PROGRESS_SYNC_DELAY = 2000;
+const PROGRESS_SYNC_RETRY = 30000;
+
+// A server that hasn't answered a load within this long is treated as unreachable
+const PROGRESS_LOAD_TIMEOUT = 10000;
+
+class LocalProgressStorage {
+    constructor(key) {
+        this.key = key;
+    }
+
+    async load() {
+        return localStorage.getItem(this.key);
+    }
+
+    async save(json) {
+        try {
+            localStorage.setItem(this.key, json);
+        } catch (error) {
+            console.error('Could not save progress:', error);
+        }
+    }
+
+    async remove() {
+        localStorage.removeItem(this.key);
+    }
+
+    close() {}
+}
+
+// The portal's database, shared by every profile; opened the first time it's needed
+let progressDatabase = null;
+
+class IndexedDbProgressStorage {
+    constructor(key) {
+        this.key = key;
+    }
+
+    open() {
+        if (!progressDatabase) {
+            progressDatabase = new Promise((resolve, reject) => {
+                const request = indexedDB.open(PROGRESS_DB_NAME, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(PROGRESS_DB_STORE);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            progressDatabase.catch(() => { progressDatabase = null; });
+        }
+        return progressDatabase;
+    }
+
+    // Run one request against the progress store
+    async request(mode, makeRequest) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = makeRequest(db.transaction(PROGRESS_DB_STORE, mode).objectStore(PROGRESS_DB_STORE));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Progress saved in localStorage before switching to IndexedDB is carried over the first time
+    async load() {
+        const saved = await this.request('readonly', store => store.get(this.key));
+        return saved === undefined ? localStorage.getItem(this.key) : saved;
+    }
+
+    async save(json) {
+        try {
+            await this.request('readwrite', store => store.put(json, this.key));
+        } catch (error) {
+            console.error('Could not save progress:', error);
+        }
+    }
+
+    async remove() {
+        await this.request('readwrite', store => store.delete(this.key));
+    }
+
+    close() {}
+}
+
+// Keeps a copy of the progress in localStorage and syncs it with a server: GET on load, PUT after
+// saves, with ETags so neither side overwrites changes it hasn't seen. Only the newest copy is
+// ever waiting to be sent, so saves made offline queue up as one PUT that goes out once the server
+// can be reached again. When the server has moved on, onConflict(json) is handed its copy to merge
+// in; the merged progress is then saved and sent like any other.
+class HttpProgressStorage {
+    constructor(url, key, syncKey, onConflict) {
+        this.url = url;
+        this.cache = new LocalProgressStorage(key);
+        this.syncKey = syncKey;
+        this.onConflict = onConflict;
+        this.sync = this.readSync();
+        this.timer = null;
+        this.sending = false;
+        this.onOnline = () => this.flush();
+        window.addEventListener('online', this.onOnline);
+    }
+
+    // { etag, pending }: the ETag of the server copy this browser last saw, and whether there are
+    // saves the server hasn't had yet
+    readSync() {
+        try {
+            return JSON.parse(localStorage.getItem(this.syncKey)) || { etag: null, pending: false };
+        } catch (error) {
+            return { etag: null, pending: false };
+        }
+    }
+
+    setSync(etag, pending) {
+        this.sync = { etag, pending };
+        localStorage.setItem(this.syncKey, JSON.stringify(this.sync));
+    }
+
+    // The server's copy, or this browser's when the server can't be reached. Saves still waiting
+    // to be sent win over the server here; sending them finds out whether it moved on meanwhile.
+    async load() {
+        const cached = await this.cache.load();
+        if (this.sync.pending) {
+            this.scheduleFlush();
+            return cached;
+        }
+
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), PROGRESS_LOAD_TIMEOUT);
+        try {
+            const headers = this.sync.etag && cached !== null ? { 'If-None-Match': this.sync.etag } : {};
+            const response = await fetch(this.url, { headers, cache: 'no-store', signal: controller.signal });
+            if (response.status === 304) return cached;
+            if (response.status === 404) {
+                // Nothing on the server yet: start it off with what this browser has
+                this.setSync(null, cached !== null);
+                if (cached !== null) this.scheduleFlush();
+                return cached;
+            }
+            if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+
+            const json = await response.text();
+            await this.cache.save(json);
+            this.setSync(response.headers.get('ETag'), false);
+            return json;
+        } catch (error) {
+            console.warn('Progress server unreachable, using the copy saved in this browser:', error.message);
+            return cached;
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    // Other tabs on this profile share the sync state, so it's read afresh before using it
+    async save(json) {
+        await this.cache.save(json);
+        this.sync = this.readSync();
+        this.setSync(this.sync.etag, true);
+        this.scheduleFlush();
+    }
+
+    scheduleFlush(delay = PROGRESS_SYNC_DELAY) {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.flush(), delay);
+    }
+
+    // Send the latest saved progress to the server, if it hasn't had it yet
+    async flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.sync = this.readSync();
+        if (!this.sync.pending || this.sending) return;
+
+        this.sending = true;
+        try {
+            const json = await this.cache.load();
+            const response = await fetch(this.url, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(this.sync.etag ? { 'If-Match': this.sync.etag } : { 'If-None-Match': '*' })
+                },
+                body: json
+            });
+
+            if (response.status === 412) {
+                await this.resolveConflict();
+            } else if (!response.ok) {
+                throw new Error(`${response.status} ${response.statusText}`);
+            } else {
+                // Anything saved while the request was out still has to go
+                const changed = await this.cache.load() !== json;
+                this.setSync(response.headers.get('ETag'), changed);
+                if (changed) this.scheduleFlush();
+            }
+        } catch (error) {
+            console.warn('Could not sync progress, trying again later:', error.message);
+            this.scheduleFlush(PROGRESS_SYNC_RETRY);
+        } finally {
+            this.sending = false;
+        }
+    }
+
+    // The server has changes this browser hasn't seen, e.g. from another device: fetch them and
+    // hand them over to be merged. Until that's done the saves here stay waiting.
+    async resolveConflict() {
+        if (!this.onConflict) return;
+
+        const response = await fetch(this.url, { cache: 'no-store' });
+        if (response.status === 404) {
+            this.setSync(null, true);
+            this.scheduleFlush();
+            return;
+        }
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+
+        const json = await response.text();
+        this.setSync(response.headers.get('ETag'), true);
+        await this.onConflict(json);
+    }
+
+    // Delete this browser's copy and, if the server can be reached, the server's
+    async remove() {
+        this.close();
+        await this.cache.remove();
+        localStorage.removeItem(this.syncKey);
+        try {
+            await fetch(this.url, { method: 'DELETE' });
+        } catch (error) {
+            console.warn('Could not delete progress from the server:', error.message);
+        }
+    }
+
+    // Saves still waiting go out the next time this profile's progress is loaded
+    close() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.onConflict = null;
+        window.removeEventListener('online', this.onOnline);
+    }
+}
+
+// The storage setting, falling back to localStorage when there's none or it can't be read
+function getProgressStorageSettings() {
+    try {
+        const settings = JSON.parse(localStorage.getItem(PROGRESS_STORAGE_SETTING_KEY));
+        if (settings && PROGRESS_STORAGE_TYPES.includes(settings.type)) return settings;
+    } catch (error) {
+        console.error('Could not read the progress storage setting:', error);
+    }
+    return { type: 'localStorage', url: '' };
+}
+
+function saveProgressStorageSettings(settings) {
+    localStorage.setItem(PROGRESS_STORAGE_SETTING_KEY, JSON.stringify(settings));
+}
+
+// The storage the setting picks for a profile. onConflict merges in progress the sync server had
+// that this browser hadn't seen; the other storages never call it.
+function createProgressStorage(profileId, onConflict = null) {
+    const settings = getProgressStorageSettings();
+    const key = window.profileManager.keyFor(profileId, 'learningProgress');
+
+    if (settings.type === 'indexedDB' && window.indexedDB) {
+        return new IndexedDbProgressStorage(key);
+    }
+    if (settings.type === 'http' && settings.url) {
+        const url = `${settings.url.replace(/\/+$/, '')}/progress/${encodeURIComponent(profileId)}`;
+        return new HttpProgressStorage(url, key, window.profileManager.keyFor(profileId, 'progressSync'), onConflict);
+    }
+    return new LocalProgressStorage(key);
+}
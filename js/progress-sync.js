@@ -0,0 +1,116 @@
+// Progress Sync - Keeps progress in step between tabs that have the portal open
+//
+// Every save is broadcast to the other tabs, and those on the same profile merge it in: the
+// progress log keeps the changes every tab made, and everything else is merged field by field
+// on top of whichever tab saved last. Only the tab the learner is using has the current-lesson focus; the others keep
+// showing their lesson but don't count study time until the learner comes back to them.
+
+const PROGRESS_SYNC_CHANNEL = 'learning-progress';
+// How far ahead of this tab's clock a save may be dated. Anything later would count as newer
+// than every save made here until the clock caught up.
+const MAX_REVISION_LEAD = 10 * 1000;
+
+class ProgressSync {
+    constructor() {
+        this.tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+        // When the latest save this tab knows of was made, by this tab or another
+        this.revision = 0;
+        this.focused = false;
+        // A save that arrived while this tab's progress was still loading
+        this.waiting = null;
+        this.channel = 'BroadcastChannel' in window ? new BroadcastChannel(PROGRESS_SYNC_CHANNEL) : null;
+        this.setupEventListeners();
+        if (document.visibilityState === 'visible') this.claimFocus();
+    }
+
+    // Set up event listeners
+    setupEventListeners() {
+        if (this.channel) {
+            this.channel.addEventListener('message', (e) => this.receive(e.data));
+        }
+
+        window.addEventListener('focus', () => this.claimFocus());
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') this.claimFocus();
+        });
+
+        window.addEventListener('progressload', () => {
+            const message = this.waiting;
+            this.waiting = null;
+            if (message && message.profileId === this.profileId()) this.merge(message);
+        });
+
+        // Another tab moved progress to different storage; save there from now on too
+        window.addEventListener('storage', (e) => {
+            if (e.key === PROGRESS_STORAGE_SETTING_KEY) window.progressTracker.changeStorage();
+        });
+    }
+
+    profileId() {
+        return window.profileManager.getActiveProfileId();
+    }
+
+    // Send a save to the other tabs
+    publish(json) {
+        this.revision = Math.max(Date.now(), this.revision + 1);
+        this.post({ type: 'progress', profileId: this.profileId(), revision: this.revision, json });
+    }
+
+    post(message) {
+        if (this.channel) this.channel.postMessage({ ...message, tabId: this.tabId });
+    }
+
+    receive(message) {
+        if (!message || typeof message !== 'object') return;
+        if (message.type === 'focus') {
+            this.loseFocus();
+        } else if (message.type === 'progress' && this.isProgressSave(message)) {
+            if (window.progressTracker.loaded) {
+                this.merge(message);
+            } else {
+                this.waiting = message;
+            }
+        }
+    }
+
+    // Whether a message is a well-formed save for this tab's profile
+    isProgressSave(message) {
+        return message.profileId === this.profileId() &&
+            typeof message.json === 'string' &&
+            typeof message.tabId === 'string' &&
+            Number.isFinite(message.revision) &&
+            message.revision <= Date.now() + MAX_REVISION_LEAD;
+    }
+
+    // Merge in another tab's save and show what it changed. Saves made at the same moment are
+    // ordered by tab id, so both tabs agree on which is the newer.
+    merge(message) {
+        const newer = message.revision > this.revision || (message.revision === this.revision && message.tabId > this.tabId);
+        this.revision = Math.max(this.revision, message.revision);
+
+        const changed = window.progressTracker.mergeTabProgress(message.json, newer);
+        if (changed) window.progressTimeline.refreshViews();
+    }
+
+    // The learner is using this tab: it counts study time, and every other tab stops
+    claimFocus() {
+        if (this.focused) return;
+        this.focused = true;
+        this.post({ type: 'focus' });
+    }
+
+    loseFocus() {
+        if (!this.focused) return;
+        this.focused = false;
+        window.studyTimer.pause();
+    }
+
+    hasFocus() {
+        return this.focused;
+    }
+}
+
+// Initialize cross-tab sync when the DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.progressSync = new ProgressSync();
+});
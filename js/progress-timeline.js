@@ -0,0 +1,228 @@
+// Progress Timeline - Undo and redo of progress changes, from the sidebar and the keyboard,
+// and the timeline of every change in the progress log
+
+// Icons for the kinds of event in the timeline
+const TIMELINE_ICONS = {
+    'visit': 'fa-book-open',
+    'complete': 'fa-check-circle',
+    'uncomplete': 'fa-times-circle',
+    'exercise-start': 'fa-code',
+    'exercise-complete': 'fa-check-double',
+    'import': 'fa-upload',
+    'undo': 'fa-undo',
+    'redo': 'fa-redo'
+};
+
+class ProgressTimeline {
+    constructor(curriculum) {
+        this.curriculum = curriculum;
+        this.contentArea = document.getElementById('content-area');
+        this.undoButton = document.getElementById('undo-progress');
+        this.redoButton = document.getElementById('redo-progress');
+        this.showVisits = false;
+        this.setupEventListeners();
+        this.updateButtons();
+    }
+
+    // Set up event listeners
+    setupEventListeners() {
+        this.undoButton.addEventListener('click', () => this.undo());
+        this.redoButton.addEventListener('click', () => this.redo());
+
+        // Ctrl+Z and Ctrl+Shift+Z (or Ctrl+Y), except where they already undo typing
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey || e.defaultPrevented) return;
+            if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+
+        this.contentArea.addEventListener('click', (e) => {
+            if (!e.target.closest('.progress-timeline')) return;
+            if (e.target.closest('.timeline-undo-button')) this.undo();
+            if (e.target.closest('.timeline-redo-button')) this.redo();
+        });
+        this.contentArea.addEventListener('change', (e) => {
+            if (!e.target.matches('.timeline-show-visits')) return;
+            this.showVisits = e.target.checked;
+            this.render();
+        });
+    }
+
+    undo() {
+        const event = window.progressTracker.undo();
+        if (!event) {
+            showToast('Nothing to undo');
+            return;
+        }
+        this.refreshViews();
+        showToast(`Undone: ${this.describe(event)}`);
+    }
+
+    redo() {
+        const event = window.progressTracker.redo();
+        if (!event) {
+            showToast('Nothing to redo');
+            return;
+        }
+        this.refreshViews();
+        showToast(`Redone: ${this.describe(event)}`);
+    }
+
+    // Show the statuses undo or redo changed wherever they're on screen
+    refreshViews() {
+        if (window.contentLoader.currentLesson) {
+            window.contentLoader.updateLessonStatus();
+        }
+
+        const route = window.router.parse(window.location.hash);
+        if (['timeline', 'dashboard', 'map'].includes(route.view)) {
+            window.router.handleRoute(route);
+        }
+    }
+
+    // Name what undo and redo would do on their buttons
+    updateButtons() {
+        const undoTarget = window.progressTracker.getUndoTarget();
+        const redoTarget = window.progressTracker.getRedoTarget();
+
+        this.undoButton.disabled = !undoTarget;
+        this.undoButton.title = undoTarget ? `Undo: ${this.describe(undoTarget)} (Ctrl+Z)` : 'Nothing to undo';
+        this.redoButton.disabled = !redoTarget;
+        this.redoButton.title = redoTarget ? `Redo: ${this.describe(redoTarget)} (Ctrl+Shift+Z)` : 'Nothing to redo';
+    }
+
+    // Open the timeline in the content area
+    show() {
+        window.contentLoader.clearLesson();
+        document.getElementById('breadcrumb').innerHTML = '<span class="breadcrumb-item">Progress history</span>';
+        this.render();
+        this.contentArea.scrollTop = 0;
+    }
+
+    // Every change in the log, newest first and grouped by day
+    render() {
+        const { events, undone } = window.progressTracker.getEvents();
+        const shown = events
+            .filter(event => this.showVisits || (event.type !== 'visit' && event.type !== 'exercise-start'))
+            .reverse();
+
+        const days = [];
+        shown.forEach(event => {
+            const day = new Date(event.at).toLocaleDateString([], { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+            if (days.length === 0 || days[days.length - 1].day !== day) days.push({ day, events: [] });
+            days[days.length - 1].events.push(event);
+        });
+
+        const undoTarget = window.progressTracker.getUndoTarget();
+        const redoTarget = window.progressTracker.getRedoTarget();
+        this.contentArea.innerHTML = `
+            <div class="progress-timeline">
+                <h1>Progress history</h1>
+                <p class="timeline-intro">Every change to your lesson and exercise progress, newest first. Undo takes back completions, un-completions and imports, most recent first.</p>
+                <div class="timeline-actions">
+                    <button class="timeline-undo-button" ${undoTarget ? '' : 'disabled'}>
+                        <i class="fas fa-undo"></i> ${undoTarget ? `Undo: ${this.escapeHtml(this.describe(undoTarget))}` : 'Nothing to undo'}
+                    </button>
+                    <button class="timeline-redo-button" ${redoTarget ? '' : 'disabled'}>
+                        <i class="fas fa-redo"></i> ${redoTarget ? `Redo: ${this.escapeHtml(this.describe(redoTarget))}` : 'Nothing to redo'}
+                    </button>
+                    <label class="timeline-filter">
+                        <input type="checkbox" class="timeline-show-visits" ${this.showVisits ? 'checked' : ''}>
+                        Show lesson visits and exercise starts
+                    </label>
+                </div>
+                ${days.length === 0 ? '<p class="timeline-empty">No changes yet.</p>' : days.map(({ day, events: dayEvents }) => `
+                    <section class="timeline-day">
+                        <h2>${day}</h2>
+                        <ol class="timeline-list">
+                            ${dayEvents.map(event => this.renderEvent(event, undone.has(event.id))).join('')}
+                        </ol>
+                    </section>
+                `).join('')}
+                ${this.renderBase()}
+            </div>
+        `;
+    }
+
+    renderEvent(event, isUndone) {
+        const time = new Date(event.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        return `
+            <li class="timeline-event timeline-${event.type}${isUndone ? ' undone' : ''}">
+                <time datetime="${event.at}">${time}</time>
+                <i class="fas ${TIMELINE_ICONS[event.type]}"></i>
+                <span class="timeline-description">${this.escapeHtml(this.describe(event))}</span>
+                ${isUndone ? '<span class="timeline-undone-tag">Undone</span>' : ''}
+            </li>
+        `;
+    }
+
+    // What progress looked like before the first event still in the log
+    renderBase() {
+        const lessons = Object.values(window.progressTracker.getLogBase().lessons);
+        const completed = lessons.filter(lesson => lesson.completed).length;
+        const exercises = lessons.reduce((total, lesson) =>
+            total + Object.values(lesson.exercises).filter(exercise => exercise.completed).length, 0);
+        if (completed === 0 && exercises === 0) return '';
+
+        return `
+            <p class="timeline-base">
+                <i class="fas fa-flag"></i>
+                Before this history begins: ${completed} lesson${completed === 1 ? '' : 's'} and ${exercises} exercise${exercises === 1 ? '' : 's'} completed
+            </p>
+        `;
+    }
+
+    // One line saying what an event did
+    describe(event) {
+        const lesson = event.lessonId ? this.findLesson(event.moduleId, event.lessonId) : null;
+        const exercise = lesson && event.exerciseId ? (lesson.exercises || []).find(e => e.id === event.exerciseId) : null;
+
+        switch (event.type) {
+            case 'visit':
+                return `Opened "${lesson.title}"`;
+            case 'complete':
+                return `Marked "${lesson.title}" complete`;
+            case 'uncomplete':
+                return `Marked "${lesson.title}" incomplete`;
+            case 'exercise-start':
+                return `Started "${exercise.title}"`;
+            case 'exercise-complete':
+                return `Completed "${exercise.title}"`;
+            case 'import': {
+                const count = Object.keys(event.lessons).length;
+                return count > 0 ? `Imported progress for ${count} lesson${count === 1 ? '' : 's'}` : 'Imported progress';
+            }
+            case 'undo':
+            case 'redo': {
+                const target = window.progressTracker.getEvents().events.find(e => e.id === event.target);
+                return `${event.type === 'undo' ? 'Undid' : 'Redid'}: ${target ? this.describe(target) : 'an earlier change'}`;
+            }
+        }
+        return event.type;
+    }
+
+    findLesson(moduleId, lessonId) {
+        const module = this.curriculum.modules.find(m => m.id === moduleId);
+        return module ? module.lessons.find(l => l.id === lessonId) : null;
+    }
+
+    // Helper function to escape HTML
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Initialize the progress timeline when the DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.progressTimeline = new ProgressTimeline(curriculum);
+});
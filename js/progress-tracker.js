@@ -1,39 +1,189 @@
 // Progress Tracker - Manages user progress through the curriculum
 
+// Older study sessions are dropped past this; the daily totals keep their time
+const MAX_STUDY_SESSIONS = 500;
+
 class ProgressTracker {
     constructor(curriculum) {
         this.curriculum = curriculum;
-        this.progressData = this.loadProgress();
+        this.schema = new ProgressSchema(curriculum);
+        this.merger = new ProgressMerge(curriculum);
+        this.log = new ProgressLog(curriculum);
+        this.graph = new CurriculumGraph(curriculum);
+        this.graph.problems.forEach(problem => console.warn('Curriculum prerequisites:', problem));
+        this.storage = null;
+        this.loading = null;
+        this.loaded = false;
+        this.progressData = {};
+        this.initializeProgress();
+        this.ready = this.load();
+        window.addEventListener('profilechange', () => this.reload());
+    }
+
+    // Open the active profile's storage and load its progress. Until it has loaded the tracker
+    // holds empty progress and saves none of it, so nothing saved is overwritten. Fires
+    // "progressload" on window once the progress is in.
+    async load() {
+        if (this.storage) this.storage.close();
+        this.loaded = false;
+        const loading = this.loading = {};
+        const profileId = window.profileManager.getActiveProfileId();
+        this.storage = this.openStorage(profileId);
+
+        let savedProgress;
+        try {
+            savedProgress = await this.storage.load();
+        } catch (error) {
+            if (loading !== this.loading) return;
+            // e.g. IndexedDB turned off in a private window
+            console.error('Could not open the progress storage, using localStorage instead:', error);
+            showToast('Progress storage unavailable, saving in this browser instead');
+            this.storage = new LocalProgressStorage(window.profileManager.keyFor(profileId, 'learningProgress'));
+            savedProgress = await this.storage.load();
+        }
+        // Another profile was picked while this one was loading
+        if (loading !== this.loading) return;
+
+        this.progressData = this.loadProgress(savedProgress);
+        this.loaded = true;
         this.initializeProgress();
+        this.updateProgressDisplay();
+        window.dispatchEvent(new CustomEvent('progressload'));
+    }
+
+    // Swap in the active profile's progress, e.g. after switching profiles
+    reload() {
+        this.ready = this.load();
+        return this.ready;
+    }
+
+    // The storage the setting picks for a profile, merging in what the sync server has when it differs
+    openStorage(profileId) {
+        const storage = createProgressStorage(profileId, (json) => this.mergeRemote(storage, json));
+        return storage;
     }
 
-    // Load progress from localStorage
-    loadProgress() {
-        const savedProgress = localStorage.getItem('learningProgress');
-        return savedProgress ? JSON.parse(savedProgress) : {};
+    // Move the progress to the storage the setting now picks, taking it along as it is
+    async changeStorage() {
+        await this.ready;
+        this.storage.close();
+        this.storage = this.openStorage(window.profileManager.getActiveProfileId());
+        this.saveProgress();
+    }
+
+    // Migrate and repair saved progress to the current schema. Progress that can't be read is
+    // set aside rather than overwritten.
+    loadProgress(savedProgress) {
+        if (!savedProgress) return {};
+
+        let result;
+        try {
+            result = this.schema.process(JSON.parse(savedProgress));
+        } catch (error) {
+            result = { data: null, report: { errors: [`Saved progress is not valid JSON: ${error.message}`] } };
+        }
+
+        if (!result.data) {
+            console.error('Unreadable saved progress, starting over:', result.report.errors.join(' '));
+            localStorage.setItem(window.profileManager.storageKey('learningProgressRejected'), savedProgress);
+            return {};
+        }
+
+        if (result.report.fromVersion !== PROGRESS_SCHEMA_VERSION || result.report.repairs.length > 0) {
+            result.report.repairs.forEach(repair => console.warn('Repaired saved progress:', repair));
+            this.storage.save(JSON.stringify(result.data));
+        }
+        return result.data;
     }
 
-    // Save progress to localStorage
+    // Save progress to the profile's storage, once it has loaded, and let other tabs know
     saveProgress() {
-        localStorage.setItem('learningProgress', JSON.stringify(this.progressData));
+        if (this.loaded) {
+            const json = JSON.stringify(this.progressData);
+            this.storage.save(json);
+            if (window.progressSync) window.progressSync.publish(json);
+        }
         this.updateProgressDisplay();
     }
 
+    // Merge in progress the sync server had that this browser hadn't seen, e.g. from another
+    // device. Conflicts go the way the merge suggests; the result is saved and sent back.
+    async mergeRemote(storage, json) {
+        await this.ready;
+        if (storage !== this.storage) return;
+
+        const { report, merge } = this.previewImport(json);
+        if (!merge) {
+            console.error('Unreadable progress on the sync server, replacing it:', report.errors.join(' '));
+            this.saveProgress();
+            return;
+        }
+        this.applyImport(merge);
+        window.progressTimeline.refreshViews();
+        if (merge.changes.length > 0) showToast('Merged in progress saved from elsewhere');
+    }
+
+    // Take in progress another tab saved. The log keeps the changes both tabs made, and everything
+    // else is merged field by field on top of whichever is the newer save. Saves again when the
+    // result has something the newer save didn't, so the tabs stop once they agree. Returns
+    // whether lesson or exercise statuses may have changed here, or null when the progress can't
+    // be read.
+    mergeTabProgress(json, newer) {
+        let result;
+        try {
+            result = this.schema.process(JSON.parse(json));
+        } catch (error) {
+            result = { data: null };
+        }
+        if (!result.data) return null;
+
+        const incoming = result.data;
+        const log = this.log.merge(this.progressData.log, incoming.log);
+        const eventIds = ({ events }) => events.map(event => event.id).join();
+        const gained = eventIds(log) !== eventIds(this.progressData.log);
+
+        const ours = this.progressData;
+        this.progressData = newer ? this.merger.mergeTabs(incoming, ours) : this.merger.mergeTabs(ours, incoming);
+        this.progressData.log = log;
+        this.log.replay(this.progressData);
+        this.initializeProgress();
+        // Compared as the schema normalizes them, so key order and patched-in fields don't count
+        const normalized = (data) => JSON.stringify(this.schema.process(data).data);
+        if (normalized(this.progressData) !== normalized(newer ? incoming : ours)) {
+            this.saveProgress();
+        } else {
+            this.updateProgressDisplay();
+        }
+        return gained;
+    }
+
     // Initialize or patch progress data to match the curriculum
     initializeProgress() {
         let changed = false;
         // If empty, initialize from scratch
         if (Object.keys(this.progressData).length === 0) {
-            this.progressData = {
-                modules: {},
-                lastVisited: null,
-                
-            };
+            this.progressData = this.schema.createEmpty();
         }
         if (!this.progressData.modules) {
             this.progressData.modules = {};
             changed = true;
         }
+        if (!this.progressData.reviews) {
+            this.progressData.reviews = {};
+            changed = true;
+        }
+        if (!this.progressData.study) {
+            this.progressData.study = { days: {}, sessions: [] };
+            changed = true;
+        }
+        if (!this.progressData.log) {
+            this.progressData.log = { base: null, events: [] };
+            changed = true;
+        }
+        if (!this.progressData.log.base) {
+            this.progressData.log.base = this.log.snapshot(this.progressData);
+            changed = true;
+        }
         // Patch in any missing modules, lessons, or exercises
         this.curriculum.modules.forEach(module => {
             if (!this.progressData.modules[module.id]) {
@@ -64,6 +214,14 @@ class ProgressTracker {
                         completedExercises: 0,
                         totalExercises: lesson.exercises ? lesson.exercises.length : 0,
                         lastVisited: null,
+                        completedAt: null,
+                        readSections: [],
+                        quizzes: {},
+                        highlights: [],
+                        notes: { text: '', updatedAt: null },
+                        position: null,
+                        bookmarks: [],
+                        timeSpent: 0,
                         exercises: {}
                     };
                     changed = true;
@@ -78,110 +236,353 @@ class ProgressTracker {
                     lessonProgress.exercises = {};
                     changed = true;
                 }
+                if (!lessonProgress.readSections) {
+                    lessonProgress.readSections = [];
+                    changed = true;
+                }
+                if (!lessonProgress.quizzes) {
+                    lessonProgress.quizzes = {};
+                    changed = true;
+                }
+                if (!lessonProgress.highlights) {
+                    lessonProgress.highlights = [];
+                    changed = true;
+                }
+                if (!lessonProgress.notes) {
+                    lessonProgress.notes = { text: '', updatedAt: null };
+                    changed = true;
+                }
+                if (lessonProgress.position === undefined) {
+                    lessonProgress.position = null;
+                    changed = true;
+                }
+                if (!lessonProgress.bookmarks) {
+                    lessonProgress.bookmarks = [];
+                    changed = true;
+                }
+                if (lessonProgress.timeSpent === undefined) {
+                    lessonProgress.timeSpent = 0;
+                    changed = true;
+                }
                 if (lesson.exercises) {
                     lesson.exercises.forEach(exercise => {
                         if (!lessonProgress.exercises[exercise.id]) {
                             lessonProgress.exercises[exercise.id] = {
                                 completed: false,
                                 started: false,
-                                lastAttempt: null
+                                lastAttempt: null,
+                                startedAt: null,
+                                timeSpent: 0
                             };
                             changed = true;
+                        } else if (lessonProgress.exercises[exercise.id].timeSpent === undefined) {
+                            lessonProgress.exercises[exercise.id].timeSpent = 0;
+                            changed = true;
                         }
                     });
                 }
             });
         });
         if (changed) {
+            // Lessons just patched in take their statuses from the log
+            this.log.replay(this.progressData);
             this.saveProgress();
         }
     }
 
     // Mark a lesson as visited
     visitLesson(moduleId, lessonId) {
-        if (!this.progressData.modules[moduleId]) return;
+        if (!this.progressData.modules[moduleId]?.lessons[lessonId]) return;
+        this.recordEvent('visit', { moduleId, lessonId });
+    }
+
+    // Mark a lesson as completed
+    completeLesson(moduleId, lessonId) {
+        const lessonProgress = this.progressData.modules[moduleId]?.lessons[lessonId];
+        if (!lessonProgress || lessonProgress.completed) return;
+        this.recordEvent('complete', { moduleId, lessonId });
+    }
+
+    // Mark a lesson as incomplete (undo complete)
+    uncompleteLesson(moduleId, lessonId) {
+        const lessonProgress = this.progressData.modules[moduleId]?.lessons[lessonId];
+        if (!lessonProgress || !lessonProgress.completed) return;
+        this.recordEvent('uncomplete', { moduleId, lessonId });
+    }
+
+    // Add an event to the progress log and replay the statuses it changes; see PROGRESS_EVENT_TYPES
+    recordEvent(type, fields) {
+        const event = this.log.createEvent(type, fields);
+        this.progressData.log.events.push(event);
+        this.log.compact(this.progressData.log);
+        this.log.replay(this.progressData);
+        this.saveProgress();
+        return event;
+    }
+
+    // Take back the latest completion change or import. Returns the event undone, or null.
+    undo() {
+        const target = this.log.undoTarget(this.progressData.log.events);
+        if (!target) return null;
+        this.recordEvent('undo', { target: target.id });
+        return target;
+    }
+
+    // Bring back the change undone most recently. Returns the event redone, or null.
+    redo() {
+        const target = this.log.redoTarget(this.progressData.log.events);
+        if (!target) return null;
+        this.recordEvent('redo', { target: target.id });
+        return target;
+    }
+
+    // The event undo would take back, or null
+    getUndoTarget() {
+        return this.log.undoTarget(this.progressData.log.events);
+    }
+
+    // The event redo would bring back, or null
+    getRedoTarget() {
+        return this.log.redoTarget(this.progressData.log.events);
+    }
+
+    // The events in the progress log, oldest first, and the ids of those currently undone
+    getEvents() {
+        return { events: this.progressData.log.events, undone: this.log.undoneIds(this.progressData.log.events) };
+    }
+
+    // The statuses the progress log starts from
+    getLogBase() {
+        return this.progressData.log.base;
+    }
+
+    // Record that a lesson section has been scrolled through; returns false if it already was
+    markSectionRead(moduleId, lessonId, sectionId) {
+        const lessonProgress = this.progressData.modules[moduleId]?.lessons[lessonId];
+        if (!lessonProgress || lessonProgress.readSections.includes(sectionId)) return false;
         
-        // Update last visited
-        this.progressData.lastVisited = {
-            moduleId: moduleId,
-            lessonId: lessonId
+        lessonProgress.readSections.push(sectionId);
+        this.saveProgress();
+        return true;
+    }
+
+    // Get the ids of the sections of a lesson that have been read
+    getReadSections(moduleId, lessonId) {
+        return this.progressData.modules[moduleId]?.lessons[lessonId]?.readSections || [];
+    }
+
+    // Record an answer to one of a lesson's quizzes; the latest answer is the one that counts
+    recordQuizAnswer(moduleId, lessonId, quizId, answer, correct) {
+        const lessonProgress = this.progressData.modules[moduleId]?.lessons[lessonId];
+        if (!lessonProgress) return;
+        
+        const previous = lessonProgress.quizzes[quizId];
+        lessonProgress.quizzes[quizId] = {
+            answer,
+            correct,
+            attempts: (previous ? previous.attempts : 0) + 1,
+            answeredAt: new Date().toISOString()
         };
+        this.saveProgress();
+    }
+
+    // Get the saved quiz answers of a lesson, keyed by quiz id
+    getQuizResults(moduleId, lessonId) {
+        return this.progressData.modules[moduleId]?.lessons[lessonId]?.quizzes || {};
+    }
+
+    // Get a lesson's highlights, in the order they were made
+    getHighlights(moduleId, lessonId) {
+        return this.progressData.modules[moduleId]?.lessons[lessonId]?.highlights || [];
+    }
+
+    // Add a highlight, or update the colour or note of an existing one
+    saveHighlight(moduleId, lessonId, highlight) {
+        const lessonProgress = this.progressData.modules[moduleId]?.lessons[lessonId];
+        if (!lessonProgress) return;
         
-        // Mark lesson as started
-        if (!this.progressData.modules[moduleId].lessons[lessonId].started) {
-            this.progressData.modules[moduleId].lessons[lessonId].started = true;
-            this.progressData.modules[moduleId].started = true;
+        const saved = { ...highlight, updatedAt: new Date().toISOString() };
+        const index = lessonProgress.highlights.findIndex(h => h.id === highlight.id);
+        if (index >= 0) {
+            lessonProgress.highlights[index] = saved;
+        } else {
+            lessonProgress.highlights.push({ ...saved, createdAt: saved.updatedAt });
         }
+        this.saveProgress();
+    }
+
+    // Remove a highlight and its note
+    removeHighlight(moduleId, lessonId, highlightId) {
+        const lessonProgress = this.progressData.modules[moduleId]?.lessons[lessonId];
+        if (!lessonProgress) return;
         
-        this.progressData.modules[moduleId].lessons[lessonId].lastVisited = new Date().toISOString();
+        lessonProgress.highlights = lessonProgress.highlights.filter(h => h.id !== highlightId);
         this.saveProgress();
     }
 
-    // Mark a lesson as completed
-    completeLesson(moduleId, lessonId) {
-        if (!this.progressData.modules[moduleId]) return;
+    // Get a lesson's free-form notes as { text, updatedAt }
+    getNotes(moduleId, lessonId) {
+        return this.progressData.modules[moduleId]?.lessons[lessonId]?.notes || { text: '', updatedAt: null };
+    }
+
+    // Save a lesson's free-form notes
+    saveNotes(moduleId, lessonId, text) {
+        const lessonProgress = this.progressData.modules[moduleId]?.lessons[lessonId];
+        if (!lessonProgress || lessonProgress.notes.text === text) return;
         
-        const moduleProgress = this.progressData.modules[moduleId];
-        const lessonProgress = moduleProgress.lessons[lessonId];
+        lessonProgress.notes = { text, updatedAt: new Date().toISOString() };
+        this.saveProgress();
+    }
+
+    // Get where the learner left off in a lesson, as { headingId, offset } or null for the top
+    getPosition(moduleId, lessonId) {
+        return this.progressData.modules[moduleId]?.lessons[lessonId]?.position || null;
+    }
+
+    // Remember where the learner is in a lesson; null means the top
+    savePosition(moduleId, lessonId, position) {
+        const lessonProgress = this.progressData.modules[moduleId]?.lessons[lessonId];
+        if (!lessonProgress) return;
         
-        if (!lessonProgress.completed) {
-            lessonProgress.completed = true;
-            moduleProgress.completedLessons++;
-            
-            // Check if module is completed
-            if (moduleProgress.completedLessons === moduleProgress.totalLessons) {
-                moduleProgress.completed = true;
-            }
-            
-            this.saveProgress();
+        const previous = lessonProgress.position;
+        if (!position && !previous) return;
+        if (position && previous && position.headingId === previous.headingId && position.offset === previous.offset) return;
+        
+        lessonProgress.position = position ? { ...position, savedAt: new Date().toISOString() } : null;
+        this.saveProgress();
+    }
+
+    // Get a lesson's bookmarks, in the order they were added
+    getBookmarks(moduleId, lessonId) {
+        return this.progressData.modules[moduleId]?.lessons[lessonId]?.bookmarks || [];
+    }
+
+    // Every bookmark, in curriculum order, as { moduleId, lessonId, headingId, name }
+    getAllBookmarks() {
+        return this.curriculum.modules.flatMap(module => module.lessons.flatMap(lesson =>
+            this.getBookmarks(module.id, lesson.id).map(bookmark => ({ moduleId: module.id, lessonId: lesson.id, ...bookmark }))
+        ));
+    }
+
+    // Bookmark a heading, or rename its bookmark
+    saveBookmark(moduleId, lessonId, headingId, name) {
+        const lessonProgress = this.progressData.modules[moduleId]?.lessons[lessonId];
+        if (!lessonProgress) return;
+        
+        const bookmark = { headingId, name, updatedAt: new Date().toISOString() };
+        const index = lessonProgress.bookmarks.findIndex(b => b.headingId === headingId);
+        if (index >= 0) {
+            lessonProgress.bookmarks[index] = bookmark;
+        } else {
+            lessonProgress.bookmarks.push(bookmark);
         }
+        this.saveProgress();
     }
 
-    // Mark a lesson as incomplete (undo complete)
-    uncompleteLesson(moduleId, lessonId) {
-        if (!this.progressData.modules[moduleId]) return;
-        const moduleProgress = this.progressData.modules[moduleId];
-        const lessonProgress = moduleProgress.lessons[lessonId];
-        if (lessonProgress.completed) {
-            lessonProgress.completed = false;
-            if (moduleProgress.completedLessons > 0) {
-                moduleProgress.completedLessons--;
-            }
-            // Unmark module as completed if it was
-            if (moduleProgress.completed) {
-                moduleProgress.completed = false;
+    removeBookmark(moduleId, lessonId, headingId) {
+        const lessonProgress = this.progressData.modules[moduleId]?.lessons[lessonId];
+        if (!lessonProgress) return;
+        
+        lessonProgress.bookmarks = lessonProgress.bookmarks.filter(b => b.headingId !== headingId);
+        this.saveProgress();
+    }
+
+    // Add a stretch of active study time. target is { moduleId, lessonId, exerciseId } for what
+    // was being studied, or null for time outside lessons. The stretch joins the last session when
+    // continueSession is set, otherwise it starts a new one.
+    recordStudyTime(target, { start, end, seconds, day }, continueSession) {
+        const study = this.progressData.study;
+        study.days[day] = (study.days[day] || 0) + seconds;
+
+        const lastSession = study.sessions[study.sessions.length - 1];
+        if (continueSession && lastSession) {
+            lastSession.end = end;
+            lastSession.seconds += seconds;
+        } else {
+            study.sessions.push({ start, end, seconds });
+            study.sessions.splice(0, Math.max(study.sessions.length - MAX_STUDY_SESSIONS, 0));
+        }
+
+        const lessonProgress = target && this.progressData.modules[target.moduleId]?.lessons[target.lessonId];
+        if (lessonProgress) {
+            const exerciseProgress = target.exerciseId && lessonProgress.exercises[target.exerciseId];
+            if (exerciseProgress) {
+                exerciseProgress.timeSpent += seconds;
+            } else {
+                lessonProgress.timeSpent += seconds;
             }
-            this.saveProgress();
         }
+        this.saveProgress();
+    }
+
+    // Seconds studied on each day, keyed by YYYY-MM-DD
+    getStudyDays() {
+        return this.progressData.study.days;
+    }
+
+    // Study sessions, oldest first, as { start, end, seconds }
+    getStudySessions() {
+        return this.progressData.study.sessions;
+    }
+
+    // Seconds spent on a lesson, including its exercises
+    getLessonTime(moduleId, lessonId) {
+        const lessonProgress = this.progressData.modules[moduleId]?.lessons[lessonId];
+        if (!lessonProgress) return 0;
+        return Object.values(lessonProgress.exercises)
+            .reduce((total, exercise) => total + exercise.timeSpent, lessonProgress.timeSpent);
+    }
+
+    // Seconds spent on a module's lessons and exercises
+    getModuleTime(moduleId) {
+        const module = this.curriculum.modules.find(m => m.id === moduleId);
+        if (!module) return 0;
+        return module.lessons.reduce((total, lesson) => total + this.getLessonTime(moduleId, lesson.id), 0);
+    }
+
+    // Get a flashcard's review schedule, or null for a card that has never been reviewed
+    getReview(cardKey) {
+        return this.progressData.reviews[cardKey] || null;
+    }
+
+    // Save a flashcard's new review schedule
+    recordReview(cardKey, review) {
+        this.progressData.reviews[cardKey] = review;
+        this.saveProgress();
     }
 
     // Mark an exercise as started
     startExercise(moduleId, lessonId, exerciseId) {
-        if (!this.progressData.modules[moduleId]?.lessons[lessonId]?.exercises[exerciseId]) return;
+        const exerciseProgress = this.progressData.modules[moduleId]?.lessons[lessonId]?.exercises[exerciseId];
+        if (!exerciseProgress || exerciseProgress.started) return;
+        this.recordEvent('exercise-start', { moduleId, lessonId, exerciseId });
+    }
+
+    // Note the time of the latest run, test run or submission of an exercise
+    recordAttempt(moduleId, lessonId, exerciseId) {
+        const exerciseProgress = this.progressData.modules[moduleId]?.lessons[lessonId]?.exercises[exerciseId];
+        if (!exerciseProgress) return;
         
-        this.progressData.modules[moduleId].lessons[lessonId].exercises[exerciseId].started = true;
-        this.saveProgress();
+        exerciseProgress.lastAttempt = new Date().toISOString();
+        if (exerciseProgress.started) {
+            this.saveProgress();
+        } else {
+            this.startExercise(moduleId, lessonId, exerciseId);
+        }
     }
 
-    // Mark an exercise as completed
+    // Mark an exercise as completed; completing a lesson's last exercise completes the lesson
     completeExercise(moduleId, lessonId, exerciseId) {
-        if (!this.progressData.modules[moduleId]?.lessons[lessonId]?.exercises[exerciseId]) return;
-        
-        const exerciseProgress = this.progressData.modules[moduleId].lessons[lessonId].exercises[exerciseId];
-        const lessonProgress = this.progressData.modules[moduleId].lessons[lessonId];
+        const exerciseProgress = this.progressData.modules[moduleId]?.lessons[lessonId]?.exercises[exerciseId];
+        if (!exerciseProgress || exerciseProgress.completed) return;
         
-        if (!exerciseProgress.completed) {
-            exerciseProgress.completed = true;
-            exerciseProgress.lastAttempt = new Date().toISOString();
-            lessonProgress.completedExercises++;
-            
-            // If all exercises are completed, mark the lesson as completed
-            if (lessonProgress.completedExercises === lessonProgress.totalExercises) {
-                this.completeLesson(moduleId, lessonId);
-            }
-            
-            this.saveProgress();
+        exerciseProgress.lastAttempt = new Date().toISOString();
+        const fields = { moduleId, lessonId, exerciseId };
+        if (this.log.findLesson(moduleId, lessonId)?.requireQuizPass) {
+            const score = window.lessonQuizzes.getScore(moduleId, lessonId);
+            fields.quizPassed = !!score && score.correct === score.total;
         }
+        this.recordEvent('exercise-complete', fields);
     }
 
     // Get the overall completion percentage
@@ -227,11 +628,41 @@ class ProgressTracker {
         return 'not-started';
     }
 
-    // Get the next lesson to study
+    // Whether a lesson is completed; handed to the curriculum graph to work out prerequisites
+    isLessonCompleted(moduleId, lessonId) {
+        return this.getLessonStatus(moduleId, lessonId) === 'completed';
+    }
+
+    // 'completed', 'available' when every prerequisite is completed, or 'locked'
+    getLessonAvailability(moduleId, lessonId) {
+        return this.graph.getLessonState(moduleId, lessonId, (m, l) => this.isLessonCompleted(m, l));
+    }
+
+    // The prerequisites of a lesson still to be completed, as { module, lesson } pairs
+    getMissingPrerequisites(moduleId, lessonId) {
+        return this.graph.getMissingPrerequisites(moduleId, lessonId, (m, l) => this.isLessonCompleted(m, l));
+    }
+
+    // Get the next lesson to study: the last visited one while it's unfinished and its
+    // prerequisites are met, otherwise one the curriculum graph recommends from there
     getNextLesson() {
-        // First check if we have a last visited lesson
-        if (this.progressData.lastVisited) {
-            return this.progressData.lastVisited;
+        const lastVisited = this.progressData.lastVisited;
+        if (lastVisited && this.getLessonAvailability(lastVisited.moduleId, lastVisited.lessonId) === 'available') {
+            return lastVisited;
+        }
+        
+        const recommended = this.graph.getRecommendedLesson(
+            (m, l) => this.isLessonCompleted(m, l),
+            lastVisited && lastVisited.moduleId,
+            lastVisited && lastVisited.lessonId
+        );
+        if (recommended) {
+            return recommended;
+        }
+        
+        // Everything is completed (or locked behind a broken prerequisite); go back to where we were
+        if (lastVisited) {
+            return lastVisited;
         }
         
         // If no last visited lesson, return the first lesson of the first module
@@ -260,6 +691,21 @@ class ProgressTracker {
         const totalModules = this.curriculum.modules.length;
         document.getElementById('completed-modules').textContent = `${completedModules}/${totalModules} Modules`;
         
+        // Completing a lesson adds its flashcards to the review deck
+        if (window.reviewQueue) {
+            window.reviewQueue.updateDueCount();
+        }
+        
+        // Module study times live in the module headers too
+        if (window.studyTimer) {
+            window.studyTimer.updateDisplay();
+        }
+        
+        // What undo and redo would change
+        if (window.progressTimeline) {
+            window.progressTimeline.updateButtons();
+        }
+        
         // Update module and lesson status indicators in the navigation
         this.curriculum.modules.forEach(module => {
             const moduleStatus = this.getModuleStatus(module.id);
@@ -270,26 +716,44 @@ class ProgressTracker {
                 const statusDot = moduleElement.querySelector('.module-status');
                 statusDot.className = `module-status status-${moduleStatus}`;
                 
-                // Update lesson status dots
+                // Update lesson status dots and prerequisite locks
+                const moduleItem = moduleElement.closest('.module-item');
                 module.lessons.forEach(lesson => {
                     const lessonStatus = this.getLessonStatus(module.id, lesson.id);
-                    const lessonElement = document.querySelector(`.lesson-item[data-lesson-id="${lesson.id}"]`);
+                    const lessonElement = moduleItem.querySelector(`.lesson-item[data-lesson-id="${lesson.id}"]`);
                     
                     if (lessonElement) {
                         const lessonStatusDot = lessonElement.querySelector('.lesson-status');
                         lessonStatusDot.className = `lesson-status status-${lessonStatus}`;
+                        this.updateLessonLock(lessonElement, module.id, lesson.id);
                     }
                 });
+                moduleElement.classList.toggle('locked', module.lessons.every(lesson => this.getLessonAvailability(module.id, lesson.id) === 'locked'));
             }
         });
     }
 
-    // Export progress data
-    exportProgress() {
-        const dataStr = JSON.stringify(this.progressData, null, 2);
+    // Show a lock on a sidebar lesson whose prerequisites aren't completed yet, naming them in its tooltip
+    updateLessonLock(lessonElement, moduleId, lessonId) {
+        const missing = this.getMissingPrerequisites(moduleId, lessonId);
+        const locked = this.getLessonAvailability(moduleId, lessonId) === 'locked';
+        
+        lessonElement.classList.toggle('locked', locked);
+        lessonElement.querySelector('i').className = `fas ${locked ? 'fa-lock' : 'fa-book-open'}`;
+        lessonElement.title = locked ? `Recommended after: ${missing.map(({ lesson }) => lesson.title).join(', ')}` : '';
+    }
+
+    // Export progress data, naming the file after the profile when given one
+    exportProgress(profileName = null) {
+        this.downloadProgress(this.progressData, profileName);
+    }
+
+    downloadProgress(data, profileName = null) {
+        const dataStr = JSON.stringify(data, null, 2);
         const dataUri = 'data:application/json;charset=utf-8,'+ encodeURIComponent(dataStr);
         
-        const exportFileDefaultName = `learning-progress-${new Date().toISOString().split('T')[0]}.json`;
+        const slug = profileName ? `${profileName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}-` : '';
+        const exportFileDefaultName = `learning-progress-${slug}${new Date().toISOString().split('T')[0]}.json`;
         
         const linkElement = document.createElement('a');
         linkElement.setAttribute('href', dataUri);
@@ -297,16 +761,61 @@ class ProgressTracker {
         linkElement.click();
     }
 
-    // Import progress data
+    // Import progress data. Returns the validation report: when report.valid is false the
+    // import was rejected and the current progress is untouched; report.repairs lists fixes made.
     importProgress(jsonData) {
+        let importedData;
         try {
-            const importedData = JSON.parse(jsonData);
-            this.progressData = importedData;
-            this.saveProgress();
-            return true;
+            importedData = JSON.parse(jsonData);
         } catch (error) {
-            console.error('Error importing progress data:', error);
-            return false;
+            return { valid: false, fromVersion: null, toVersion: PROGRESS_SCHEMA_VERSION, errors: [`The file is not valid JSON: ${error.message}`], repairs: [] };
+        }
+
+        const { data, report } = this.schema.process(importedData);
+        if (!data) return report;
+
+        this.replaceProgress(data);
+        return report;
+    }
+
+    // Validate an export and work out how it would merge into this device's progress, without
+    // changing anything yet. merge is null when the report rejects the file.
+    previewImport(jsonData) {
+        let importedData;
+        try {
+            importedData = JSON.parse(jsonData);
+        } catch (error) {
+            return {
+                report: { valid: false, fromVersion: null, toVersion: PROGRESS_SCHEMA_VERSION, errors: [`The file is not valid JSON: ${error.message}`], repairs: [] },
+                merge: null
+            };
+        }
+
+        const { data, report } = this.schema.process(importedData);
+        return { report, merge: data ? this.merger.merge(this.progressData, data) : null };
+    }
+
+    // Apply a previewed merge once the learner has resolved its conflicts
+    applyImport(merge) {
+        const data = this.merger.resolve(merge.merged, merge.conflicts);
+        this.schema.recompute(data, { repairs: [] });
+        this.replaceProgress(data);
+    }
+
+    // Take on imported progress, keeping this device's log: the statuses that change are
+    // recorded as one import event, so the whole import can be undone
+    replaceProgress(data) {
+        const before = this.log.snapshot(this.progressData);
+        const changes = this.log.diff(before, this.log.snapshot(data));
+
+        data.log = this.progressData.log;
+        this.progressData = data;
+        this.initializeProgress();
+        if (changes) {
+            this.recordEvent('import', changes);
+        } else {
+            this.log.replay(this.progressData);
+            this.saveProgress();
         }
     }
 }
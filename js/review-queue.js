@@ -0,0 +1,302 @@
+// Review Queue - Schedules lesson flashcards for spaced repetition with the SM-2 algorithm
+
+// How well the learner remembered a card, on SM-2's 0-5 quality scale
+const REVIEW_GRADES = [
+    { quality: 1, label: 'Again', key: '1' },
+    { quality: 3, label: 'Hard', key: '2' },
+    { quality: 4, label: 'Good', key: '3' },
+    { quality: 5, label: 'Easy', key: '4' }
+];
+
+const REVIEW_START_EASE = 2.5;
+const REVIEW_MIN_EASE = 1.3;
+
+class ReviewQueue {
+    constructor(curriculum) {
+        this.curriculum = curriculum;
+        this.contentArea = document.getElementById('content-area');
+        this.dueCount = document.getElementById('review-due-count');
+        this.cards = [];
+        this.readyPromise = null;
+        this.session = null;
+        this.setupEventListeners();
+    }
+
+    // The key a card's schedule is stored under in the progress data
+    static cardKey(moduleId, lessonId, cardId) {
+        return `${moduleId}/${lessonId}/${cardId}`;
+    }
+
+    // Set up event listeners
+    setupEventListeners() {
+        // Space shows the answer and 1-4 grade it while a review is open
+        document.addEventListener('keydown', (e) => {
+            if (!this.session || !this.contentArea.querySelector('.review-view')) return;
+            if (e.target.closest('input, textarea, select, button') || e.ctrlKey || e.metaKey || e.altKey) return;
+
+            const grade = REVIEW_GRADES.find(g => g.key === e.key);
+            if (e.key === ' ' && !this.session.revealed) {
+                e.preventDefault();
+                this.reveal();
+            } else if (grade && this.session.revealed) {
+                e.preventDefault();
+                this.grade(grade.quality);
+            }
+        });
+
+        this.contentArea.addEventListener('click', (e) => {
+            if (!this.session) return;
+            if (e.target.closest('.review-reveal')) {
+                this.reveal();
+            } else {
+                const button = e.target.closest('.review-grade');
+                if (button) this.grade(Number(button.dataset.quality));
+            }
+        });
+
+        // Cards fall due at midnight, so recount when the learner comes back
+        window.addEventListener('focus', () => this.updateDueCount());
+    }
+
+    // Collect the flashcards of every lesson the first time they're needed
+    load() {
+        if (!this.readyPromise) {
+            this.readyPromise = this.collectCards().catch(error => {
+                this.readyPromise = null;
+                throw error;
+            });
+        }
+        return this.readyPromise;
+    }
+
+    async collectCards() {
+        const lessons = this.curriculum.modules.flatMap(module => module.lessons.map(lesson => ({ module, lesson })));
+        const markdown = await Promise.all(lessons.map(({ lesson }) =>
+            window.contentLoader.fetchMarkdown(lesson.content).catch(() => null)
+        ));
+
+        this.cards = [];
+        lessons.forEach(({ module, lesson }, i) => {
+            if (markdown[i] === null || !markdown[i].includes('```flashcard')) return;
+
+            const doc = new DOMParser().parseFromString(marked.parse(markdown[i]), 'text/html');
+            assignHeadingIds(doc.body);
+            window.lessonFlashcards.collect(doc.body)
+                .filter(entry => entry.card)
+                .forEach(({ card, headingId }) => {
+                    this.cards.push({
+                        key: ReviewQueue.cardKey(module.id, lesson.id, card.id),
+                        moduleId: module.id,
+                        lessonId: lesson.id,
+                        moduleTitle: module.title,
+                        lessonTitle: lesson.title,
+                        headingId,
+                        front: card.front,
+                        back: card.back
+                    });
+                });
+        });
+    }
+
+    // Cards join the deck once their lesson is completed, and stay once they've been reviewed
+    inDeck(card) {
+        return !!window.progressTracker.getReview(card.key) ||
+            window.progressTracker.getLessonStatus(card.moduleId, card.lessonId) === 'completed';
+    }
+
+    // Cards to review today: overdue ones first, then new cards in curriculum order
+    getDueCards(today = this.today()) {
+        const due = [];
+        const fresh = [];
+        this.cards.filter(card => this.inDeck(card)).forEach(card => {
+            const review = window.progressTracker.getReview(card.key);
+            if (!review) {
+                fresh.push(card);
+            } else if (review.due <= today) {
+                due.push(card);
+            }
+        });
+
+        due.sort((a, b) => window.progressTracker.getReview(a.key).due.localeCompare(window.progressTracker.getReview(b.key).due));
+        return [...due, ...fresh];
+    }
+
+    // Show how many cards are due in the sidebar; does nothing until the cards are loaded
+    updateDueCount() {
+        if (!this.readyPromise) return;
+        this.readyPromise.then(() => {
+            const count = this.getDueCards().length;
+            this.dueCount.textContent = count;
+            this.dueCount.hidden = count === 0;
+        }).catch(() => {});
+    }
+
+    // SM-2: a lapse starts the card over at one day; otherwise the interval goes 1 day, 6 days,
+    // then grows by the card's ease, which rises for easy answers and falls for hard ones
+    schedule(review, quality, today = this.today()) {
+        const previous = review || { ease: REVIEW_START_EASE, interval: 0, repetitions: 0, lapses: 0 };
+        let { interval, repetitions, lapses } = previous;
+
+        if (quality < 3) {
+            repetitions = 0;
+            interval = 1;
+            if (review) lapses++;
+        } else {
+            repetitions++;
+            interval = repetitions === 1 ? 1 : repetitions === 2 ? 6 : Math.round(previous.interval * previous.ease);
+        }
+
+        const ease = previous.ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+        return {
+            ease: Math.round(Math.max(ease, REVIEW_MIN_EASE) * 100) / 100,
+            interval,
+            repetitions,
+            lapses,
+            due: this.addDays(today, interval),
+            lastReviewed: new Date().toISOString()
+        };
+    }
+
+    // Open the review view with today's cards
+    async show() {
+        window.contentLoader.clearLesson();
+        document.getElementById('breadcrumb').innerHTML = '<span class="breadcrumb-item">Review</span>';
+        this.contentArea.innerHTML = '<div class="review-view"><p class="review-message"><i class="fas fa-spinner fa-spin"></i> Gathering flashcards...</p></div>';
+        this.contentArea.scrollTop = 0;
+
+        try {
+            await this.load();
+        } catch (error) {
+            this.contentArea.innerHTML = '<div class="review-view"><p class="review-message">The flashcards could not be loaded. Check your connection and try again.</p></div>';
+            return;
+        }
+
+        // Another page may have been opened while the cards loaded
+        if (!this.contentArea.querySelector('.review-view')) return;
+
+        this.session = { queue: this.getDueCards(), reviewed: 0, revealed: false };
+        this.renderCard();
+    }
+
+    // Show the next card's front, or a summary once the queue is empty
+    renderCard() {
+        const view = this.contentArea.querySelector('.review-view');
+        if (!view) return;
+
+        const card = this.session.queue[0];
+        if (!card) {
+            view.innerHTML = this.renderDone();
+            this.updateDueCount();
+            return;
+        }
+
+        const review = window.progressTracker.getReview(card.key);
+        const grades = REVIEW_GRADES.map(grade => `
+            <button class="review-grade review-grade-${grade.label.toLowerCase()}" data-quality="${grade.quality}">
+                <span>${grade.label}</span>
+                <span class="review-grade-interval">${this.formatInterval(this.schedule(review, grade.quality).interval)}</span>
+                <kbd>${grade.key}</kbd>
+            </button>
+        `).join('');
+
+        view.innerHTML = `
+            <div class="review-header">
+                <h1>Review</h1>
+                <span class="review-remaining">${this.session.queue.length} left · ${this.session.reviewed} reviewed</span>
+            </div>
+            <div class="review-card">
+                <a class="review-source" href="${window.router.lessonPath(card.moduleId, card.lessonId, card.headingId)}">
+                    ${this.escapeHtml(`${card.moduleTitle} › ${card.lessonTitle}`)}
+                </a>
+                <span class="review-card-state">${review ? `Due ${review.due}` : 'New card'}</span>
+                <div class="review-front">${marked.parse(card.front)}</div>
+                <div class="review-back" ${this.session.revealed ? '' : 'hidden'}>${marked.parse(card.back)}</div>
+            </div>
+            <div class="review-controls">
+                ${this.session.revealed
+                    ? `<div class="review-grades">${grades}</div>`
+                    : '<button class="cta-button review-reveal">Show answer <kbd>Space</kbd></button>'}
+            </div>
+        `;
+
+        view.querySelectorAll('pre code').forEach(block => hljs.highlightElement(block));
+    }
+
+    renderDone() {
+        const upcoming = this.cards
+            .map(card => window.progressTracker.getReview(card.key))
+            .filter(Boolean)
+            .map(review => review.due)
+            .sort()[0];
+
+        let message;
+        if (this.cards.filter(card => this.inDeck(card)).length === 0) {
+            message = 'Your deck is empty. Flashcards from a lesson join it when you complete that lesson.';
+        } else if (upcoming) {
+            message = `The next card is due ${upcoming === this.addDays(this.today(), 1) ? 'tomorrow' : `on ${upcoming}`}.`;
+        } else {
+            message = 'Come back tomorrow for your next review.';
+        }
+
+        return `
+            <div class="review-header"><h1>Review</h1></div>
+            <div class="review-done">
+                <i class="fas fa-check-circle"></i>
+                <h2>${this.session.reviewed > 0 ? `All caught up: ${this.session.reviewed} card${this.session.reviewed === 1 ? '' : 's'} reviewed` : 'Nothing to review right now'}</h2>
+                <p>${message}</p>
+            </div>
+        `;
+    }
+
+    reveal() {
+        this.session.revealed = true;
+        this.renderCard();
+    }
+
+    // Reschedule the current card. Cards answered "Again" come back once more before the session ends.
+    grade(quality) {
+        const card = this.session.queue.shift();
+        if (!card) return;
+
+        window.progressTracker.recordReview(card.key, this.schedule(window.progressTracker.getReview(card.key), quality));
+        this.session.reviewed++;
+        if (quality < 3) this.session.queue.push(card);
+        this.session.revealed = false;
+        this.renderCard();
+    }
+
+    formatInterval(days) {
+        if (days < 30) return `${days}d`;
+        if (days < 365) return `${Math.round(days / 30)}mo`;
+        return `${Math.round(days / 36.5) / 10}y`;
+    }
+
+    // Today's date in the learner's time zone, as YYYY-MM-DD
+    today() {
+        const now = new Date();
+        return this.formatDate(new Date(now.getFullYear(), now.getMonth(), now.getDate()));
+    }
+
+    addDays(dateKey, days) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return this.formatDate(new Date(year, month - 1, day + days));
+    }
+
+    formatDate(date) {
+        return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+            .map((part, i) => String(part).padStart(i === 0 ? 4 : 2, '0'))
+            .join('-');
+    }
+
+    // Helper function to escape HTML
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Initialize the review queue when the DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.reviewQueue = new ReviewQueue(curriculum);
+});
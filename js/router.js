@@ -0,0 +1,183 @@
+// Router - Hash-based client-side routing with History API entries
+//
+// Routes:
+//   #/                          welcome screen
+//   #/module/lesson             a lesson
+//   #/module/lesson/heading     a lesson, scrolled to a heading
+//   #/exercise/id               a lesson with one of its exercises open
+//   #/review                    flashcards due for review
+//   #/map                       the lesson prerequisite graph
+//   #/dashboard                 progress analytics
+//   #/timeline                  every change to lesson and exercise progress
+
+class Router {
+    constructor(curriculum) {
+        this.curriculum = curriculum;
+        this.contentArea = document.getElementById('content-area');
+        this.setupEventListeners();
+    }
+
+    // Set up event listeners
+    setupEventListeners() {
+        // Back and forward, and hashes typed into the address bar
+        window.addEventListener('popstate', () => this.handleRoute(this.parse(window.location.hash)));
+
+        // In-page anchors like [see below](#setup) would otherwise replace the route
+        this.contentArea.addEventListener('click', (e) => {
+            const link = e.target.closest('a[href^="#"]');
+            if (!link || link.getAttribute('href').startsWith('#/')) return;
+
+            const lesson = window.contentLoader.currentLesson;
+            const module = window.contentLoader.currentModule;
+            if (!lesson || !module) return;
+
+            e.preventDefault();
+            const slug = decodeURIComponent(link.getAttribute('href').slice(1));
+            this.navigate(this.lessonPath(module.id, lesson.id, slug));
+        });
+    }
+
+    // Handle the URL the page was opened with. Returns false when it names no route.
+    start() {
+        // Older links used ?module=&lesson=; turn them into the equivalent hash route
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('module') && params.get('lesson')) {
+            const path = this.lessonPath(params.get('module'), params.get('lesson'));
+            window.history.replaceState({}, '', `${window.location.pathname}${path}`);
+        }
+
+        const route = this.parse(window.location.hash);
+        if (route.view === 'home') return false;
+
+        this.handleRoute(route);
+        return true;
+    }
+
+    // Turn a location hash into a route object; a hash that can't be decoded goes home
+    parse(hash) {
+        let parts;
+        try {
+            parts = hash.replace(/^#\/?/, '').split('/').filter(Boolean).map(decodeURIComponent);
+        } catch (error) {
+            return { view: 'home' };
+        }
+
+        if (parts.length === 0) return { view: 'home' };
+        if (parts[0] === 'exercise' && parts[1]) return { view: 'exercise', exerciseId: parts[1] };
+        if (parts[0] === 'review' && parts.length === 1) return { view: 'review' };
+        if (parts[0] === 'map' && parts.length === 1) return { view: 'map' };
+        if (parts[0] === 'dashboard' && parts.length === 1) return { view: 'dashboard' };
+        if (parts[0] === 'timeline' && parts.length === 1) return { view: 'timeline' };
+        if (parts.length >= 2) {
+            return { view: 'lesson', moduleId: parts[0], lessonId: parts[1], headingId: parts[2] || null };
+        }
+        return { view: 'not-found' };
+    }
+
+    // Build the hash for a lesson, optionally pointing at one of its headings
+    lessonPath(moduleId, lessonId, headingId = null) {
+        const parts = [moduleId, lessonId, headingId].filter(Boolean).map(encodeURIComponent);
+        return `#/${parts.join('/')}`;
+    }
+
+    // Build the hash for an exercise
+    exercisePath(exerciseId) {
+        return `#/exercise/${encodeURIComponent(exerciseId)}`;
+    }
+
+    // Record a new location without acting on it; mode is 'push' or 'replace'
+    update(path, mode = 'push') {
+        if (path === window.location.hash) return;
+        const url = `${window.location.pathname}${path}`;
+        if (mode === 'replace') {
+            window.history.replaceState({}, '', url);
+        } else {
+            window.history.pushState({}, '', url);
+        }
+    }
+
+    // Go to a location and show it
+    navigate(path) {
+        this.update(path);
+        this.handleRoute(this.parse(path));
+    }
+
+    // Show whatever a route points at, without adding history entries
+    async handleRoute(route) {
+        if (route.view === 'exercise') {
+            const location = this.findExercise(route.exerciseId);
+            if (!location) {
+                showToast('Exercise not found');
+                return;
+            }
+
+            await this.showLesson(location.moduleId, location.lessonId);
+            window.exerciseHandler.openExercise(route.exerciseId, location.moduleId, location.lessonId, { history: 'none' });
+            return;
+        }
+
+        // Leaving an exercise's URL closes its modal
+        if (window.exerciseHandler.currentExercise) {
+            window.exerciseHandler.closeExercise({ history: 'none' });
+        }
+
+        if (route.view === 'lesson') {
+            const loaded = await this.showLesson(route.moduleId, route.lessonId);
+            if (!loaded) {
+                showToast('Lesson not found');
+            } else if (route.headingId) {
+                this.scrollToHeading(route.headingId);
+            } else {
+                window.lessonBookmarks.restorePosition();
+            }
+        } else if (route.view === 'review') {
+            window.reviewQueue.show();
+        } else if (route.view === 'map') {
+            window.prerequisiteMap.show();
+        } else if (route.view === 'dashboard') {
+            window.progressDashboard.show();
+        } else if (route.view === 'timeline') {
+            window.progressTimeline.show();
+        } else if (route.view === 'home') {
+            showWelcomeScreen();
+        } else {
+            showToast('Page not found');
+        }
+    }
+
+    // Load a lesson unless it's the one already showing
+    async showLesson(moduleId, lessonId) {
+        const loader = window.contentLoader;
+        if (loader.currentModule && loader.currentLesson &&
+            loader.currentModule.id === moduleId && loader.currentLesson.id === lessonId &&
+            this.contentArea.querySelector('.lesson-content')) {
+            return true;
+        }
+        return loader.loadLesson(moduleId, lessonId, { history: 'none' });
+    }
+
+    // Scroll a heading in the current lesson into view
+    scrollToHeading(headingId) {
+        const heading = this.contentArea.querySelector(`.lesson-content [id="${CSS.escape(headingId)}"]`);
+        if (heading) {
+            heading.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    }
+
+    // Find the module and lesson an exercise belongs to
+    findExercise(exerciseId) {
+        for (const module of this.curriculum.modules) {
+            for (const lesson of module.lessons) {
+                if (lesson.exercises && lesson.exercises.some(exercise => exercise.id === exerciseId)) {
+                    return { moduleId: module.id, lessonId: lesson.id };
+                }
+            }
+        }
+        return null;
+    }
+}
+
+// Initialize the router when the DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.router = new Router(curriculum);
+});
@@ -0,0 +1,282 @@
+// Sandbox Worker - Runs learner code in isolation and reports what it did
+// Loaded by CodeSandbox as a dedicated worker, so the code has no access to the DOM,
+// localStorage or the portal's globals, and can be terminated if it never finishes.
+//
+// Learner code is evaluated in the worker's global scope, so everything the worker itself uses
+// lives in this closure: the code can't see or replace it, and is free to use the same names.
+
+(() => {
+    const MAX_DEPTH = 3;
+    const MAX_ITEMS = 50;
+
+    // Format any value the way a browser console would show it
+    function formatValue(value, depth = 0, seen = new WeakSet()) {
+        if (typeof value === 'string') return depth === 0 ? value : JSON.stringify(value);
+        if (typeof value === 'bigint') return `${value}n`;
+        if (typeof value === 'symbol') return value.toString();
+        if (typeof value === 'function') return `[Function: ${value.name || 'anonymous'}]`;
+        if (value === null || typeof value !== 'object') return String(value);
+
+        if (value instanceof Error) return `${value.name}: ${value.message}`;
+        if (value instanceof Date) return isNaN(value) ? 'Invalid Date' : value.toISOString();
+        if (value instanceof RegExp) return value.toString();
+
+        if (seen.has(value)) return '[Circular]';
+        if (depth >= MAX_DEPTH) return Array.isArray(value) ? '[Array]' : '[Object]';
+        seen.add(value);
+
+        const format = (item) => formatValue(item, depth + 1, seen);
+        const list = (items) => {
+            const shown = items.slice(0, MAX_ITEMS);
+            if (items.length > MAX_ITEMS) shown.push(`... ${items.length - MAX_ITEMS} more`);
+            return shown.join(', ');
+        };
+
+        let text;
+        if (Array.isArray(value)) {
+            text = `[${list(value.map(format))}]`;
+        } else if (value instanceof Map) {
+            text = `Map(${value.size}) {${list([...value].map(([k, v]) => `${format(k)} => ${format(v)}`))}}`;
+        } else if (value instanceof Set) {
+            text = `Set(${value.size}) {${list([...value].map(format))}}`;
+        } else if (typeof value.then === 'function') {
+            text = 'Promise {}';
+        } else {
+            const name = value.constructor && value.constructor.name !== 'Object' ? `${value.constructor.name} ` : '';
+            const entries = Object.keys(value).map(key => `${key}: ${format(value[key])}`);
+            text = entries.length ? `${name}{ ${list(entries)} }` : `${name}{}`;
+        }
+
+        seen.delete(value);
+        return text;
+    }
+
+    // Turn a thrown value into something that survives postMessage
+    function serializeError(error) {
+        if (!(error instanceof Error)) {
+            return { name: 'Uncaught', message: formatValue(error, 1), line: null, column: null };
+        }
+
+        // Eval'd code reports its position as <anonymous>:line:column in V8 and as eval:line:column elsewhere
+        const position = /(?:<anonymous>|eval):(\d+):(\d+)/.exec(error.stack || '');
+        return {
+            name: error.name,
+            message: error.message,
+            line: position ? Number(position[1]) : null,
+            column: position ? Number(position[2]) : null
+        };
+    }
+
+    // Learner code runs in this realm and could replace the builtins the worker relies on, e.g.
+    // make Object.is call everything equal, so the ones that decide results are copied first
+    const { is, keys, getPrototypeOf, defineProperty } = Object;
+    const { isArray } = Array;
+    const { apply } = Reflect;
+    const DATE_PROTOTYPE = Date.prototype;
+    const MAP_PROTOTYPE = Map.prototype;
+    const SET_PROTOTYPE = Set.prototype;
+    const getTime = Date.prototype.getTime;
+    const mapEntries = Map.prototype.entries;
+    const setValues = Set.prototype.values;
+    const mapIteratorNext = getPrototypeOf(new Map().entries()).next;
+    const setIteratorNext = getPrototypeOf(new Set().values()).next;
+    const portPostMessage = MessagePort.prototype.postMessage;
+
+    // Add to the end of an array without going through Array.prototype
+    function append(list, value) {
+        defineProperty(list, list.length, { value, writable: true, enumerable: true, configurable: true });
+    }
+
+    // The page hands over a MessagePort with the code to run, and only listens there. Learner code
+    // never sees the port, so nothing it posts can pass for the run's output.
+    let port = null;
+    function post(message) {
+        if (port) apply(portPostMessage, port, [message]);
+    }
+
+    // The worker runs on the portal's origin, so anything that reaches storage, other tabs or the
+    // network would let learner code past the sandbox: the portal's progress in IndexedDB, the
+    // service worker's caches, the channel the open tabs sync progress on, and any URL
+    const HIDDEN_GLOBALS = [
+        'fetch', 'importScripts', 'XMLHttpRequest', 'WebSocket', 'WebSocketStream', 'WebTransport', 'EventSource',
+        'indexedDB', 'caches', 'navigator', 'BroadcastChannel', 'Worker', 'SharedWorker', 'FontFace', 'fonts', 'Notification',
+        'postMessage'
+    ];
+    HIDDEN_GLOBALS.forEach(name => {
+        Object.defineProperty(self, name, { value: undefined, writable: false, configurable: false });
+    });
+
+    // Timers the learner's code has set that haven't fired or been cleared yet. A run reports
+    // back once its code has finished, then again once these are all gone, so the page keeps
+    // the worker alive for output that comes later.
+    const timers = new Set();
+    const nativeSetTimeout = self.setTimeout.bind(self);
+    const nativeClearTimeout = self.clearTimeout.bind(self);
+    const nativeSetInterval = self.setInterval.bind(self);
+
+    self.setTimeout = (callback, delay, ...args) => {
+        const id = nativeSetTimeout(() => {
+            timers.delete(id);
+            if (typeof callback === 'function') callback(...args);
+            else (0, eval)(String(callback));
+        }, delay);
+        timers.add(id);
+        return id;
+    };
+    self.setInterval = (callback, delay, ...args) => {
+        const id = nativeSetInterval(callback, delay, ...args);
+        timers.add(id);
+        return id;
+    };
+    // Timeouts and intervals share their ids, and either clear function stops either
+    self.clearTimeout = self.clearInterval = (id) => {
+        timers.delete(id);
+        nativeClearTimeout(id);
+    };
+
+    // Resolves on the next turn of the event loop with no timers left
+    function idle() {
+        return new Promise(resolve => {
+            const check = () => (timers.size === 0 ? resolve() : nativeSetTimeout(check, 10));
+            nativeSetTimeout(check);
+        });
+    }
+
+    // Forward console calls to the page
+    ['log', 'info', 'warn', 'error', 'debug'].forEach(level => {
+        console[level] = (...args) => {
+            post({ type: 'console', level, text: args.map(arg => formatValue(arg)).join(' ') });
+        };
+    });
+
+    // Errors thrown from timers and rejected promises that nobody handled
+    self.addEventListener('error', (event) => {
+        event.preventDefault();
+        post({ type: 'error', error: serializeError(event.error || new Error(event.message)) });
+    });
+
+    self.addEventListener('unhandledrejection', (event) => {
+        event.preventDefault();
+        post({ type: 'error', error: serializeError(event.reason) });
+    });
+
+    // Evaluate a script in the worker's global scope and return its completion value
+    async function evaluate(code) {
+        // Indirect eval so the learner's code can't see this function's locals
+        const result = (0, eval)(code);
+        return result && typeof result.then === 'function' ? await result : result;
+    }
+
+    // Whether a value has a prototype in its chain, without instanceof and Symbol.hasInstance
+    function inherits(value, prototype) {
+        for (let proto = getPrototypeOf(value); proto !== null; proto = getPrototypeOf(proto)) {
+            if (proto === prototype) return true;
+        }
+        return false;
+    }
+
+    // A Map's entries or a Set's values, read with the iterators copied above
+    function contents(collection, iterate, next) {
+        const list = [];
+        const iterator = apply(iterate, collection, []);
+        for (let step = apply(next, iterator, []); !step.done; step = apply(next, iterator, [])) {
+            append(list, step.value);
+        }
+        return list;
+    }
+
+    // Structural equality for the plain data that test cases compare
+    function deepEqual(a, b) {
+        if (is(a, b)) return true;
+        if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+        if (isArray(a) !== isArray(b)) return false;
+
+        const aIsDate = inherits(a, DATE_PROTOTYPE);
+        const bIsDate = inherits(b, DATE_PROTOTYPE);
+        if (aIsDate || bIsDate) {
+            return aIsDate && bIsDate && apply(getTime, a, []) === apply(getTime, b, []);
+        }
+        if (inherits(a, MAP_PROTOTYPE)) {
+            return inherits(b, MAP_PROTOTYPE) && deepEqual(contents(a, mapEntries, mapIteratorNext), contents(b, mapEntries, mapIteratorNext));
+        }
+        if (inherits(a, SET_PROTOTYPE)) {
+            return inherits(b, SET_PROTOTYPE) && deepEqual(contents(a, setValues, setIteratorNext), contents(b, setValues, setIteratorNext));
+        }
+
+        const keysA = keys(a);
+        const keysB = keys(b);
+        if (keysA.length !== keysB.length) return false;
+        for (let i = 0; i < keysA.length; i++) {
+            if (!deepEqual(a[keysA[i]], b[keysA[i]])) return false;
+        }
+        return true;
+    }
+
+    // Run each test case against the learner's code and report expected vs actual
+    async function runTests(code, tests, testsSource) {
+        if (testsSource) {
+            tests = (0, eval)(testsSource);
+        }
+
+        // Test expressions are appended to the learner's script so they share its scope,
+        // otherwise top-level const and class declarations would be invisible to them
+        const probes = tests.map(test => `() => (${test.code})`).join(',\n');
+        const thunks = (0, eval)(`${code}\n;[\n${probes}\n]`);
+
+        const results = [];
+        for (let i = 0; i < tests.length; i++) {
+            const test = tests[i];
+            const result = {
+                name: test.name,
+                expected: formatValue(test.expected, 1),
+                actual: null,
+                passed: false,
+                error: null
+            };
+
+            try {
+                let actual = thunks[i]();
+                if (actual && typeof actual.then === 'function') actual = await actual;
+                result.actual = formatValue(actual, 1);
+                result.passed = deepEqual(actual, test.expected);
+            } catch (error) {
+                result.error = serializeError(error);
+            }
+
+            append(results, result);
+        }
+
+        return results;
+    }
+
+    self.onmessage = async (event) => {
+        const message = event.data;
+        port = event.ports[0] || null;
+
+        if (message.type === 'run') {
+            let done;
+            try {
+                const result = await evaluate(message.code);
+                done = { type: 'done', result: result === undefined ? null : formatValue(result, 1) };
+            } catch (error) {
+                done = { type: 'done', result: null, error: serializeError(error) };
+            }
+
+            // Give callbacks the code queued without awaiting them a turn to set their timers
+            await new Promise(resolve => nativeSetTimeout(resolve));
+            post({ ...done, pending: timers.size > 0 });
+            if (timers.size > 0) {
+                await idle();
+                post({ type: 'idle' });
+            }
+        } else if (message.type === 'test') {
+            try {
+                const tests = await runTests(message.code, message.tests, message.testsSource);
+                post({ type: 'done', result: null, tests });
+            } catch (error) {
+                // The learner's script (or the test file) didn't get far enough to run any case
+                post({ type: 'done', result: null, tests: null, error: serializeError(error) });
+            }
+        }
+    };
+})();
@@ -0,0 +1,208 @@
+// Search Index - Client-side full-text search over every lesson's markdown
+
+// Common words that would match almost every section
+const SEARCH_STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it',
+    'of', 'on', 'or', 'that', 'the', 'this', 'to', 'with', 'you', 'your'
+]);
+
+// A match in a heading counts this many times more than one in the body
+const HEADING_WEIGHT = 8;
+
+class SearchIndex {
+    constructor(curriculum) {
+        this.curriculum = curriculum;
+        this.sections = [];
+        this.terms = new Map();
+        this.readyPromise = null;
+    }
+
+    // Build the index the first time it's needed and reuse it afterwards
+    load() {
+        if (!this.readyPromise) {
+            this.readyPromise = this.build();
+
+            // Allow a retry if building failed
+            this.readyPromise.catch(() => {
+                this.readyPromise = null;
+            });
+        }
+        return this.readyPromise;
+    }
+
+    // Fetch and index every lesson; a lesson that fails to load is left out rather than breaking search
+    async build() {
+        this.sections = [];
+        this.terms = new Map();
+
+        const lessons = this.curriculum.modules.flatMap(module => module.lessons.map(lesson => ({ module, lesson })));
+        const markdown = await Promise.all(lessons.map(({ lesson }) =>
+            window.contentLoader.fetchMarkdown(lesson.content).catch(error => {
+                console.warn(`Could not index ${lesson.content}:`, error);
+                return null;
+            })
+        ));
+
+        lessons.forEach(({ module, lesson }, i) => {
+            if (markdown[i] !== null) this.indexLesson(module, lesson, markdown[i]);
+        });
+    }
+
+    // Split a lesson into sections at its headings, using the same heading ids the lesson view gets.
+    // Quiz and flashcard blocks are left out so searching doesn't give their answers away.
+    indexLesson(module, lesson, markdown) {
+        const doc = new DOMParser().parseFromString(marked.parse(markdown), 'text/html');
+        assignHeadingIds(doc.body);
+
+        let section = this.createSection(module, lesson, null, lesson.title);
+        const sections = [section];
+        [...doc.body.children].forEach(element => {
+            if (/^H[1-6]$/.test(element.tagName)) {
+                section = this.createSection(module, lesson, element.id, element.textContent.trim());
+                sections.push(section);
+            } else if (!element.querySelector('code.language-quiz, code.language-flashcard')) {
+                section.text += `${element.textContent.replace(/\s+/g, ' ').trim()} `;
+            }
+        });
+
+        sections
+            .filter(entry => entry.headingId || entry.text.trim())
+            .forEach(entry => this.addSection(entry));
+    }
+
+    createSection(module, lesson, headingId, heading) {
+        return {
+            moduleId: module.id,
+            moduleTitle: module.title,
+            lessonId: lesson.id,
+            lessonTitle: lesson.title,
+            headingId,
+            heading,
+            text: ''
+        };
+    }
+
+    // Add a section's words to the inverted index: term -> (section index -> counts)
+    addSection(section) {
+        const index = this.sections.length;
+        this.sections.push(section);
+
+        const count = (text, field) => {
+            this.tokenize(text).forEach(term => {
+                if (!this.terms.has(term)) this.terms.set(term, new Map());
+                const postings = this.terms.get(term);
+                if (!postings.has(index)) postings.set(index, { heading: 0, body: 0 });
+                postings.get(index)[field]++;
+            });
+        };
+
+        count(section.headingId ? section.heading : section.lessonTitle, 'heading');
+        count(section.text, 'body');
+    }
+
+    // Lowercase words, keeping the symbols in names like C# and C++
+    tokenize(text) {
+        return (text.toLowerCase().match(/[a-z0-9]+[#+]*/g) || [])
+            .filter(term => !SEARCH_STOP_WORDS.has(term) && (term.length > 1 || /[#+]/.test(term)));
+    }
+
+    // Find the sections matching every word of the query, best first. The last word also
+    // matches as a prefix so results show up while typing.
+    search(query, limit = 12) {
+        const queryTerms = [...new Set(this.tokenize(query))];
+        if (queryTerms.length === 0) return [];
+
+        let scores = null;
+        queryTerms.forEach((queryTerm, i) => {
+            const isLast = i === queryTerms.length - 1;
+            const termScores = new Map();
+
+            this.terms.forEach((postings, term) => {
+                const exact = term === queryTerm;
+                if (!exact && !(isLast && term.startsWith(queryTerm))) return;
+
+                const idf = Math.log(1 + this.sections.length / postings.size);
+                postings.forEach((counts, index) => {
+                    const score = (counts.heading * HEADING_WEIGHT + counts.body) * idf * (exact ? 1 : 0.5);
+                    termScores.set(index, Math.max(termScores.get(index) || 0, score));
+                });
+            });
+
+            // Every word has to match somewhere in the section
+            if (scores === null) {
+                scores = termScores;
+            } else {
+                const combined = new Map();
+                scores.forEach((score, index) => {
+                    if (termScores.has(index)) combined.set(index, score + termScores.get(index));
+                });
+                scores = combined;
+            }
+        });
+
+        return [...scores]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, limit)
+            .map(([index, score]) => {
+                const section = this.sections[index];
+                return {
+                    moduleId: section.moduleId,
+                    lessonId: section.lessonId,
+                    lessonTitle: section.lessonTitle,
+                    headingId: section.headingId,
+                    heading: this.highlight(section.headingId ? section.heading : section.lessonTitle, queryTerms),
+                    snippet: this.snippet(section.text, queryTerms),
+                    score
+                };
+            });
+    }
+
+    // A regular expression matching the start of any of the query words
+    matcher(terms) {
+        const escaped = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        return new RegExp(`(?<![a-z0-9])(${escaped.join('|')})`, 'gi');
+    }
+
+    // Escape text and wrap the query words in <mark>
+    highlight(text, terms) {
+        const matcher = this.matcher(terms);
+        let html = '';
+        let position = 0;
+        for (const match of text.matchAll(matcher)) {
+            html += this.escapeHtml(text.slice(position, match.index));
+            html += `<mark>${this.escapeHtml(match[0])}</mark>`;
+            position = match.index + match[0].length;
+        }
+        return html + this.escapeHtml(text.slice(position));
+    }
+
+    // A short excerpt around the first match in the body, highlighted
+    snippet(text, terms, length = 160) {
+        const trimmed = text.trim();
+        const match = this.matcher(terms).exec(trimmed);
+        const center = match ? match.index : 0;
+
+        let start = Math.max(0, center - 50);
+        if (start > 0) {
+            const space = trimmed.indexOf(' ', start);
+            start = space !== -1 && space < center ? space + 1 : start;
+        }
+        let end = Math.min(trimmed.length, start + length);
+        if (end < trimmed.length) {
+            const space = trimmed.lastIndexOf(' ', end);
+            end = space > center ? space : end;
+        }
+
+        return `${start > 0 ? '&hellip;' : ''}${this.highlight(trimmed.slice(start, end), terms)}${end < trimmed.length ? '&hellip;' : ''}`;
+    }
+
+    // Helper function to escape HTML
+    escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+}
+
+// Initialize the search index when the DOM is loaded; it isn't built until the first search
+document.addEventListener('DOMContentLoaded', () => {
+    window.searchIndex = new SearchIndex(curriculum);
+});
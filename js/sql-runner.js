@@ -0,0 +1,134 @@
+// SQL Runner - Runs SQL exercises against an in-browser SQLite database (sql.js) in a worker
+// with a time limit, and grades the result sets
+
+class SqlRunner {
+    constructor(options = {}) {
+        this.basePath = options.basePath || 'vendor/sql.js/';
+        this.workerUrl = options.workerUrl || 'js/sql-worker.js';
+        this.timeout = options.timeout || 3000;
+    }
+
+    // Run a script and then any test queries in a throwaway worker. Resolves to { result, checks }
+    // with each script's statements, or null when the SQL was stopped at the time limit.
+    execute(database, code, queries = []) {
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(this.workerUrl);
+            let timer = null;
+
+            const finish = () => {
+                clearTimeout(timer);
+                worker.terminate();
+            };
+
+            worker.onmessage = (event) => {
+                const data = event.data;
+                switch (data.type) {
+                    case 'ready':
+                        // A query that never finishes holds the worker's thread, so the only way out is to kill it
+                        timer = setTimeout(() => {
+                            finish();
+                            resolve(null);
+                        }, this.timeout);
+                        break;
+                    case 'done':
+                        finish();
+                        resolve(data);
+                        break;
+                    case 'failed':
+                        finish();
+                        reject(new Error(data.message));
+                        break;
+                }
+            };
+
+            // The worker script itself failed to load or crashed
+            worker.onerror = (event) => {
+                event.preventDefault();
+                finish();
+                reject(new Error(event.message || 'The SQL worker failed to start'));
+            };
+
+            worker.postMessage({ basePath: new URL(this.basePath, document.baseURI).href, database, code, queries });
+        });
+    }
+
+    // Run the learner's SQL against the seeded database and return every statement's output
+    async run(database, code) {
+        const output = await this.execute(database, code);
+        return output ? output.result : { statements: [], error: null, timedOut: true };
+    }
+
+    // Grade the learner's SQL against expected result sets.
+    // A test without a query checks the learner's last result set; one with a query runs
+    // it afterwards against the same database, which lets tests inspect INSERTs and UPDATEs.
+    async test(database, code, tests) {
+        const output = { logs: [], result: null, tests: null, error: null, timedOut: false, duration: 0 };
+        const startTime = performance.now();
+        const run = await this.execute(database, code, tests.filter(test => test.query).map(test => test.query));
+        output.duration = Math.round(performance.now() - startTime);
+
+        if (!run) {
+            output.timedOut = true;
+            return output;
+        }
+        if (run.result.error) {
+            output.error = run.result.error;
+            return output;
+        }
+
+        const resultSets = run.result.statements.filter(statement => statement.columns.length > 0);
+        const lastResult = resultSets[resultSets.length - 1] || null;
+        const checks = [...run.checks];
+
+        output.tests = tests.map(test => {
+            const result = { name: test.name, expected: test.expected, actual: null, passed: false, error: null };
+
+            let actual = lastResult;
+            if (test.query) {
+                const check = checks.shift();
+                if (check.error) {
+                    result.error = check.error;
+                    return result;
+                }
+                actual = check.statements[check.statements.length - 1] || null;
+            }
+
+            if (!actual) {
+                result.error = { name: 'No result', message: 'Your script did not return any rows', line: null, column: null };
+                return result;
+            }
+
+            result.actual = { columns: actual.columns, rows: actual.rows };
+            result.passed = this.resultsMatch(test.expected, result.actual, test.ignoreOrder);
+            return result;
+        });
+
+        return output;
+    }
+
+    // Compare two result sets; column names are case-insensitive and numbers allow for float rounding
+    resultsMatch(expected, actual, ignoreOrder = false) {
+        const names = columns => columns.map(column => String(column).toLowerCase());
+        if (expected.columns && names(expected.columns).join('\u0000') !== names(actual.columns).join('\u0000')) {
+            return false;
+        }
+        if (expected.rows.length !== actual.rows.length) return false;
+
+        const sortRows = rows => ignoreOrder
+            ? [...rows].sort((a, b) => JSON.stringify(a).localeCompare(JSON.stringify(b)))
+            : rows;
+        const expectedRows = sortRows(expected.rows);
+        const actualRows = sortRows(actual.rows);
+
+        return expectedRows.every((row, i) => row.length === actualRows[i].length &&
+            row.every((value, j) => this.valuesMatch(value, actualRows[i][j])));
+    }
+
+    // Compare two cell values
+    valuesMatch(expected, actual) {
+        if (typeof expected === 'number' && typeof actual === 'number') {
+            return Math.abs(expected - actual) < 1e-6;
+        }
+        return expected === actual;
+    }
+}
@@ -0,0 +1,73 @@
+// SQL Worker - Runs a learner's SQL against a fresh in-browser SQLite database (sql.js)
+// Loaded by SqlRunner as a dedicated worker, so a query that never finishes, like a recursive
+// CTE without a limit, can be stopped by terminating the worker.
+
+// Execute a script one statement at a time, collecting each statement's result set
+function executeScript(db, code) {
+    const statements = [];
+    let current = null;
+
+    try {
+        const iterator = db.iterateStatements(code);
+        while (true) {
+            // A statement that fails to compile throws from next(), before getSQL() is available
+            current = `${iterator.getRemainingSQL().trim().split(';')[0]};`;
+            const { value: statement, done } = iterator.next();
+            if (done) break;
+
+            current = statement.getSQL().trim();
+            const columns = statement.getColumnNames();
+            const rows = [];
+            while (statement.step()) {
+                rows.push(statement.get());
+            }
+            statements.push({
+                sql: current,
+                columns,
+                rows,
+                rowsModified: /^(insert|update|delete|replace)\b/i.test(current) ? db.getRowsModified() : null
+            });
+        }
+        return { statements, error: null };
+    } catch (error) {
+        return {
+            statements,
+            error: { name: 'SQL error', message: error.message, statement: current, line: null, column: null }
+        };
+    }
+}
+
+// Load the vendored WASM engine
+async function loadEngine(basePath) {
+    try {
+        importScripts(`${basePath}sql-wasm.js`);
+    } catch (error) {
+        throw new Error('Could not load the SQLite engine');
+    }
+    return initSqlJs({ locateFile: file => `${basePath}${file}` });
+}
+
+// Seed a database with the exercise's schema and data, run the learner's script, then each of
+// the test queries against what it left behind. The page's time limit starts once the engine
+// has loaded, so a slow first download doesn't count against the learner's SQL.
+self.onmessage = async (event) => {
+    const { basePath, database, code, queries } = event.data;
+    let db = null;
+
+    try {
+        const SQL = await loadEngine(basePath);
+        self.postMessage({ type: 'ready' });
+
+        db = new SQL.Database();
+        if (database.schema) db.run(database.schema);
+        if (database.seed) db.run(database.seed);
+
+        const result = executeScript(db, code);
+        const checks = result.error ? [] : queries.map(query => executeScript(db, query));
+        self.postMessage({ type: 'done', result, checks });
+    } catch (error) {
+        self.postMessage({ type: 'failed', message: error.message });
+    } finally {
+        if (db) db.close();
+    }
+};
@@ -0,0 +1,186 @@
+// Study Timer - Measures active study time per lesson and exercise, in sessions, with a daily streak
+//
+// Time only counts while the tab is visible and the learner has moved, typed or scrolled in the
+// last few minutes. It's credited to whatever was open: an exercise while its modal is showing,
+// otherwise the lesson, otherwise just the day's total (the review queue, the lesson map).
+
+// Stop counting after this long without any input
+const STUDY_IDLE_TIMEOUT = 2 * 60 * 1000;
+
+// Save the time counted so far this often
+const STUDY_TICK = 15 * 1000;
+
+// A break shorter than this continues the same session
+const STUDY_SESSION_GAP = 30 * 60 * 1000;
+
+// Seconds of study a day needs to count towards the streak
+const STUDY_STREAK_MINIMUM = 5 * 60;
+
+class StudyTimer {
+    constructor(curriculum) {
+        this.curriculum = curriculum;
+        this.stats = document.getElementById('study-stats');
+        this.target = null;
+        this.activeSince = null;
+        this.lastActivity = 0;
+        this.setupEventListeners();
+        this.update();
+        this.noteActivity();
+        this.updateDisplay();
+    }
+
+    // Set up event listeners
+    setupEventListeners() {
+        // Scroll events don't bubble, so listen for everything while capturing
+        ['mousemove', 'mousedown', 'keydown', 'wheel', 'touchstart', 'scroll', 'input'].forEach(type => {
+            document.addEventListener(type, () => this.noteActivity(), { capture: true, passive: true });
+        });
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.pause();
+            } else {
+                this.noteActivity();
+            }
+        });
+        window.addEventListener('pagehide', () => this.pause());
+
+        setInterval(() => this.tick(), STUDY_TICK);
+    }
+
+    // Start counting, or keep counting, from the learner's latest input. Input in a tab that
+    // another tab has taken the focus from doesn't count until it takes the focus back.
+    noteActivity() {
+        if (window.progressSync && !window.progressSync.hasFocus()) return;
+        this.lastActivity = Date.now();
+        if (this.activeSince === null && document.visibilityState !== 'hidden') {
+            this.activeSince = this.lastActivity;
+        }
+    }
+
+    // Save the time counted so far, or stop counting when the learner has gone idle.
+    // Idle time isn't counted: the clock stops at the last input.
+    tick() {
+        if (this.activeSince === null) return;
+
+        if (Date.now() - this.lastActivity > STUDY_IDLE_TIMEOUT) {
+            this.pause(this.lastActivity);
+        } else {
+            this.commit(Date.now());
+        }
+    }
+
+    pause(until = Date.now()) {
+        if (this.activeSince === null) return;
+        this.commit(Math.min(until, Date.now()));
+        this.activeSince = null;
+    }
+
+    // Credit the time since counting started to the current target, keeping any part second
+    commit(until) {
+        const seconds = Math.floor((until - this.activeSince) / 1000);
+        if (seconds <= 0) return;
+
+        const start = this.activeSince;
+        const end = start + seconds * 1000;
+        const lastSession = window.progressTracker.getStudySessions().slice(-1)[0];
+        const continueSession = !!lastSession && start - Date.parse(lastSession.end) <= STUDY_SESSION_GAP;
+
+        window.progressTracker.recordStudyTime(this.target, {
+            start: new Date(start).toISOString(),
+            end: new Date(end).toISOString(),
+            seconds,
+            day: this.formatDate(new Date(start))
+        }, continueSession);
+        this.activeSince = end;
+        this.updateDisplay();
+    }
+
+    // Call when a lesson or exercise opens or closes: the time so far goes to what was open before
+    update() {
+        if (this.activeSince !== null) this.commit(Date.now());
+        this.target = this.currentTarget();
+    }
+
+    // What the learner is looking at: { moduleId, lessonId, exerciseId }, or null outside lessons
+    currentTarget() {
+        const exerciseHandler = window.exerciseHandler;
+        if (exerciseHandler && exerciseHandler.currentExercise) {
+            return {
+                moduleId: exerciseHandler.currentModuleId,
+                lessonId: exerciseHandler.currentLessonId,
+                exerciseId: exerciseHandler.currentExercise.id
+            };
+        }
+
+        const contentLoader = window.contentLoader;
+        if (contentLoader && contentLoader.currentModule && contentLoader.currentLesson) {
+            return { moduleId: contentLoader.currentModule.id, lessonId: contentLoader.currentLesson.id, exerciseId: null };
+        }
+        return null;
+    }
+
+    // Consecutive days with enough study, ending today. Today doesn't break the streak until it's over.
+    getStreak(today = this.today()) {
+        const days = window.progressTracker.getStudyDays();
+        const counts = (day) => (days[day] || 0) >= STUDY_STREAK_MINIMUM;
+
+        let day = counts(today) ? today : this.addDays(today, -1);
+        let streak = 0;
+        while (counts(day)) {
+            streak++;
+            day = this.addDays(day, -1);
+        }
+        return streak;
+    }
+
+    // The streak and today's time beside the progress circle, and each module's time in the sidebar
+    updateDisplay() {
+        const days = window.progressTracker.getStudyDays();
+        const today = days[this.today()] || 0;
+        const streak = this.getStreak();
+
+        this.stats.hidden = today === 0 && streak === 0;
+        this.stats.innerHTML = `
+            ${streak > 0 ? `<span class="study-streak" title="Days in a row with at least ${STUDY_STREAK_MINIMUM / 60} minutes of study"><i class="fas fa-fire"></i> ${streak}-day streak</span>` : ''}
+            <span class="study-today">${this.formatDuration(today)} today</span>
+        `;
+
+        this.curriculum.modules.forEach(module => {
+            const element = document.querySelector(`.module-header[data-module-id="${module.id}"] .module-time`);
+            if (!element) return;
+            const seconds = window.progressTracker.getModuleTime(module.id);
+            element.textContent = seconds >= 60 ? this.formatDuration(seconds) : '';
+            element.title = seconds >= 60 ? `${this.formatDuration(seconds)} studied` : '';
+        });
+    }
+
+    // "45s", "12m" or "3h 05m"
+    formatDuration(seconds) {
+        if (seconds < 60) return `${seconds}s`;
+        const minutes = Math.floor(seconds / 60);
+        if (minutes < 60) return `${minutes}m`;
+        return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+    }
+
+    // Today's date in the learner's time zone, as YYYY-MM-DD
+    today() {
+        return this.formatDate(new Date());
+    }
+
+    addDays(dateKey, days) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return this.formatDate(new Date(year, month - 1, day + days));
+    }
+
+    formatDate(date) {
+        return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+            .map((part, i) => String(part).padStart(i === 0 ? 4 : 2, '0'))
+            .join('-');
+    }
+}
+
+// Initialize the study timer when the DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.studyTimer = new StudyTimer(curriculum);
+});
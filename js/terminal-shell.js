@@ -0,0 +1,495 @@
+// Terminal Shell - A small shell over the virtual filesystem for terminal exercises, with git and docker commands
+
+// Dockerfile instructions the simulated build understands
+const DOCKERFILE_INSTRUCTIONS = ['FROM', 'RUN', 'COPY', 'ADD', 'WORKDIR', 'CMD', 'ENTRYPOINT', 'EXPOSE', 'ENV', 'ARG', 'LABEL', 'USER', 'VOLUME'];
+
+class TerminalShell {
+    constructor() {
+        this.fs = new VirtualFileSystem();
+        this.git = new VirtualGit(this.fs);
+        this.images = new Map();
+        this.containers = [];
+    }
+
+    // The prompt shown before each command, with the branch once there is a repository
+    getPrompt() {
+        const directory = this.fs.cwd ? `~/project/${this.fs.cwd}` : '~/project';
+        const branch = this.git.initialized ? ` (${this.git.head}${this.git.merging ? '|MERGING' : ''})` : '';
+        return `learner@portal:${directory}${branch}$`;
+    }
+
+    // Run a command line; commands joined with && stop at the first failure.
+    // Returns { output, error, clear }.
+    execute(line) {
+        const result = { output: '', error: false, clear: false };
+        let tokens;
+        try {
+            tokens = this.tokenize(line);
+        } catch (error) {
+            return { output: error.message, error: true, clear: false };
+        }
+
+        const outputs = [];
+        for (const command of this.splitCommands(tokens)) {
+            if (command.length === 0) continue;
+            try {
+                const output = this.runCommand(command);
+                if (output === null) {
+                    result.clear = true;
+                    outputs.length = 0;
+                } else if (output) {
+                    outputs.push(output);
+                }
+            } catch (error) {
+                outputs.push(error.message);
+                result.error = true;
+                break;
+            }
+        }
+
+        result.output = outputs.join('\n');
+        return result;
+    }
+
+    // Split a command line into words, honouring quotes and the > >> && operators
+    tokenize(line) {
+        const tokens = [];
+        let current = null;
+        let quote = null;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quote) {
+                if (char === quote) {
+                    quote = null;
+                } else if (char === '\\' && quote === '"' && (line[i + 1] === '"' || line[i + 1] === '\\')) {
+                    current += line[++i];
+                } else {
+                    current += char;
+                }
+            } else if (char === '"' || char === '\'') {
+                quote = char;
+                current = current || '';
+            } else if (/\s/.test(char)) {
+                if (current !== null) tokens.push(current);
+                current = null;
+            } else if (char === '>' || (char === '&' && line[i + 1] === '&')) {
+                if (current !== null) tokens.push(current);
+                const operator = line[i + 1] === char ? char + char : char;
+                tokens.push({ operator });
+                i += operator.length - 1;
+                current = null;
+            } else {
+                current = (current || '') + char;
+            }
+        }
+
+        if (quote) throw new Error(`Unterminated ${quote === '"' ? 'double' : 'single'} quote`);
+        if (current !== null) tokens.push(current);
+        return tokens;
+    }
+
+    // Group tokens into the commands separated by &&
+    splitCommands(tokens) {
+        const commands = [[]];
+        tokens.forEach(token => {
+            if (token.operator === '&&') {
+                commands.push([]);
+            } else {
+                commands[commands.length - 1].push(token);
+            }
+        });
+        return commands;
+    }
+
+    // Run one command, writing its output to a file if it was redirected. Returns null to clear the screen.
+    runCommand(tokens) {
+        const redirectAt = tokens.findIndex(token => token.operator === '>' || token.operator === '>>');
+        const words = redirectAt === -1 ? tokens : tokens.slice(0, redirectAt);
+        const [name, ...args] = words;
+
+        let output = this.runBuiltin(name, args);
+
+        if (redirectAt !== -1) {
+            const target = tokens[redirectAt + 1];
+            if (typeof target !== 'string') throw new Error('syntax error near unexpected token `newline\'');
+            const path = this.fs.resolve(target);
+            const text = output === null ? '' : `${output}\n`;
+            if (tokens[redirectAt].operator === '>>' && this.fs.isFile(path)) {
+                this.fs.writeFile(path, this.fs.readFile(path) + text);
+            } else {
+                this.fs.writeFile(path, text);
+            }
+            output = '';
+        }
+
+        return output;
+    }
+
+    runBuiltin(name, args) {
+        switch (name) {
+            case 'help': return this.help();
+            case 'clear': return null;
+            case 'pwd': return `/home/learner/project${this.fs.cwd ? `/${this.fs.cwd}` : ''}`;
+            case 'ls': return this.ls(args);
+            case 'cd': return this.cd(args);
+            case 'mkdir': return this.mkdir(args);
+            case 'touch': return this.touch(args);
+            case 'cat': return this.cat(args);
+            case 'echo': return this.echo(args);
+            case 'rm': return this.rm(args);
+            case 'git': return this.git.run(args);
+            case 'docker': return this.docker(args);
+            default:
+                throw new Error(`${name}: command not found. Type "help" to see the available commands.`);
+        }
+    }
+
+    help() {
+        return [
+            'Available commands:',
+            '  ls [-a] [dir]       List files',
+            '  cd <dir>            Change directory',
+            '  pwd                 Print the current directory',
+            '  mkdir [-p] <dir>    Create a directory',
+            '  touch <file>        Create an empty file',
+            '  cat <file>          Print a file',
+            '  echo <text> > file  Write text to a file (>> appends)',
+            '  rm [-r] <path>      Remove a file or directory',
+            '  clear               Clear the screen',
+            '  git <command>       Run "git help" for the supported commands',
+            '  docker <command>    build, run, images and ps',
+            'Join commands with &&. Use the up and down arrows for history.'
+        ].join('\n');
+    }
+
+    ls(args) {
+        const showHidden = args.some(arg => /^-\w*a/.test(arg));
+        const targets = args.filter(arg => !arg.startsWith('-'));
+        const path = this.fs.resolve(targets[0] || '.');
+
+        if (this.fs.isFile(path)) return targets[0];
+        const entries = this.fs.list(path).map(entry => entry.type === 'directory' ? `${entry.name}/` : entry.name);
+        if (showHidden && path === '' && this.git.initialized) entries.unshift('.git/');
+        return entries.join('  ');
+    }
+
+    cd(args) {
+        const path = this.fs.resolve(args[0] || '/');
+        if (!this.fs.isDirectory(path)) throw new Error(`cd: ${args[0]}: No such file or directory`);
+        this.fs.cwd = path;
+        return '';
+    }
+
+    mkdir(args) {
+        const recursive = args.includes('-p');
+        const paths = args.filter(arg => !arg.startsWith('-'));
+        if (paths.length === 0) throw new Error('mkdir: missing operand');
+        paths.forEach(path => {
+            try {
+                this.fs.mkdir(this.fs.resolve(path), recursive);
+            } catch (error) {
+                throw new Error(`mkdir: ${error.message}`);
+            }
+        });
+        return '';
+    }
+
+    touch(args) {
+        if (args.length === 0) throw new Error('touch: missing file operand');
+        args.forEach(arg => {
+            const path = this.fs.resolve(arg);
+            if (this.fs.isDirectory(path)) return;
+            if (!this.fs.isDirectory(this.fs.parentOf(path))) {
+                throw new Error(`touch: cannot touch '${arg}': No such file or directory`);
+            }
+            if (!this.fs.isFile(path)) this.fs.writeFile(path, '');
+        });
+        return '';
+    }
+
+    cat(args) {
+        if (args.length === 0) throw new Error('cat: missing file operand');
+        return args.map(arg => {
+            const path = this.fs.resolve(arg);
+            if (this.fs.isDirectory(path)) throw new Error(`cat: ${arg}: Is a directory`);
+            if (!this.fs.isFile(path)) throw new Error(`cat: ${arg}: No such file or directory`);
+            return this.fs.readFile(path);
+        }).join('').replace(/\n$/, '');
+    }
+
+    echo(args) {
+        const interpret = args[0] === '-e';
+        const text = (interpret ? args.slice(1) : args).join(' ');
+        return interpret ? text.replace(/\\n/g, '\n').replace(/\\t/g, '\t') : text;
+    }
+
+    rm(args) {
+        const recursive = args.some(arg => /^-\w*r/i.test(arg));
+        const paths = args.filter(arg => !arg.startsWith('-'));
+        if (paths.length === 0) throw new Error('rm: missing operand');
+        paths.forEach(path => {
+            try {
+                this.fs.remove(this.fs.resolve(path), recursive);
+            } catch (error) {
+                throw new Error(`rm: ${error.message}`);
+            }
+        });
+        return '';
+    }
+
+    // ---- Docker ----
+
+    docker(args) {
+        const [command, ...rest] = args;
+        switch (command) {
+            case 'build': return this.dockerBuild(rest);
+            case 'run': return this.dockerRun(rest);
+            case 'images': return this.dockerImages();
+            case 'ps': return this.dockerPs(rest);
+            default:
+                throw new Error(`docker: '${command || ''}' is not supported here. Try: build, run, images, ps`);
+        }
+    }
+
+    // Parse and check the Dockerfile in the build context, then record an image
+    dockerBuild(args) {
+        let tag = null;
+        const positional = [];
+        for (let i = 0; i < args.length; i++) {
+            if (args[i] === '-t' || args[i] === '--tag') tag = args[++i];
+            else if (!args[i].startsWith('-')) positional.push(args[i]);
+        }
+        if (positional.length === 0) throw new Error('"docker build" requires exactly 1 argument.\nUsage: docker build [OPTIONS] PATH');
+
+        const context = this.fs.resolve(positional[0]);
+        const dockerfile = context ? `${context}/Dockerfile` : 'Dockerfile';
+        if (!this.fs.isFile(dockerfile)) {
+            throw new Error('ERROR: failed to solve: failed to read dockerfile: open Dockerfile: no such file or directory');
+        }
+
+        const instructions = this.parseDockerfile(this.fs.readFile(dockerfile));
+        const steps = instructions.map((instruction, i) => `Step ${i + 1}/${instructions.length} : ${instruction.keyword} ${instruction.value}`);
+
+        instructions.filter(instruction => instruction.keyword === 'COPY' || instruction.keyword === 'ADD').forEach(instruction => {
+            const sources = instruction.value.split(/\s+/).filter(word => !word.startsWith('--')).slice(0, -1);
+            sources.filter(source => source !== '.').forEach(source => {
+                const path = this.fs.resolve(context ? `/${context}/${source}` : `/${source}`);
+                if (!this.fs.isFile(path) && !this.fs.isDirectory(path)) {
+                    throw new Error(`${steps.join('\n')}\nERROR: failed to compute cache key: "/${source}": not found`);
+                }
+            });
+        });
+
+        const command = [...instructions].reverse().find(instruction => instruction.keyword === 'CMD' || instruction.keyword === 'ENTRYPOINT');
+        const id = this.git.hash(`${tag}\n${JSON.stringify(instructions)}\n${this.images.size}`) + this.git.hash(String(Date.now())).slice(0, 5);
+        const image = {
+            id,
+            tag: tag ? (tag.includes(':') ? tag : `${tag}:latest`) : null,
+            command: command ? this.parseDockerCommand(command.value) : null
+        };
+        this.images.set(image.tag || id, image);
+
+        return `${steps.join('\n')}\nSuccessfully built ${id}${image.tag ? `\nSuccessfully tagged ${image.tag}` : ''}`;
+    }
+
+    // Read Dockerfile instructions, joining continuation lines and skipping comments
+    parseDockerfile(text) {
+        const instructions = text.replace(/\\\n/g, ' ').split('\n')
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'))
+            .map((line, i) => {
+                const [keyword] = line.split(/\s+/, 1);
+                const upper = keyword.toUpperCase();
+                if (!DOCKERFILE_INSTRUCTIONS.includes(upper)) {
+                    throw new Error(`ERROR: Dockerfile parse error line ${i + 1}: unknown instruction: ${keyword}`);
+                }
+                return { keyword: upper, value: line.slice(keyword.length).trim() };
+            });
+
+        if (instructions.length === 0) throw new Error('ERROR: the Dockerfile cannot be empty');
+        const first = instructions.find(instruction => instruction.keyword !== 'ARG');
+        if (!first || first.keyword !== 'FROM' || !first.value) {
+            throw new Error('ERROR: no build stage in current context. A Dockerfile must start with FROM <image>');
+        }
+        return instructions;
+    }
+
+    // Turn CMD ["echo", "hi"] or CMD echo hi into a list of words
+    parseDockerCommand(value) {
+        if (value.startsWith('[')) {
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                return [value];
+            }
+        }
+        return this.tokenize(value).filter(token => typeof token === 'string');
+    }
+
+    // Start a container from a built image; echo commands print, anything else just "runs"
+    dockerRun(args) {
+        let name = null;
+        let detached = false;
+        const ports = [];
+        let i = 0;
+        for (; i < args.length && args[i].startsWith('-'); i++) {
+            if (args[i] === '--name') name = args[++i];
+            else if (args[i] === '-p' || args[i] === '--publish') ports.push(args[++i]);
+            else if (/^-\w*d/.test(args[i])) detached = true;
+        }
+
+        const reference = args[i];
+        if (!reference) throw new Error('"docker run" requires at least 1 argument.\nUsage: docker run [OPTIONS] IMAGE [COMMAND] [ARG...]');
+        const image = this.images.get(reference.includes(':') ? reference : `${reference}:latest`) || this.images.get(reference);
+        if (!image) {
+            throw new Error(`Unable to find image '${reference}' locally\ndocker: Error response from daemon: pull access denied for ${reference.split(':')[0]}. Build it first with docker build -t ${reference.split(':')[0]} .`);
+        }
+        if (name && this.containers.some(container => container.name === name)) {
+            throw new Error(`docker: Error response from daemon: Conflict. The container name "/${name}" is already in use.`);
+        }
+
+        const command = args.length > i + 1 ? args.slice(i + 1) : image.command;
+        const id = this.git.hash(`${image.id}\n${this.containers.length}\n${Date.now()}`) + this.git.hash(`${name}`).slice(0, 5);
+        const output = command && command[0] === 'echo' ? command.slice(1).join(' ') : '';
+        const container = {
+            id,
+            name: name || `portal_${this.containers.length + 1}`,
+            image: image.tag || image.id,
+            command: command ? command.join(' ') : '',
+            ports,
+            status: detached && !output ? 'Up' : 'Exited (0)'
+        };
+        this.containers.push(container);
+
+        if (detached) return id;
+        return output || `Container ${container.name} ran ${container.command || 'with no command'} and exited.`;
+    }
+
+    dockerImages() {
+        const rows = [...this.images.values()].map(image => {
+            const [repository, tag] = image.tag ? image.tag.split(':') : ['<none>', '<none>'];
+            return `${repository.padEnd(20)}${tag.padEnd(10)}${image.id}`;
+        });
+        return [`${'REPOSITORY'.padEnd(20)}${'TAG'.padEnd(10)}IMAGE ID`, ...rows].join('\n');
+    }
+
+    dockerPs(args) {
+        const all = args.includes('-a') || args.includes('--all');
+        const rows = this.containers
+            .filter(container => all || container.status === 'Up')
+            .map(container => `${container.id.padEnd(14)}${container.image.padEnd(20)}${container.status.padEnd(14)}${container.ports.join(', ').padEnd(14)}${container.name}`);
+        return [`${'CONTAINER ID'.padEnd(14)}${'IMAGE'.padEnd(20)}${'STATUS'.padEnd(14)}${'PORTS'.padEnd(14)}NAMES`, ...rows].join('\n');
+    }
+
+    // ---- Goals ----
+
+    // Check an exercise's goals against the current state, in the same shape as test results
+    checkGoals(goals) {
+        return {
+            logs: [],
+            result: null,
+            tests: goals.map(goal => Object.assign({ name: goal.name, error: null }, this.checkGoal(goal))),
+            error: null,
+            timedOut: false,
+            duration: 0
+        };
+    }
+
+    // Evaluate one goal; returns what was expected, what was found and whether it passed
+    checkGoal(goal) {
+        const git = this.git;
+        const branchTip = (branch) => git.initialized ? git.branches.get(branch || git.head) : undefined;
+
+        switch (goal.type) {
+            case 'repoInitialized':
+                return { expected: 'a git repository', actual: git.initialized ? 'a git repository' : 'no repository', passed: git.initialized };
+
+            case 'branchExists': {
+                const exists = git.initialized && git.branches.has(goal.branch);
+                return { expected: `branch ${goal.branch}`, actual: exists ? `branch ${goal.branch}` : 'no such branch', passed: exists };
+            }
+
+            case 'currentBranch':
+                return { expected: `on ${goal.branch}`, actual: `on ${git.head}`, passed: git.initialized && git.head === goal.branch };
+
+            case 'commitCount': {
+                const tip = branchTip(goal.branch);
+                const count = tip ? git.ancestors(tip).size : 0;
+                const branch = goal.branch || git.head;
+                return {
+                    expected: `at least ${goal.min} commit${goal.min === 1 ? '' : 's'} on ${branch}`,
+                    actual: `${count} commit${count === 1 ? '' : 's'}`,
+                    passed: count >= goal.min
+                };
+            }
+
+            case 'fileCommitted': {
+                const tip = branchTip(goal.branch);
+                const tree = tip ? git.commits.get(tip).tree : {};
+                const committed = Object.prototype.hasOwnProperty.call(tree, goal.path);
+                return {
+                    expected: `${goal.path} committed on ${goal.branch || git.head}`,
+                    actual: committed ? `${goal.path} committed` : `${goal.path} not committed`,
+                    passed: committed
+                };
+            }
+
+            case 'merged': {
+                const source = branchTip(goal.source);
+                const target = branchTip(goal.target);
+                const merged = !!source && !!target && source !== target && git.ancestors(target).has(source);
+                return {
+                    expected: `${goal.source} merged into ${goal.target}`,
+                    actual: merged ? `${goal.source} merged` : (source ? `${goal.source} not merged` : `no branch ${goal.source}`),
+                    passed: merged
+                };
+            }
+
+            case 'mergeCommit': {
+                const tip = branchTip(goal.branch);
+                const merges = tip ? [...git.ancestors(tip)].filter(id => git.commits.get(id).parents.length > 1).length : 0;
+                return {
+                    expected: `a merge commit on ${goal.branch || git.head}`,
+                    actual: `${merges} merge commit${merges === 1 ? '' : 's'}`,
+                    passed: merges > 0
+                };
+            }
+
+            case 'cleanWorkingTree': {
+                const clean = git.initialized && git.isClean();
+                return { expected: 'nothing to commit', actual: clean ? 'nothing to commit' : 'uncommitted changes', passed: clean };
+            }
+
+            case 'noConflictMarkers': {
+                const files = [...this.fs.files].filter(([, content]) => /^(<<<<<<<|>>>>>>>) /m.test(content)).map(([path]) => path);
+                return { expected: 'no conflict markers', actual: files.length ? `markers in ${files.join(', ')}` : 'no conflict markers', passed: files.length === 0 };
+            }
+
+            case 'fileContains': {
+                const path = this.fs.resolve(`/${goal.path}`);
+                const exists = this.fs.isFile(path);
+                const matches = exists && new RegExp(goal.pattern, 'm').test(this.fs.readFile(path));
+                return {
+                    expected: `${goal.path} matching /${goal.pattern}/`,
+                    actual: exists ? (matches ? 'matches' : 'does not match') : `no file ${goal.path}`,
+                    passed: matches
+                };
+            }
+
+            case 'imageBuilt': {
+                const tag = goal.tag.includes(':') ? goal.tag : `${goal.tag}:latest`;
+                return { expected: `image ${tag}`, actual: this.images.has(tag) ? `image ${tag}` : 'no such image', passed: this.images.has(tag) };
+            }
+
+            case 'containerRan': {
+                const tag = goal.image.includes(':') ? goal.image : `${goal.image}:latest`;
+                const ran = this.containers.some(container => container.image === tag);
+                return { expected: `a container from ${tag}`, actual: ran ? 'container ran' : 'no container', passed: ran };
+            }
+
+            default:
+                return { expected: goal.type, actual: 'unknown goal type', passed: false };
+        }
+    }
+}
@@ -0,0 +1,175 @@
+// TypeScript Compiler - Type-checks and transpiles TypeScript exercises with the vendored compiler
+
+// Globals the sandbox worker provides, so console.log type-checks without pulling in lib.dom.d.ts
+const SANDBOX_DECLARATIONS = `
+declare const console: {
+    log(...data: any[]): void;
+    info(...data: any[]): void;
+    warn(...data: any[]): void;
+    error(...data: any[]): void;
+    debug(...data: any[]): void;
+};
+declare function setTimeout(handler: (...args: any[]) => void, timeout?: number, ...args: any[]): number;
+declare function clearTimeout(id?: number): void;
+`;
+
+class TypeScriptCompiler {
+    constructor(options = {}) {
+        this.basePath = options.basePath || 'vendor/typescript/';
+        this.rootLib = options.rootLib || 'lib.es2017.d.ts';
+        this.libTexts = new Map();
+        this.libSourceFiles = new Map();
+        this.readyPromise = null;
+    }
+
+    // Load the compiler and the standard library declarations the first time they're needed
+    load() {
+        if (!this.readyPromise) {
+            this.readyPromise = this.loadScript(`${this.basePath}typescript.js`)
+                .then(() => this.loadLib(this.rootLib));
+
+            // Allow a retry if loading failed
+            this.readyPromise.catch(() => {
+                this.readyPromise = null;
+            });
+        }
+        return this.readyPromise;
+    }
+
+    // Add a script tag and wait for it to execute
+    loadScript(src) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.onload = resolve;
+            script.onerror = () => reject(new Error('Could not load the TypeScript compiler'));
+            document.head.appendChild(script);
+        });
+    }
+
+    // Fetch a lib file and, recursively, every lib it references
+    async loadLib(fileName) {
+        if (this.libTexts.has(fileName)) return;
+        this.libTexts.set(fileName, '');
+
+        const response = await fetch(`${this.basePath}lib/${fileName}`);
+        if (!response.ok) throw new Error(`Could not load ${fileName}`);
+        const text = await response.text();
+        this.libTexts.set(fileName, text);
+
+        const references = [...text.matchAll(/\/\/\/\s*<reference lib="([^"]+)"\s*\/>/g)]
+            .map(match => `lib.${match[1]}.d.ts`);
+        await Promise.all(references.map(reference => this.loadLib(reference)));
+    }
+
+    // Compiler options for exercises: strict, like the TypeScript Basics lesson recommends
+    getCompilerOptions() {
+        return {
+            target: ts.ScriptTarget.ES2017,
+            lib: [this.rootLib],
+            strict: true,
+            noEmit: true,
+            types: []
+        };
+    }
+
+    // Type-check the code, plus optional type tests appended after it, and transpile the code to JavaScript.
+    // Each type test runs in its own block so its declarations can't clash with the learner's or each other's.
+    async compile(code, typeTests = []) {
+        await this.load();
+
+        const fileName = 'exercise.ts';
+        let source = code;
+        const testRanges = typeTests.map(test => {
+            source += '\n{\n';
+            const start = source.length;
+            source += test.code;
+            const range = { name: test.name, start, end: source.length };
+            source += '\n}\n';
+            return range;
+        });
+
+        const files = new Map([
+            [fileName, ts.createSourceFile(fileName, source, ts.ScriptTarget.ES2017, true)],
+            ['sandbox.d.ts', ts.createSourceFile('sandbox.d.ts', SANDBOX_DECLARATIONS, ts.ScriptTarget.ES2017, true)]
+        ]);
+
+        const host = {
+            getSourceFile: (name) => files.get(name) || this.getLibSourceFile(name),
+            getDefaultLibFileName: () => this.rootLib,
+            getDefaultLibLocation: () => '',
+            writeFile: () => {},
+            getCurrentDirectory: () => '',
+            getDirectories: () => [],
+            getCanonicalFileName: (name) => name,
+            useCaseSensitiveFileNames: () => true,
+            getNewLine: () => '\n',
+            fileExists: (name) => files.has(name) || this.libTexts.has(name),
+            readFile: (name) => files.has(name) ? files.get(name).text : this.libTexts.get(name)
+        };
+
+        const program = ts.createProgram([fileName, 'sandbox.d.ts'], this.getCompilerOptions(), host);
+        const sourceFile = files.get(fileName);
+        const allDiagnostics = ts.getPreEmitDiagnostics(program)
+            .filter(diagnostic => !diagnostic.file || diagnostic.file === sourceFile)
+            .map(diagnostic => this.formatDiagnostic(diagnostic));
+
+        const inTest = (diagnostic, range) => diagnostic.start >= range.start && diagnostic.start <= range.end;
+        const diagnostics = allDiagnostics.filter(diagnostic => diagnostic.start === null || diagnostic.start < code.length);
+        const syntaxErrors = program.getSyntacticDiagnostics(sourceFile)
+            .filter(diagnostic => diagnostic.start < code.length);
+
+        const typeTestResults = testRanges.map(range => {
+            const failures = allDiagnostics.filter(diagnostic => diagnostic.start !== null && inTest(diagnostic, range));
+            return {
+                name: range.name,
+                expected: 'compiles',
+                actual: failures.length ? failures.map(failure => failure.message).join('\n') : 'compiles',
+                passed: failures.length === 0,
+                error: null
+            };
+        });
+
+        // Only the learner's own code becomes JavaScript; the type tests are compile-time only
+        const outputText = ts.transpileModule(code, {
+            compilerOptions: { target: ts.ScriptTarget.ES2017 }
+        }).outputText;
+
+        return {
+            diagnostics,
+            hasSyntaxErrors: syntaxErrors.length > 0,
+            typeTests: typeTestResults,
+            outputText
+        };
+    }
+
+    // Parse a lib file once and reuse it across compiles
+    getLibSourceFile(fileName) {
+        if (!this.libTexts.has(fileName)) return undefined;
+        if (!this.libSourceFiles.has(fileName)) {
+            this.libSourceFiles.set(fileName, ts.createSourceFile(fileName, this.libTexts.get(fileName), ts.ScriptTarget.ES2017, true));
+        }
+        return this.libSourceFiles.get(fileName);
+    }
+
+    // Turn a compiler diagnostic into a plain object with a 1-based line and column
+    formatDiagnostic(diagnostic) {
+        const result = {
+            message: ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n'),
+            code: diagnostic.code,
+            category: diagnostic.category === ts.DiagnosticCategory.Error ? 'error' : 'warning',
+            start: diagnostic.start === undefined ? null : diagnostic.start,
+            length: diagnostic.length || 0,
+            line: null,
+            column: null
+        };
+
+        if (diagnostic.file && diagnostic.start !== undefined) {
+            const position = diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start);
+            result.line = position.line + 1;
+            result.column = position.character + 1;
+        }
+
+        return result;
+    }
+}
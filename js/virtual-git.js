@@ -0,0 +1,623 @@
+// Virtual Git - An in-memory filesystem and a simulated git for terminal exercises
+
+class VirtualFileSystem {
+    constructor() {
+        // Paths are relative to the project root, which is the empty string
+        this.files = new Map();
+        this.directories = new Set(['']);
+        this.cwd = '';
+    }
+
+    // Resolve a path against the current directory into a normalized root-relative path
+    resolve(path = '.') {
+        const parts = path.startsWith('/') ? [] : this.cwd.split('/').filter(Boolean);
+        path.split('/').forEach(part => {
+            if (part === '' || part === '.') return;
+            if (part === '..') {
+                parts.pop();
+            } else {
+                parts.push(part);
+            }
+        });
+        return parts.join('/');
+    }
+
+    // The parent directory of a root-relative path
+    parentOf(path) {
+        return path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '';
+    }
+
+    isFile(path) {
+        return this.files.has(path);
+    }
+
+    isDirectory(path) {
+        return this.directories.has(path);
+    }
+
+    readFile(path) {
+        if (!this.files.has(path)) throw new Error(`${path}: No such file or directory`);
+        return this.files.get(path);
+    }
+
+    // Write a file, creating any missing parent directories
+    writeFile(path, content) {
+        if (!path || this.isDirectory(path)) throw new Error(`${path || '.'}: Is a directory`);
+        this.mkdir(this.parentOf(path), true);
+        this.files.set(path, content);
+    }
+
+    mkdir(path, recursive = false) {
+        if (this.isDirectory(path)) {
+            if (recursive) return;
+            throw new Error(`cannot create directory '${path}': File exists`);
+        }
+        if (this.isFile(path)) throw new Error(`cannot create directory '${path}': File exists`);
+
+        const parent = this.parentOf(path);
+        if (!this.isDirectory(parent)) {
+            if (!recursive) throw new Error(`cannot create directory '${path}': No such file or directory`);
+            this.mkdir(parent, true);
+        }
+        this.directories.add(path);
+    }
+
+    // Remove a file, or a directory and everything under it when recursive
+    remove(path, recursive = false) {
+        if (this.isFile(path)) {
+            this.files.delete(path);
+            return;
+        }
+        if (!this.isDirectory(path) || path === '') throw new Error(`cannot remove '${path}': No such file or directory`);
+        if (!recursive) throw new Error(`cannot remove '${path}': Is a directory`);
+
+        const prefix = `${path}/`;
+        [...this.files.keys()].filter(file => file.startsWith(prefix)).forEach(file => this.files.delete(file));
+        [...this.directories].filter(dir => dir === path || dir.startsWith(prefix)).forEach(dir => this.directories.delete(dir));
+    }
+
+    // List a directory's direct children, directories first
+    list(path) {
+        if (!this.isDirectory(path)) throw new Error(`cannot access '${path}': No such file or directory`);
+        const prefix = path ? `${path}/` : '';
+        const isChild = (entry) => entry !== path && entry.startsWith(prefix) && !entry.slice(prefix.length).includes('/');
+
+        const directories = [...this.directories].filter(isChild).map(dir => ({ name: dir.slice(prefix.length), type: 'directory' }));
+        const files = [...this.files.keys()].filter(isChild).map(file => ({ name: file.slice(prefix.length), type: 'file' }));
+        const byName = (a, b) => a.name.localeCompare(b.name);
+        return [...directories.sort(byName), ...files.sort(byName)];
+    }
+}
+
+class VirtualGit {
+    constructor(fs) {
+        this.fs = fs;
+        this.initialized = false;
+        this.commits = new Map();
+        this.branches = new Map();
+        this.head = 'main';
+        this.index = new Map();
+        this.merging = null;
+        this.commitCounter = 0;
+    }
+
+    // Run a git command; args are the words after "git"
+    run(args) {
+        const [command, ...rest] = args;
+        if (!command || command === 'help' || command === '--help') return this.help();
+        if (command !== 'init' && !this.initialized) {
+            throw new Error('fatal: not a git repository (or any of the parent directories): .git');
+        }
+
+        switch (command) {
+            case 'init': return this.init();
+            case 'status': return this.status();
+            case 'add': return this.add(rest);
+            case 'commit': return this.commit(rest);
+            case 'branch': return this.branch(rest);
+            case 'checkout': return this.checkout(rest);
+            case 'switch': return this.checkout(rest.map(arg => arg === '-c' ? '-b' : arg));
+            case 'restore': return this.restore(rest);
+            case 'merge': return this.merge(rest);
+            case 'log': return this.log(rest);
+            default:
+                throw new Error(`git: '${command}' is not supported here. Try: init, status, add, commit, branch, checkout, switch, restore, merge, log`);
+        }
+    }
+
+    help() {
+        return [
+            'Supported git commands:',
+            '  git init                   Create an empty repository',
+            '  git status                 Show the working tree status',
+            '  git add <path>...          Stage changes (use . for everything)',
+            '  git commit -m "<message>"  Record staged changes (-a stages tracked files first)',
+            '  git branch [-d] [<name>]   List, create or delete branches',
+            '  git checkout [-b] <branch> Switch branches (-b creates it)',
+            '  git switch [-c] <branch>   Switch branches (-c creates it)',
+            '  git restore <path>...      Discard changes in the working tree',
+            '  git merge [--abort] <branch> Merge a branch into the current one',
+            '  git log [--oneline] [<branch>]  Show commit history'
+        ].join('\n');
+    }
+
+    init() {
+        if (this.initialized) return 'Reinitialized existing Git repository in /home/learner/project/.git/';
+        this.initialized = true;
+        return 'Initialized empty Git repository in /home/learner/project/.git/';
+    }
+
+    // ---- Trees and history ----
+
+    headCommit() {
+        const id = this.branches.get(this.head);
+        return id ? this.commits.get(id) : null;
+    }
+
+    // A commit's snapshot as a Map of path -> content
+    treeOf(commit) {
+        return new Map(commit ? Object.entries(commit.tree) : []);
+    }
+
+    workingTree() {
+        return new Map(this.fs.files);
+    }
+
+    // Every commit reachable from the given commit, including itself
+    ancestors(id) {
+        const seen = new Set();
+        const queue = id ? [id] : [];
+        while (queue.length > 0) {
+            const current = queue.shift();
+            if (seen.has(current)) continue;
+            seen.add(current);
+            queue.push(...this.commits.get(current).parents);
+        }
+        return seen;
+    }
+
+    // The most recent common ancestor of two commits
+    mergeBase(a, b) {
+        const ancestorsOfA = this.ancestors(a);
+        const common = [...this.ancestors(b)].filter(id => ancestorsOfA.has(id));
+        common.sort((x, y) => this.commits.get(y).sequence - this.commits.get(x).sequence);
+        return common.length > 0 ? common[0] : null;
+    }
+
+    // Resolve a branch name or commit id prefix to a commit id
+    resolveRef(ref) {
+        if (ref === 'HEAD') return this.branches.get(this.head) || null;
+        if (this.branches.has(ref)) return this.branches.get(ref);
+        const matches = [...this.commits.keys()].filter(id => ref.length >= 4 && id.startsWith(ref));
+        return matches.length === 1 ? matches[0] : undefined;
+    }
+
+    // Create a commit object and move the current branch to it
+    createCommit(message, parents, tree) {
+        this.commitCounter++;
+        const sequence = this.commitCounter;
+        const id = this.hash(`${sequence}\n${message}\n${parents.join(',')}\n${JSON.stringify([...tree])}`);
+        const commit = {
+            id,
+            message,
+            parents,
+            tree: Object.fromEntries(tree),
+            sequence,
+            timestamp: new Date().toISOString()
+        };
+        this.commits.set(id, commit);
+        this.branches.set(this.head, id);
+        return commit;
+    }
+
+    // A short, stable, git-looking id
+    hash(text) {
+        let h1 = 0x811c9dc5;
+        let h2 = 0x01000193;
+        for (let i = 0; i < text.length; i++) {
+            h1 = Math.imul(h1 ^ text.charCodeAt(i), 16777619);
+            h2 = Math.imul(h2 ^ text.charCodeAt(i), 2246822519);
+        }
+        return ((h1 >>> 0).toString(16).padStart(8, '0') + (h2 >>> 0).toString(16).padStart(8, '0')).slice(0, 7);
+    }
+
+    // Compare two trees and list added, modified and deleted paths
+    diffTrees(from, to) {
+        const changes = [];
+        new Set([...from.keys(), ...to.keys()]).forEach(path => {
+            if (!from.has(path)) changes.push({ path, change: 'new file' });
+            else if (!to.has(path)) changes.push({ path, change: 'deleted' });
+            else if (from.get(path) !== to.get(path)) changes.push({ path, change: 'modified' });
+        });
+        return changes.sort((a, b) => a.path.localeCompare(b.path));
+    }
+
+    // Uncommitted changes: staged (index vs HEAD), unstaged (working tree vs index) and untracked files
+    changes() {
+        const working = this.workingTree();
+        const staged = this.diffTrees(this.treeOf(this.headCommit()), this.index);
+        const unstaged = this.diffTrees(this.index, working).filter(change => change.change !== 'new file');
+        const untracked = [...working.keys()].filter(path => !this.index.has(path)).sort();
+        return { staged, unstaged, untracked };
+    }
+
+    isClean() {
+        const { staged, unstaged, untracked } = this.changes();
+        return staged.length === 0 && unstaged.length === 0 && untracked.length === 0 && !this.merging;
+    }
+
+    // ---- Commands ----
+
+    status() {
+        const lines = [`On branch ${this.head}`];
+        const { staged, unstaged, untracked } = this.changes();
+        const conflicts = this.merging ? this.merging.conflicts : [];
+
+        if (!this.headCommit()) lines.push('', 'No commits yet');
+        if (this.merging) {
+            lines.push(conflicts.length > 0
+                ? 'You have unmerged paths.\n  (fix conflicts and run "git commit")'
+                : 'All conflicts fixed but you are still merging.\n  (use "git commit" to conclude merge)');
+        }
+
+        const stagedChanges = staged.filter(change => !conflicts.includes(change.path));
+        if (stagedChanges.length > 0) {
+            lines.push('', 'Changes to be committed:');
+            stagedChanges.forEach(change => lines.push(`\t${`${change.change}:`.padEnd(12)}${change.path}`));
+        }
+        if (conflicts.length > 0) {
+            lines.push('', 'Unmerged paths:', '  (use "git add <file>..." to mark resolution)');
+            conflicts.forEach(path => lines.push(`\tboth modified:   ${path}`));
+        }
+        const unstagedChanges = unstaged.filter(change => !conflicts.includes(change.path));
+        if (unstagedChanges.length > 0) {
+            lines.push('', 'Changes not staged for commit:', '  (use "git add <file>..." to update what will be committed)');
+            unstagedChanges.forEach(change => lines.push(`\t${`${change.change}:`.padEnd(12)}${change.path}`));
+        }
+        if (untracked.length > 0) {
+            lines.push('', 'Untracked files:', '  (use "git add <file>..." to include in what will be committed)');
+            untracked.forEach(path => lines.push(`\t${path}`));
+        }
+        if (this.isClean()) {
+            lines.push(this.headCommit() ? 'nothing to commit, working tree clean' : '\nnothing to commit (create/copy files and use "git add" to track)');
+        }
+
+        return lines.join('\n');
+    }
+
+    add(args) {
+        const pathspecs = args.filter(arg => !arg.startsWith('-'));
+        if (args.includes('-A') || args.includes('--all')) pathspecs.push('/');
+        if (pathspecs.length === 0) throw new Error('Nothing specified, nothing added.');
+
+        const working = this.workingTree();
+        pathspecs.forEach(spec => {
+            const target = this.fs.resolve(spec);
+            const matches = (path) => target === '' || path === target || path.startsWith(`${target}/`);
+            const candidates = new Set([...working.keys(), ...this.index.keys()].filter(matches));
+            if (candidates.size === 0) throw new Error(`fatal: pathspec '${spec}' did not match any files`);
+
+            candidates.forEach(path => {
+                if (working.has(path)) {
+                    this.index.set(path, working.get(path));
+                } else {
+                    this.index.delete(path);
+                }
+                // Staging a conflicted file marks it as resolved
+                if (this.merging) {
+                    this.merging.conflicts = this.merging.conflicts.filter(conflict => conflict !== path);
+                }
+            });
+        });
+        return '';
+    }
+
+    commit(args) {
+        let message = null;
+        let stageAll = false;
+        for (let i = 0; i < args.length; i++) {
+            const arg = args[i];
+            if (arg === '-m' || arg === '--message' || arg === '-am') {
+                message = args[++i];
+                if (arg === '-am') stageAll = true;
+            } else if (arg === '-a' || arg === '--all') {
+                stageAll = true;
+            }
+        }
+        if (message === null || message === undefined) {
+            throw new Error('error: a commit message is required here, use git commit -m "<message>"');
+        }
+        if (!message.trim()) throw new Error('Aborting commit due to empty commit message.');
+
+        if (stageAll) {
+            const working = this.workingTree();
+            [...this.index.keys()].forEach(path => {
+                if (working.has(path)) this.index.set(path, working.get(path));
+                else this.index.delete(path);
+            });
+        }
+
+        if (this.merging && this.merging.conflicts.length > 0) {
+            throw new Error('error: Committing is not possible because you have unmerged files.\nhint: Fix them up in the work tree, and then use \'git add <file>\'');
+        }
+
+        const parent = this.headCommit();
+        const staged = this.diffTrees(this.treeOf(parent), this.index);
+        if (staged.length === 0 && !this.merging) {
+            throw new Error(this.status());
+        }
+
+        const parents = parent ? [parent.id] : [];
+        if (this.merging) parents.push(this.merging.theirs);
+        const commit = this.createCommit(message, parents, this.index);
+        this.merging = null;
+
+        const root = parent ? '' : ' (root-commit)';
+        const summary = staged.length === 1 ? '1 file changed' : `${staged.length} files changed`;
+        return `[${this.head}${root} ${commit.id}] ${message}\n ${summary}`;
+    }
+
+    branch(args) {
+        const flags = args.filter(arg => arg.startsWith('-'));
+        const names = args.filter(arg => !arg.startsWith('-'));
+
+        if (flags.includes('-d') || flags.includes('-D') || flags.includes('--delete')) {
+            return names.map(name => {
+                if (!this.branches.has(name)) throw new Error(`error: branch '${name}' not found.`);
+                if (name === this.head) throw new Error(`error: Cannot delete branch '${name}' checked out`);
+                const merged = this.ancestors(this.branches.get(this.head)).has(this.branches.get(name));
+                if (!merged && !flags.includes('-D')) {
+                    throw new Error(`error: The branch '${name}' is not fully merged.\nIf you are sure you want to delete it, run 'git branch -D ${name}'.`);
+                }
+                const id = this.branches.get(name);
+                this.branches.delete(name);
+                return `Deleted branch ${name} (was ${id}).`;
+            }).join('\n');
+        }
+
+        if (names.length === 0) {
+            const branches = new Set([...this.branches.keys(), this.head]);
+            return [...branches].sort().map(name => `${name === this.head ? '*' : ' '} ${name}`).join('\n');
+        }
+
+        this.createBranch(names[0], names[1]);
+        return '';
+    }
+
+    // Create a branch at HEAD or at a given start point
+    createBranch(name, startPoint) {
+        if (!/^[\w][\w./-]*$/.test(name)) throw new Error(`fatal: '${name}' is not a valid branch name`);
+        if (this.branches.has(name)) throw new Error(`fatal: a branch named '${name}' already exists`);
+        const target = startPoint ? this.resolveRef(startPoint) : this.branches.get(this.head);
+        if (!target) {
+            throw new Error(startPoint
+                ? `fatal: not a valid object name: '${startPoint}'`
+                : `fatal: not a valid object name: '${this.head}'`);
+        }
+        this.branches.set(name, target);
+    }
+
+    checkout(args) {
+        if (args[0] === '--') return this.restore(args.slice(1));
+
+        const create = args.includes('-b');
+        const [name, startPoint] = args.filter(arg => !arg.startsWith('-'));
+        if (!name) throw new Error('error: switch expected a branch name');
+
+        // git checkout -b <name> [<start-point>]
+        if (create) {
+            if (startPoint && this.merging) throw new Error('error: you need to resolve your current index first');
+            this.createBranch(name, startPoint);
+            if (startPoint) {
+                try {
+                    this.updateWorkingTree(this.treeOf(this.commits.get(this.branches.get(name))));
+                } catch (error) {
+                    this.branches.delete(name);
+                    throw error;
+                }
+            }
+            this.head = name;
+            return `Switched to a new branch '${name}'`;
+        }
+
+        if (!this.branches.has(name)) {
+            // git checkout <file> discards working tree changes
+            if (this.index.has(this.fs.resolve(name))) return this.restore([name]);
+            throw new Error(`error: pathspec '${name}' did not match any file(s) known to git`);
+        }
+        if (name === this.head) return `Already on '${name}'`;
+        if (this.merging) throw new Error('error: you need to resolve your current index first');
+
+        this.updateWorkingTree(this.treeOf(this.commits.get(this.branches.get(name))));
+        this.head = name;
+        return `Switched to branch '${name}'`;
+    }
+
+    // Move the working tree and index from HEAD's snapshot to another one, keeping local
+    // changes to files the switch doesn't touch, and refusing if it would overwrite any
+    updateWorkingTree(target, action = 'checkout') {
+        const current = this.treeOf(this.headCommit());
+        const working = this.workingTree();
+        const touched = this.diffTrees(current, target).map(change => change.path);
+        this.checkUntracked(touched, target, action);
+
+        const overwritten = touched.filter(path => this.index.has(path) &&
+            (working.get(path) !== current.get(path) || this.index.get(path) !== current.get(path)));
+        if (overwritten.length > 0) {
+            throw new Error(`error: Your local changes to the following files would be overwritten:\n\t${overwritten.join('\n\t')}\nPlease commit your changes before you switch branches or merge.`);
+        }
+
+        touched.forEach(path => {
+            if (target.has(path)) {
+                this.fs.writeFile(path, target.get(path));
+                this.index.set(path, target.get(path));
+            } else {
+                if (this.fs.isFile(path)) this.fs.remove(path);
+                this.index.delete(path);
+            }
+        });
+    }
+
+    // Refuse to write over untracked files, the way git aborts a checkout or merge that would
+    checkUntracked(paths, target, action) {
+        const working = this.workingTree();
+        const untracked = paths.filter(path => !this.index.has(path) && working.has(path) && working.get(path) !== target.get(path));
+        if (untracked.length > 0) {
+            throw new Error(`error: The following untracked working tree files would be overwritten by ${action}:\n\t${untracked.join('\n\t')}\nPlease move or remove them before you ${action === 'merge' ? 'merge' : 'switch branches'}.\nAborting`);
+        }
+    }
+
+    restore(args) {
+        const staged = args.includes('--staged');
+        const paths = args.filter(arg => !arg.startsWith('-'));
+        if (paths.length === 0) throw new Error('fatal: you must specify path(s) to restore');
+
+        const headTree = this.treeOf(this.headCommit());
+        paths.forEach(spec => {
+            const path = this.fs.resolve(spec);
+            if (staged) {
+                if (headTree.has(path)) this.index.set(path, headTree.get(path));
+                else this.index.delete(path);
+            } else {
+                if (!this.index.has(path)) throw new Error(`error: pathspec '${spec}' did not match any file(s) known to git`);
+                this.fs.writeFile(path, this.index.get(path));
+            }
+        });
+        return '';
+    }
+
+    merge(args) {
+        if (args.includes('--abort')) {
+            if (!this.merging) throw new Error('fatal: There is no merge to abort (MERGE_HEAD missing).');
+            const headTree = this.treeOf(this.headCommit());
+            [...this.workingTree().keys()].filter(path => !headTree.has(path) && this.index.has(path))
+                .forEach(path => this.fs.remove(path));
+            headTree.forEach((content, path) => this.fs.writeFile(path, content));
+            this.index = headTree;
+            this.merging = null;
+            return '';
+        }
+
+        const noFastForward = args.includes('--no-ff');
+        const name = args.filter(arg => !arg.startsWith('-'))[0];
+        if (!name) throw new Error('fatal: No remote for the current branch.');
+        if (this.merging) throw new Error('error: Merging is not possible because you have unmerged files.');
+
+        const theirs = this.resolveRef(name);
+        if (!theirs) throw new Error(`merge: ${name} - not something we can merge`);
+        const ours = this.branches.get(this.head);
+        if (!ours) throw new Error('fatal: cannot merge into a branch with no commits yet');
+
+        const { staged, unstaged } = this.changes();
+        if (staged.length > 0 || unstaged.length > 0) {
+            throw new Error('error: Your local changes would be overwritten by merge.\nPlease commit your changes before you merge.');
+        }
+
+        if (this.ancestors(ours).has(theirs)) return 'Already up to date.';
+
+        // Nothing happened on this branch since it split off, so just move it forward
+        if (this.ancestors(theirs).has(ours) && !noFastForward) {
+            const before = this.treeOf(this.commits.get(ours));
+            const after = this.treeOf(this.commits.get(theirs));
+            this.updateWorkingTree(after, 'merge');
+            this.branches.set(this.head, theirs);
+            const changed = this.diffTrees(before, after);
+            return `Updating ${ours}..${theirs}\nFast-forward\n${changed.map(change => ` ${change.path}`).join('\n')}\n ${changed.length} file${changed.length === 1 ? '' : 's'} changed`;
+        }
+
+        // Three-way merge, one whole file at a time
+        const base = this.treeOf(this.commits.get(this.mergeBase(ours, theirs)));
+        const ourTree = this.treeOf(this.commits.get(ours));
+        const theirTree = this.treeOf(this.commits.get(theirs));
+        const merged = new Map();
+        const conflicts = [];
+
+        new Set([...base.keys(), ...ourTree.keys(), ...theirTree.keys()]).forEach(path => {
+            const [b, o, t] = [base.get(path), ourTree.get(path), theirTree.get(path)];
+            let result;
+            if (o === t || t === b) {
+                result = o;
+            } else if (o === b) {
+                result = t;
+            } else {
+                conflicts.push(path);
+                result = this.conflictMarkers(o, t, name);
+            }
+            if (result !== undefined) merged.set(path, result);
+        });
+
+        const changes = this.diffTrees(ourTree, merged);
+        this.checkUntracked(changes.filter(change => merged.has(change.path)).map(change => change.path), merged, 'merge');
+        changes.forEach(change => {
+            if (merged.has(change.path)) this.fs.writeFile(change.path, merged.get(change.path));
+            else this.fs.remove(change.path);
+        });
+
+        merged.forEach((content, path) => {
+            if (!conflicts.includes(path)) this.index.set(path, content);
+        });
+        [...this.index.keys()].filter(path => !merged.has(path)).forEach(path => this.index.delete(path));
+
+        if (conflicts.length > 0) {
+            this.merging = { theirs, name, conflicts: [...conflicts] };
+            return [
+                ...conflicts.map(path => `Auto-merging ${path}\nCONFLICT (content): Merge conflict in ${path}`),
+                'Automatic merge failed; fix conflicts and then commit the result.'
+            ].join('\n');
+        }
+
+        this.merging = { theirs, name, conflicts: [] };
+        const commit = this.createCommit(`Merge branch '${name}' into ${this.head}`, [ours, theirs], this.index);
+        this.merging = null;
+        return `Merge made by the 'ort' strategy.\n[${this.head} ${commit.id}] ${commit.message}`;
+    }
+
+    // Both versions of a conflicting file, the way git writes them
+    conflictMarkers(ours = '', theirs = '', name) {
+        const withNewline = text => text.endsWith('\n') || text === '' ? text : `${text}\n`;
+        return `<<<<<<< HEAD\n${withNewline(ours)}=======\n${withNewline(theirs)}>>>>>>> ${name}\n`;
+    }
+
+    log(args) {
+        const oneline = args.includes('--oneline');
+        const all = args.includes('--all');
+        const ref = args.filter(arg => !arg.startsWith('-'))[0];
+
+        let ids;
+        if (all) {
+            ids = new Set([...this.branches.values()].flatMap(id => [...this.ancestors(id)]));
+        } else {
+            const start = ref ? this.resolveRef(ref) : this.branches.get(this.head);
+            if (ref && !start) throw new Error(`fatal: ambiguous argument '${ref}': unknown revision`);
+            if (!start) throw new Error(`fatal: your current branch '${this.head}' does not have any commits yet`);
+            ids = this.ancestors(start);
+        }
+
+        const commits = [...ids].map(id => this.commits.get(id)).sort((a, b) => b.sequence - a.sequence);
+        return commits.map(commit => {
+            const labels = this.labelsFor(commit.id);
+            const decoration = labels.length > 0 ? ` (${labels.join(', ')})` : '';
+            if (oneline) return `${commit.id}${decoration} ${commit.message}`;
+
+            return [
+                `commit ${commit.id}${decoration}`,
+                commit.parents.length > 1 ? `Merge: ${commit.parents.join(' ')}` : null,
+                'Author: Learner <learner@example.com>',
+                `Date:   ${new Date(commit.timestamp).toString()}`,
+                '',
+                `    ${commit.message}`,
+                ''
+            ].filter(line => line !== null).join('\n');
+        }).join('\n');
+    }
+
+    // Branch names pointing at a commit, HEAD first
+    labelsFor(id) {
+        const labels = [];
+        if (this.branches.get(this.head) === id) labels.push(`HEAD -> ${this.head}`);
+        [...this.branches.keys()].sort()
+            .filter(name => name !== this.head && this.branches.get(name) === id)
+            .forEach(name => labels.push(name));
+        return labels;
+    }
+}
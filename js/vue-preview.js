@@ -0,0 +1,204 @@
+// Vue Preview - Compiles a Vue single-file component in the browser and builds a page that mounts it
+
+// Styles for the preview page itself, including the error overlay
+const VUE_PREVIEW_STYLES = `
+    body { font-family: sans-serif; padding: 20px; margin: 0; }
+    .preview-overlay {
+        position: fixed; inset: 0; padding: 24px; overflow: auto;
+        background: rgba(24, 28, 35, 0.94); color: #f5f7fa; font-family: monospace;
+    }
+    .preview-overlay h2 { color: #ff8a80; font-size: 1.1rem; margin: 0 0 16px; }
+    .preview-overlay pre {
+        white-space: pre-wrap; background: #232b36; border-left: 4px solid #ff8a80;
+        padding: 12px; margin: 0 0 12px; border-radius: 4px;
+    }
+    .preview-overlay .location { color: #b0b8c1; display: block; margin-bottom: 6px; }
+`;
+
+class VuePreview {
+    constructor(options = {}) {
+        this.basePath = options.basePath || 'vendor/vue/';
+        this.compilerPromise = null;
+    }
+
+    // Load the SFC compiler, an ES module, the first time a Vue exercise is previewed
+    loadCompiler() {
+        if (!this.compilerPromise) {
+            this.compilerPromise = import(this.resolveUrl('compiler-sfc.esm-browser.js'));
+
+            // Allow a retry if loading failed
+            this.compilerPromise.catch(() => {
+                this.compilerPromise = null;
+            });
+        }
+        return this.compilerPromise;
+    }
+
+    // Vendor files need absolute URLs, since the preview document has no base URL of its own
+    resolveUrl(file) {
+        return new URL(`${this.basePath}${file}`, document.baseURI).href;
+    }
+
+    // Compile the component's blocks into the body of a function that returns the component options
+    async compile(source) {
+        const compiler = await this.loadCompiler();
+        const filename = 'Component.vue';
+        const id = 'preview';
+        const errors = [];
+
+        const { descriptor, errors: parseErrors } = compiler.parse(source, { filename });
+        parseErrors.forEach(error => errors.push(this.formatError(error)));
+        if (errors.length > 0) return { code: '', css: '', errors };
+
+        if (!descriptor.template && !descriptor.script && !descriptor.scriptSetup) {
+            errors.push({ message: 'A component needs at least a <template> block.', line: null, column: null });
+            return { code: '', css: '', errors };
+        }
+
+        const scripts = [descriptor.script, descriptor.scriptSetup].filter(Boolean);
+        scripts.filter(block => block.lang && block.lang !== 'js').forEach(block => {
+            errors.push({
+                message: `<script lang="${block.lang}"> is not supported in the preview. Use plain JavaScript.`,
+                line: block.loc.start.line,
+                column: null
+            });
+        });
+        if (errors.length > 0) return { code: '', css: '', errors };
+
+        const scoped = descriptor.styles.some(style => style.scoped);
+        let code = '';
+
+        try {
+            if (scripts.length > 0) {
+                // genDefaultAs turns `export default` into a plain variable we can return
+                code += compiler.compileScript(descriptor, { id, inlineTemplate: true, genDefaultAs: '__sfc__' }).content;
+            } else {
+                code += 'const __sfc__ = {};';
+            }
+
+            // <script setup> already has its render function inlined; otherwise compile the template on its own
+            if (descriptor.template && !descriptor.scriptSetup) {
+                const template = compiler.compileTemplate({
+                    source: descriptor.template.content,
+                    filename,
+                    id,
+                    scoped
+                });
+                const lineOffset = descriptor.template.loc.start.line - 1;
+                template.errors.forEach(error => errors.push(this.formatError(error, lineOffset)));
+                code += `\n${template.code.replace(/export function render/, 'function render')}\n__sfc__.render = render;`;
+            }
+        } catch (error) {
+            errors.push(this.formatError(error));
+        }
+
+        const css = descriptor.styles.map(style => {
+            const result = compiler.compileStyle({ source: style.content, filename, id: `data-v-${id}`, scoped: style.scoped });
+            result.errors.forEach(error => errors.push(this.formatError(error, style.loc.start.line - 1)));
+            return result.code;
+        }).join('\n');
+
+        if (scoped) code += `\n__sfc__.__scopeId = 'data-v-${id}';`;
+        code = this.rewriteImports(code, errors) + '\nreturn __sfc__;';
+
+        return { code, css, errors };
+    }
+
+    // The preview has no module loader, so imports from 'vue' read from the Vue global instead
+    rewriteImports(code, errors) {
+        return code
+            .replace(/import\s*\{([^}]*)\}\s*from\s*['"]vue['"];?/g, (match, names) => {
+                return `const { ${names.replace(/\s+as\s+/g, ': ')} } = Vue;`;
+            })
+            .replace(/^\s*import\s[^;\n]*?from\s*['"]([^'"]+)['"];?/gm, (match, from) => {
+                errors.push({ message: `Importing from '${from}' is not supported in the preview. Only 'vue' is available.`, line: null, column: null });
+                return '';
+            });
+    }
+
+    // Normalise compiler errors, which may be strings or objects with a location
+    formatError(error, lineOffset = 0) {
+        if (typeof error === 'string') return { message: error, line: null, column: null };
+        return {
+            message: error.message,
+            line: error.loc ? error.loc.start.line + lineOffset : null,
+            column: error.loc ? error.loc.start.column : null
+        };
+    }
+
+    // Build the preview page: the vendored Vue runtime, the compiled component and an error overlay
+    async render(source) {
+        let compiled;
+        try {
+            compiled = await this.compile(source);
+        } catch (error) {
+            compiled = { errors: [{ message: `Could not load the Vue compiler: ${error.message}`, line: null, column: null }] };
+        }
+
+        if (compiled.errors.length > 0) {
+            return `
+                <!DOCTYPE html>
+                <html>
+                <head><style>${VUE_PREVIEW_STYLES}</style></head>
+                <body>${this.renderOverlay('Compile error', compiled.errors)}</body>
+                </html>
+            `;
+        }
+
+        // Keep the component code from closing the inline script tag early
+        const componentCode = compiled.code.replace(/<\/script/gi, '<\\/script');
+
+        return `
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <style>${VUE_PREVIEW_STYLES}</style>
+                <style>${compiled.css}</style>
+                <script src="${this.resolveUrl('vue.runtime.global.js')}"></script>
+            </head>
+            <body>
+                <div id="app"></div>
+                <script>
+                    function showOverlay(title, message) {
+                        let overlay = document.querySelector('.preview-overlay');
+                        if (!overlay) {
+                            overlay = document.createElement('div');
+                            overlay.className = 'preview-overlay';
+                            overlay.innerHTML = '<h2></h2>';
+                            document.body.appendChild(overlay);
+                        }
+                        overlay.querySelector('h2').textContent = title;
+                        const pre = document.createElement('pre');
+                        pre.textContent = message;
+                        overlay.appendChild(pre);
+                    }
+
+                    window.addEventListener('error', (event) => showOverlay('Runtime error', event.message));
+
+                    try {
+                        const component = (function (Vue) {
+                            ${componentCode}
+                        })(Vue);
+                        const app = Vue.createApp(component);
+                        app.config.errorHandler = (error, instance, info) => {
+                            showOverlay('Runtime error', (error && error.message ? error.message : String(error)) + ' (' + info + ')');
+                        };
+                        app.mount('#app');
+                    } catch (error) {
+                        showOverlay('Runtime error', error.message);
+                    }
+                </script>
+            </body>
+            </html>
+        `;
+    }
+
+    // Render compile errors as an overlay, since there is no component to mount
+    renderOverlay(title, errors) {
+        const escape = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        const items = errors.map(error => `
+            <pre>${error.line ? `<span class="location">Line ${error.line}${error.column ? `, column ${error.column}` : ''}</span>` : ''}${escape(error.message)}</pre>
+        `).join('');
+        return `<div class="preview-overlay"><h2>${title}</h2>${items}</div>`;
+    }
+}
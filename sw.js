@@ -0,0 +1,168 @@
+// Service Worker - Precaches the portal and every lesson so it works offline
+
+// The curriculum lists every lesson and exercise to precache. The browser also re-checks
+// imported scripts for changes, so editing the curriculum installs a new worker.
+importScripts('js/curriculum-data.js');
+
+// The page, styles, scripts and the libraries every page needs
+const APP_SHELL = [
+    './',
+    'index.html',
+    'css/style.css',
+    'js/curriculum-data.js',
+    'js/markdown-helpers.js',
+    'js/profile-manager.js',
+    'js/progress-log.js',
+    'js/progress-schema.js',
+    'js/progress-merge.js',
+    'js/progress-storage.js',
+    'js/curriculum-graph.js',
+    'js/progress-tracker.js',
+    'js/content-loader.js',
+    'js/lesson-quizzes.js',
+    'js/lesson-flashcards.js',
+    'js/code-sandbox.js',
+    'js/sandbox-worker.js',
+    'js/sql-runner.js',
+    'js/sql-worker.js',
+    'js/typescript-compiler.js',
+    'js/vue-preview.js',
+    'js/virtual-git.js',
+    'js/terminal-shell.js',
+    'js/exercise-drafts.js',
+    'js/exercise-handler.js',
+    'js/router.js',
+    'js/lesson-toc.js',
+    'js/lesson-notes.js',
+    'js/lesson-bookmarks.js',
+    'js/study-timer.js',
+    'js/search-index.js',
+    'js/import-dialog.js',
+    'js/review-queue.js',
+    'js/prerequisite-map.js',
+    'js/progress-dashboard.js',
+    'js/progress-timeline.js',
+    'js/progress-sync.js',
+    'js/app.js',
+    'vendor/highlight.js/highlight.min.js',
+    'vendor/highlight.js/styles/atom-one-dark.min.css',
+    'vendor/marked/marked.min.js',
+    'vendor/fontawesome/css/all.min.css',
+    'vendor/fontawesome/webfonts/fa-solid-900.woff2',
+    'vendor/fontawesome/webfonts/fa-regular-400.woff2',
+    'vendor/fontawesome/webfonts/fa-brands-400.woff2',
+    'vendor/fontawesome/webfonts/fa-v4compatibility.woff2'
+];
+
+// The SQLite, TypeScript and Vue engines are several megabytes, so they're cached the first
+// time an exercise uses them rather than on install
+
+// A new curriculum gets a fresh cache, so removed lessons don't linger
+const CACHE_PREFIX = 'learning-portal-';
+const CACHE_NAME = `${CACHE_PREFIX}${hashString(JSON.stringify(curriculum))}`;
+
+// A short hash of a string, to version the cache by curriculum contents
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+    }
+    return (hash >>> 0).toString(16);
+}
+
+// Every lesson's markdown, which must exist
+function getLessonPaths() {
+    return curriculum.modules.flatMap(module => module.lessons.map(lesson => lesson.content));
+}
+
+// Starter code and test files, which most exercises don't have
+function getExercisePaths() {
+    return curriculum.modules
+        .flatMap(module => module.lessons)
+        .flatMap(lesson => lesson.exercises || [])
+        .flatMap(exercise => [
+            `exercises/${exercise.id}/starter.${exercise.language || 'txt'}`,
+            `exercises/${exercise.id}/tests.js`
+        ]);
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll([...APP_SHELL, ...getLessonPaths()]);
+
+        // Optional files: a missing one just isn't cached
+        await Promise.all(getExercisePaths().map(async path => {
+            try {
+                const response = await fetch(path);
+                if (response.ok) await cache.put(path, response);
+            } catch (error) {
+                // Offline or missing; nothing to cache
+            }
+        }));
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// The page asks a waiting worker to take over once the learner accepts the update
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'skip-waiting') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+    // Progress sync asks for fresh copies with no-store, and nothing under /api/ is a file of
+    // the portal's, so neither is answered from the cache or saved to it
+    if (request.cache === 'no-store' || url.pathname.startsWith('/api/')) return;
+
+    // Every route is a hash on index.html, so opening the portal gets the cached page whatever
+    // the query string. Other pages, like a lesson's markdown opened on its own, are their own.
+    const cacheKey = request.mode === 'navigate' && isAppRoot(url) ? 'index.html' : request;
+    event.respondWith(staleWhileRevalidate(event, cacheKey));
+});
+
+// Whether a URL is the portal's page: the folder sw.js is in, or its index.html
+function isAppRoot(url) {
+    const root = new URL('./', self.location).pathname;
+    return url.pathname === root || url.pathname === `${root}index.html`;
+}
+
+// Answer from the cache straight away and refresh the cached copy in the background;
+// fall back to the network for anything not cached yet
+async function staleWhileRevalidate(event, cacheKey) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(cacheKey, { ignoreSearch: true });
+
+    const refresh = fetch(event.request)
+        .then(async response => {
+            if (response.ok && response.type === 'basic') {
+                await cache.put(cacheKey, response.clone());
+            }
+            return response;
+        })
+        .catch(() => null);
+
+    if (cached) {
+        event.waitUntil(refresh);
+        return cached;
+    }
+
+    const response = await refresh;
+    return response || new Response('You are offline and this file has not been cached yet.', {
+        status: 503,
+        headers: { 'Content-Type': 'text/plain' }
+    });
+}
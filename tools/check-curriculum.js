@@ -0,0 +1,361 @@
+#!/usr/bin/env node
+// Curriculum Checker - Finds broken lessons before learners see "Error Loading Content"
+//
+// Usage: node tools/check-curriculum.js [--strict]
+//
+// Checks curriculum-data.js (unique ids, lesson files, prerequisites), each lesson's markdown
+// (the sections MARKDOWN_STRUCTURE.md asks for, internal links, quiz and flashcard blocks) and
+// the exercises/<id>/ folders. Problems are printed as "file:line: error|warning: message".
+// Exits with status 1 when there are errors, or any problems at all with --strict.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { marked } = require('../vendor/marked/marked.min.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const CURRICULUM_FILE = 'js/curriculum-data.js';
+
+// Browser scripts whose rules the checker shares, so it reads lessons exactly as the portal does
+const SHARED_SCRIPTS = [
+    CURRICULUM_FILE,
+    'js/markdown-helpers.js',
+    'js/curriculum-graph.js',
+    'js/lesson-quizzes.js',
+    'js/lesson-flashcards.js',
+    'js/router.js'
+];
+
+// Level-2 sections every lesson needs, in the order MARKDOWN_STRUCTURE.md gives them. Core
+// Concepts and Best Practices may be named for the topic, so a heading with their words is enough.
+const REQUIRED_SECTIONS = ['Introduction', 'Core Concepts', 'Best Practices', 'Exercises', 'Additional Resources'];
+const TOPIC_SECTIONS = ['Core Concepts', 'Best Practices'];
+
+const problems = [];
+
+function report(severity, file, line, message) {
+    problems.push({ severity, file, line, message });
+}
+
+// Run the shared browser scripts in a sandbox and hand back what the checker needs from them
+function loadPortalScripts() {
+    const context = vm.createContext({ console, document: { addEventListener() {} }, window: {} });
+    SHARED_SCRIPTS.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+    return vm.runInContext('({ curriculum, CurriculumGraph, LessonQuizzes, LessonFlashcards, Router, slugify })', context);
+}
+
+// The line of curriculum-data.js declaring an id, searching from a line onwards so ids reused in
+// different modules are told apart
+function findIdLine(source, id, fromLine = 1) {
+    const lines = source.split('\n');
+    for (let i = fromLine - 1; i < lines.length; i++) {
+        if (lines[i].includes(`id: "${id}"`) || lines[i].includes(`id: '${id}'`)) return i + 1;
+    }
+    return fromLine;
+}
+
+// Ids, lesson files and prerequisites. Returns every lesson with where it's declared.
+function checkCurriculum(portal) {
+    const source = fs.readFileSync(path.join(ROOT, CURRICULUM_FILE), 'utf8');
+    const lessons = [];
+    const moduleIds = new Set();
+    const exerciseIds = new Map();
+
+    const checkId = (id, kind, line) => {
+        if (typeof id !== 'string' || !id) {
+            report('error', CURRICULUM_FILE, line, `a ${kind} is missing its id`);
+        } else if (!/^[a-z0-9][a-z0-9-]*$/.test(id)) {
+            report('error', CURRICULUM_FILE, line, `${kind} id "${id}" should be lowercase letters, digits and dashes so it works in URLs`);
+        }
+    };
+
+    portal.curriculum.modules.forEach(module => {
+        const moduleLine = findIdLine(source, module.id);
+        checkId(module.id, 'module', moduleLine);
+        if (moduleIds.has(module.id)) report('error', CURRICULUM_FILE, moduleLine, `module id "${module.id}" is used more than once`);
+        moduleIds.add(module.id);
+        if (!module.title) report('error', CURRICULUM_FILE, moduleLine, `module "${module.id}" has no title`);
+
+        const lessonIds = new Set();
+        (module.lessons || []).forEach(lesson => {
+            const lessonLine = findIdLine(source, lesson.id, moduleLine);
+            checkId(lesson.id, 'lesson', lessonLine);
+            if (lessonIds.has(lesson.id)) {
+                report('error', CURRICULUM_FILE, lessonLine, `lesson id "${lesson.id}" is used more than once in module "${module.id}"`);
+            }
+            lessonIds.add(lesson.id);
+            if (!lesson.title) report('error', CURRICULUM_FILE, lessonLine, `lesson "${lesson.id}" has no title`);
+
+            if (!lesson.content) {
+                report('error', CURRICULUM_FILE, lessonLine, `lesson "${lesson.id}" has no content file`);
+            } else if (!fs.existsSync(path.join(ROOT, lesson.content))) {
+                report('error', CURRICULUM_FILE, lessonLine, `lesson "${lesson.id}" points at ${lesson.content}, which does not exist`);
+            } else {
+                lessons.push({ module, lesson, line: lessonLine });
+            }
+
+            (lesson.exercises || []).forEach(exercise => {
+                const exerciseLine = findIdLine(source, exercise.id, lessonLine);
+                checkId(exercise.id, 'exercise', exerciseLine);
+                if (exerciseIds.has(exercise.id)) {
+                    report('error', CURRICULUM_FILE, exerciseLine, `exercise id "${exercise.id}" is also used in ${exerciseIds.get(exercise.id)}; exercise URLs need it to be unique`);
+                }
+                exerciseIds.set(exercise.id, `${module.id}/${lesson.id}`);
+                if (!exercise.title) report('error', CURRICULUM_FILE, exerciseLine, `exercise "${exercise.id}" has no title`);
+            });
+        });
+
+        if (!module.lessons || module.lessons.length === 0) {
+            report('error', CURRICULUM_FILE, moduleLine, `module "${module.id}" has no lessons`);
+        }
+    });
+
+    new portal.CurriculumGraph(portal.curriculum).problems.forEach(problem => {
+        const key = problem.split(':')[0];
+        const [moduleId, lessonId] = key.split('/');
+        const line = lessonId ? findIdLine(source, lessonId, findIdLine(source, moduleId)) : 1;
+        report('error', CURRICULUM_FILE, line, problem);
+    });
+
+    // Markdown nobody links to is probably a lesson someone forgot to add
+    const used = new Set(lessons.map(({ lesson }) => path.normalize(lesson.content)));
+    listFiles('content').filter(file => file.endsWith('.md') && !used.has(path.normalize(file))).forEach(file => {
+        report('warning', file, null, 'no lesson in curriculum-data.js uses this file');
+    });
+
+    return { lessons, exerciseIds };
+}
+
+// Files under a folder, as paths relative to the repository root
+function listFiles(folder) {
+    const absolute = path.join(ROOT, folder);
+    if (!fs.existsSync(absolute)) return [];
+    return fs.readdirSync(absolute, { withFileTypes: true }).flatMap(entry => {
+        const relative = path.join(folder, entry.name);
+        return entry.isDirectory() ? listFiles(relative) : [relative];
+    });
+}
+
+// The text a heading shows in the browser, which its id is made from
+function headingText(token) {
+    return marked.parseInline(token.text)
+        .replace(/<[^>]*>/g, '')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+// Lex a lesson and note the line each top-level block starts on
+function readLesson(entry) {
+    const source = fs.readFileSync(path.join(ROOT, entry.lesson.content), 'utf8').replace(/\r\n?/g, '\n');
+    const blocks = [];
+    let line = 1;
+    marked.lexer(source).forEach(token => {
+        blocks.push({ token, line });
+        line += (token.raw.match(/\n/g) || []).length;
+    });
+    return { ...entry, source, blocks, headingIds: new Set() };
+}
+
+// Every token inside a block, with the line it's on
+function tokensWithLines({ token, line }) {
+    const found = [];
+    let cursor = 0;
+    marked.walkTokens([token], inner => {
+        const offset = inner.raw ? token.raw.indexOf(inner.raw, cursor) : -1;
+        if (offset >= 0 && inner !== token) cursor = offset;
+        found.push({ token: inner, line: line + (token.raw.slice(0, Math.max(offset, 0)).match(/\n/g) || []).length });
+    });
+    return found;
+}
+
+// Give the lesson's headings the ids the portal will, so links to them can be checked
+function collectHeadingIds(lesson, portal) {
+    const used = new Map();
+    lesson.headings = [];
+    lesson.blocks.forEach(block => {
+        tokensWithLines(block).filter(({ token }) => token.type === 'heading').forEach(({ token, line }) => {
+            const base = portal.slugify(headingText(token)) || 'section';
+            const count = used.get(base) || 0;
+            used.set(base, count + 1);
+            lesson.headingIds.add(count === 0 ? base : `${base}-${count}`);
+            if (block.token === token) lesson.headings.push({ depth: token.depth, text: headingText(token).trim(), line });
+        });
+    });
+}
+
+// The section layout MARKDOWN_STRUCTURE.md describes
+function checkStructure(lesson) {
+    const file = lesson.lesson.content;
+    const titles = lesson.headings.filter(heading => heading.depth === 1);
+    const sections = lesson.headings.filter(heading => heading.depth === 2);
+
+    if (lesson.headings.length === 0 || lesson.headings[0].depth !== 1) {
+        report('error', file, lesson.headings.length > 0 ? lesson.headings[0].line : 1, 'the lesson should start with a "# Title" heading');
+    }
+    titles.slice(1).forEach(heading => {
+        report('error', file, heading.line, `only the title should be a level-1 heading; "${heading.text}" should be "##" or lower`);
+    });
+
+    const isSection = (section, name) => TOPIC_SECTIONS.includes(name)
+        ? name.toLowerCase().split(' ').every(word => section.text.toLowerCase().includes(word))
+        : section.text === name;
+
+    // A missing section is reported where it belongs, at the next required section that's there
+    REQUIRED_SECTIONS.forEach((name, i) => {
+        if (sections.some(section => isSection(section, name))) return;
+
+        const find = names => names.map(other => sections.find(section => isSection(section, other))).find(Boolean);
+        const before = find(REQUIRED_SECTIONS.slice(0, i).reverse());
+        const after = find(REQUIRED_SECTIONS.slice(i + 1));
+        const place = [before && `after "## ${before.text}"`, after && `before "## ${after.text}"`].filter(Boolean).join(' and ');
+        const line = after ? after.line : lesson.source.split('\n').length;
+        report('error', file, line, `missing the required "## ${name}" section${place ? `, which goes ${place}` : ''}`);
+    });
+    if (sections.length > 0 && sections[0].text !== 'Introduction') {
+        report('error', file, sections[0].line, `the first section should be "## Introduction", not "## ${sections[0].text}"`);
+    }
+    const resources = sections.findIndex(section => section.text === 'Additional Resources');
+    if (resources >= 0 && resources !== sections.length - 1) {
+        report('error', file, sections[resources + 1].line, `"## ${sections[resources + 1].text}" comes after "## Additional Resources", which should be the last section`);
+    }
+
+    lesson.headings.forEach((heading, i) => {
+        const previous = lesson.headings[i - 1];
+        if (previous && heading.depth > previous.depth + 1) {
+            report('warning', file, heading.line, `"${heading.text}" skips from level ${previous.depth} to level ${heading.depth}`);
+        }
+    });
+}
+
+// Links to headings, lessons, exercises and files in the repository must lead somewhere
+function checkLinks(lesson, lessonsByKey, exerciseIds, portal) {
+    const file = lesson.lesson.content;
+    lesson.blocks.forEach(block => {
+        tokensWithLines(block).filter(({ token }) => token.type === 'link' || token.type === 'image').forEach(({ token, line }) => {
+            const href = token.href;
+            if (!href || /^[a-z][a-z0-9+.-]*:/i.test(href) || href.startsWith('//')) return;
+
+            let problem = null;
+            if (href.startsWith('#/')) {
+                problem = checkRoute(portal.Router.prototype.parse(href), lessonsByKey, exerciseIds);
+            } else if (href.startsWith('#')) {
+                const id = decodeURIComponent(href.slice(1));
+                if (!lesson.headingIds.has(id)) problem = `there is no heading with the id "${id}" in this lesson`;
+            } else {
+                // Relative links resolve against index.html, which sits at the repository root
+                const target = decodeURIComponent(href.split(/[?#]/)[0]);
+                if (!fs.existsSync(path.join(ROOT, target))) problem = `${target} does not exist`;
+            }
+
+            if (problem) report('error', file, line, `broken link "${href}": ${problem}`);
+        });
+    });
+}
+
+function checkRoute(route, lessonsByKey, exerciseIds) {
+    if (route.view === 'exercise') {
+        return exerciseIds.has(route.exerciseId) ? null : `there is no exercise "${route.exerciseId}"`;
+    }
+    if (route.view === 'lesson') {
+        const target = lessonsByKey.get(`${route.moduleId}/${route.lessonId}`);
+        if (!target) return `there is no lesson "${route.moduleId}/${route.lessonId}"`;
+        if (route.headingId && !target.headingIds.has(route.headingId)) {
+            return `${target.lesson.content} has no heading with the id "${route.headingId}"`;
+        }
+        return null;
+    }
+    return route.view === 'not-found' ? 'the portal has no page at this address' : null;
+}
+
+// Quiz and flashcard blocks must parse, and their ids must be unique within the lesson
+function checkEmbeddedBlocks(lesson, portal) {
+    const file = lesson.lesson.content;
+    const kinds = {
+        quiz: { parse: (text, index) => new portal.LessonQuizzes().parseQuiz(text, index), ids: new Set(), count: 0 },
+        flashcard: { parse: (text, index) => new portal.LessonFlashcards().parseCard(text, index), ids: new Set(), count: 0 }
+    };
+
+    lesson.blocks.forEach(block => {
+        tokensWithLines(block).filter(({ token }) => token.type === 'code' && kinds[token.lang]).forEach(({ token, line }) => {
+            const kind = kinds[token.lang];
+            try {
+                const { id } = kind.parse(token.text, kind.count);
+                if (kind.ids.has(id)) throw new Error(`another ${token.lang} in this lesson already has the id "${id}"`);
+                kind.ids.add(id);
+            } catch (error) {
+                report('error', file, line, `${token.lang} block can't be read: ${error.message}`);
+            }
+            kind.count++;
+        });
+    });
+
+    if (lesson.lesson.requireQuizPass && kinds.quiz.count === 0) {
+        report('warning', file, null, 'the lesson sets requireQuizPass but has no quiz blocks');
+    }
+}
+
+// exercises/<id>/ folders must belong to an exercise, and hold files the portal actually fetches
+function checkExerciseFiles(portal) {
+    const exercises = new Map(portal.curriculum.modules
+        .flatMap(module => module.lessons)
+        .flatMap(lesson => lesson.exercises || [])
+        .map(exercise => [exercise.id, exercise]));
+
+    const folder = path.join(ROOT, 'exercises');
+    if (!fs.existsSync(folder)) return;
+
+    fs.readdirSync(folder, { withFileTypes: true }).filter(entry => entry.isDirectory()).forEach(entry => {
+        const exercise = exercises.get(entry.name);
+        if (!exercise) {
+            report('error', `exercises/${entry.name}`, null, `no exercise in ${CURRICULUM_FILE} has the id "${entry.name}"`);
+            return;
+        }
+
+        const starter = `starter.${exercise.language || 'txt'}`;
+        fs.readdirSync(path.join(folder, entry.name)).forEach(name => {
+            const file = `exercises/${entry.name}/${name}`;
+            if (name.startsWith('starter.') && name !== starter) {
+                report('error', file, null, `never loaded: exercise "${exercise.id}" ${exercise.language ? `is written in ${exercise.language}` : 'has no language'}, so the portal fetches ${starter}`);
+            } else if (name === 'tests.js' && !['javascript', 'typescript'].includes(exercise.language)) {
+                report('warning', file, null, `only JavaScript and TypeScript exercises run tests.js; "${exercise.id}" is ${exercise.language || 'not code'}`);
+            } else if (name === 'tests.js' && (exercise.goals || exercise.tests || exercise.typeTests)) {
+                report('warning', file, null, `ignored because "${exercise.id}" declares its checks in ${CURRICULUM_FILE}`);
+            } else if (name !== starter && name !== 'tests.js') {
+                report('warning', file, null, 'the portal never loads this file');
+            }
+        });
+    });
+}
+
+function main() {
+    const strict = process.argv.includes('--strict');
+    const portal = loadPortalScripts();
+    const { lessons: entries, exerciseIds } = checkCurriculum(portal);
+
+    const lessons = entries.map(readLesson);
+    lessons.forEach(lesson => collectHeadingIds(lesson, portal));
+    const lessonsByKey = new Map(lessons.map(lesson => [`${lesson.module.id}/${lesson.lesson.id}`, lesson]));
+
+    lessons.forEach(lesson => {
+        checkStructure(lesson);
+        checkLinks(lesson, lessonsByKey, exerciseIds, portal);
+        checkEmbeddedBlocks(lesson, portal);
+    });
+    checkExerciseFiles(portal);
+
+    problems.forEach(({ severity, file, line, message }) => {
+        console.log(`${file.split(path.sep).join('/')}${line ? `:${line}` : ''}: ${severity}: ${message}`);
+    });
+
+    const errors = problems.filter(problem => problem.severity === 'error').length;
+    const warnings = problems.length - errors;
+    console.log(`\nChecked ${lessons.length} lessons: ${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'}`);
+    process.exitCode = errors > 0 || (strict && warnings > 0) ? 1 : 0;
+}
+
+main();
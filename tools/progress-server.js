@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+// Progress Server - A small reference implementation of the progress sync API, for development
+//
+// Usage: node tools/progress-server.js [--port 8787] [--data <dir>]
+//
+// Serves the API described in PROGRESS_API.md under http://localhost:<port>/api. Each profile's
+// progress is one JSON document, read with GET and replaced with PUT; ETags stop a PUT from
+// overwriting changes its sender hasn't seen. Documents are kept in memory, or as one file per
+// profile in <dir> with --data. There are no accounts: anyone who can reach the server can read
+// and write every document, so keep it on localhost.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const DEFAULT_PORT = 8787;
+
+// Progress documents larger than this are refused
+const MAX_DOCUMENT_BYTES = 5 * 1024 * 1024;
+
+// /api/progress/<profile id>; ids are the ones the portal makes for profiles
+const DOCUMENT_PATH = /^\/api\/progress\/([A-Za-z0-9_-]{1,64})$/;
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, If-Match, If-None-Match',
+    'Access-Control-Expose-Headers': 'ETag'
+};
+
+// The documents, keyed by profile id, as { body, etag }; written through to dataDir when set
+class DocumentStore {
+    constructor(dataDir) {
+        this.dataDir = dataDir;
+        this.documents = new Map();
+        if (dataDir) {
+            fs.mkdirSync(dataDir, { recursive: true });
+            fs.readdirSync(dataDir)
+                .filter(file => file.endsWith('.json'))
+                .forEach(file => {
+                    const body = fs.readFileSync(path.join(dataDir, file), 'utf8');
+                    this.documents.set(path.basename(file, '.json'), { body, etag: etagFor(body) });
+                });
+        }
+    }
+
+    get(id) {
+        return this.documents.get(id) || null;
+    }
+
+    put(id, body) {
+        const document = { body, etag: etagFor(body) };
+        this.documents.set(id, document);
+        if (this.dataDir) fs.writeFileSync(path.join(this.dataDir, `${id}.json`), body);
+        return document;
+    }
+
+    delete(id) {
+        this.documents.delete(id);
+        if (this.dataDir) fs.rmSync(path.join(this.dataDir, `${id}.json`), { force: true });
+    }
+}
+
+// A strong ETag from the document's content, so the same progress always has the same tag
+function etagFor(body) {
+    return `"${crypto.createHash('sha1').update(body).digest('hex').slice(0, 20)}"`;
+}
+
+// Whether an If-Match or If-None-Match header names the document's ETag (or is "*")
+function matches(header, document) {
+    if (!header || !document) return false;
+    return header.split(',').map(tag => tag.trim()).some(tag => tag === '*' || tag === document.etag);
+}
+
+function send(res, status, headers = {}, body = '') {
+    res.writeHead(status, { ...CORS_HEADERS, ...headers });
+    res.end(body);
+}
+
+function sendError(res, status, message) {
+    send(res, status, { 'Content-Type': 'application/json' }, JSON.stringify({ error: message }));
+}
+
+// The request body as a string, or null when it's larger than MAX_DOCUMENT_BYTES
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size <= MAX_DOCUMENT_BYTES) chunks.push(chunk);
+        });
+        req.on('end', () => resolve(size > MAX_DOCUMENT_BYTES ? null : Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+async function handleRequest(store, req, res) {
+    const match = DOCUMENT_PATH.exec(new URL(req.url, 'http://localhost').pathname);
+    if (req.method === 'OPTIONS') return send(res, 204);
+    if (!match) return sendError(res, 404, 'Not found');
+
+    const id = match[1];
+    const document = store.get(id);
+
+    switch (req.method) {
+        case 'GET':
+            if (!document) return sendError(res, 404, 'No progress saved for this profile');
+            if (matches(req.headers['if-none-match'], document)) return send(res, 304, { ETag: document.etag });
+            return send(res, 200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-cache', ETag: document.etag }, document.body);
+
+        case 'PUT': {
+            // Creating needs If-None-Match: *, replacing needs If-Match with the current ETag
+            const ifMatch = req.headers['if-match'];
+            const ifNoneMatch = req.headers['if-none-match'];
+            if (!ifMatch && !ifNoneMatch) return sendError(res, 428, 'Send If-Match with the ETag you last saw, or If-None-Match: * to create');
+            const preconditionError = current => {
+                if (ifMatch && !matches(ifMatch, current)) return 'The progress has changed since you last read it';
+                if (ifNoneMatch && matches(ifNoneMatch, current)) return 'Progress already exists for this profile';
+                return null;
+            };
+            if (preconditionError(document)) return sendError(res, 412, preconditionError(document));
+
+            const body = await readBody(req);
+            if (body === null) return sendError(res, 413, `Progress is limited to ${MAX_DOCUMENT_BYTES} bytes`);
+            let data;
+            try {
+                data = JSON.parse(body);
+            } catch (error) {
+                return sendError(res, 400, `Not valid JSON: ${error.message}`);
+            }
+            if (!data || typeof data !== 'object' || Array.isArray(data) || typeof data.modules !== 'object') {
+                return sendError(res, 400, 'Not a progress document');
+            }
+
+            // Another PUT may have finished while this body was arriving; check against what's there now
+            const current = store.get(id);
+            if (preconditionError(current)) return sendError(res, 412, preconditionError(current));
+
+            const saved = store.put(id, body);
+            return send(res, current ? 204 : 201, { ETag: saved.etag });
+        }
+
+        case 'DELETE':
+            if (!document) return sendError(res, 404, 'No progress saved for this profile');
+            if (req.headers['if-match'] && !matches(req.headers['if-match'], document)) {
+                return sendError(res, 412, 'The progress has changed since you last read it');
+            }
+            store.delete(id);
+            return send(res, 204);
+
+        default:
+            return sendError(res, 405, 'Method not allowed');
+    }
+}
+
+// Read --port and --data from the command line
+function parseArgs(args) {
+    const options = { port: Number(process.env.PORT) || DEFAULT_PORT, dataDir: null };
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--port') options.port = Number(args[++i]);
+        else if (args[i] === '--data') options.dataDir = path.resolve(args[++i]);
+        else throw new Error(`Unknown option: ${args[i]}`);
+    }
+    if (!Number.isInteger(options.port) || options.port <= 0) throw new Error('--port needs a port number');
+    return options;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\nUsage: node tools/progress-server.js [--port 8787] [--data <dir>]`);
+        process.exit(2);
+    }
+
+    const store = new DocumentStore(options.dataDir);
+    const server = http.createServer((req, res) => {
+        handleRequest(store, req, res)
+            .catch(error => {
+                console.error(error);
+                if (!res.headersSent) sendError(res, 500, 'Internal server error');
+            })
+            .finally(() => console.log(`${req.method} ${req.url} ${res.statusCode}`));
+    });
+    server.listen(options.port, () => {
+        console.log(`Progress server listening on http://localhost:${options.port}/api`);
+        console.log(options.dataDir ? `Saving progress in ${options.dataDir}` : 'Keeping progress in memory; use --data <dir> to keep it');
+    });
+}
+
+main();